@@ -37,7 +37,8 @@ Phaser.Plugin.ArcadeSlopes = function (game, parent, defaultSolver) {
 	this.facade = new Phaser.Plugin.ArcadeSlopes.Facade(
 		new Phaser.Plugin.ArcadeSlopes.TileSlopeFactory(),
 		solvers,
-		defaultSolver || Phaser.Plugin.ArcadeSlopes.SAT
+		defaultSolver || Phaser.Plugin.ArcadeSlopes.SAT,
+		new Phaser.Plugin.ArcadeSlopes.Raycaster()
 	);
 	
 	// Give the facade a reference to the plugin; this makes it easier to remove
@@ -82,6 +83,7 @@ Phaser.Plugin.ArcadeSlopes.prototype.init = function () {
 	// some extra methods that break down the functionality a little more
 	Phaser.Physics.Arcade.prototype.collideSpriteVsTile = Phaser.Plugin.ArcadeSlopes.Overrides.collideSpriteVsTile;
 	Phaser.Physics.Arcade.prototype.collideSpriteVsTiles = Phaser.Plugin.ArcadeSlopes.Overrides.collideSpriteVsTiles;
+	Phaser.Physics.Arcade.prototype.resolveSpriteVsTiles = Phaser.Plugin.ArcadeSlopes.Overrides.resolveSpriteVsTiles;
 	Phaser.Physics.Arcade.prototype.collideSpriteVsTilemapLayer = Phaser.Plugin.ArcadeSlopes.Overrides.collideSpriteVsTilemapLayer;
 	
 	// Add some extra neighbour methods to the Tilemap class
@@ -99,6 +101,37 @@ Phaser.Plugin.ArcadeSlopes.prototype.init = function () {
 	Phaser.TilemapLayer.prototype.renderDebug = Phaser.Plugin.ArcadeSlopes.Overrides.renderDebug;
 };
 
+/**
+ * Prepares the collision solvers for a new frame.
+ *
+ * Called by Phaser before the game's state and physics bodies are updated.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes#preUpdate
+ */
+Phaser.Plugin.ArcadeSlopes.prototype.preUpdate = function () {
+	for (var s in this.facade.solvers) {
+		if (typeof this.facade.solvers[s].preUpdate === 'function') {
+			this.facade.solvers[s].preUpdate();
+		}
+	}
+};
+
+/**
+ * Lets the collision solvers finish the frame.
+ *
+ * Called by Phaser after the game's state and physics bodies are updated, once
+ * every collision of the frame has happened.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes#postUpdate
+ */
+Phaser.Plugin.ArcadeSlopes.prototype.postUpdate = function () {
+	for (var s in this.facade.solvers) {
+		if (typeof this.facade.solvers[s].postUpdate === 'function') {
+			this.facade.solvers[s].postUpdate();
+		}
+	}
+};
+
 /**
  * Destroys the plugin and nulls its references. Restores any overriden methods.
  * 
@@ -111,6 +144,7 @@ Phaser.Plugin.ArcadeSlopes.prototype.destroy = function () {
 	// Restore the original collideSpriteVsTilemapLayer method and null the rest
 	Phaser.Physics.Arcade.prototype.collideSpriteVsTile = null;
 	Phaser.Physics.Arcade.prototype.collideSpriteVsTiles = null;
+	Phaser.Physics.Arcade.prototype.resolveSpriteVsTiles = null;
 	Phaser.Physics.Arcade.prototype.collideSpriteVsTilemapLayer = this.originalCollideSpriteVsTilemapLayer;
 	
 	// Remove the extra neighbour methods from the Tilemap class
@@ -0,0 +1,340 @@
+/**
+ * @author Chris Andrew <chris@hexus.io>
+ * @copyright 2016-2017 Chris Andrew
+ * @license MIT
+ */
+
+/**
+ * A platformer character controller for physics bodies with slopes enabled.
+ *
+ * Handles running, jumping, coyote time, jump buffering, variable jump height
+ * and air control. Whether the body is grounded comes from the ground state
+ * that the collision solver gives it.
+ *
+ * Jumps go against the body's gravity and running goes across it, so the
+ * controller keeps working when gravity is flipped, turned sideways or follows
+ * the surface the body is attached to.
+ *
+ * Call update() once per frame, after colliding the body with your tilemap
+ * layers.
+ *
+ * @class Phaser.Plugin.ArcadeSlopes.CharacterController
+ * @constructor
+ * @param {Phaser.Physics.Arcade.Body} body    - The physics body to control.
+ * @param {object}                     options - Options for the controller.
+ */
+Phaser.Plugin.ArcadeSlopes.CharacterController = function (body, options) {
+	/**
+	 * The physics body to control.
+	 *
+	 * @property {Phaser.Physics.Arcade.Body} body
+	 */
+	this.body = body;
+	
+	/**
+	 * Options for the controller.
+	 *
+	 * @property {object} options
+	 */
+	this.options = Phaser.Utils.mixin(options || {}, {
+		// The fastest the body runs, in pixels per second
+		speed: 200,
+		
+		// How quickly the body speeds up on the ground, in pixels per second
+		// squared
+		acceleration: 1500,
+		
+		// How quickly the body slows down on the ground when it isn't moving
+		deceleration: 2000,
+		
+		// The fraction of the acceleration and deceleration the body keeps in
+		// the air
+		airControl: 0.6,
+		
+		// The speed the body jumps at, in pixels per second
+		jumpSpeed: 400,
+		
+		// The fraction of the body's upward speed it keeps when a jump is
+		// released early, for variable jump height
+		jumpCutoff: 0.5,
+		
+		// How long the body can still jump for after leaving the ground, in
+		// milliseconds
+		coyoteTime: 100,
+		
+		// How long a jump is remembered for before the body lands, in
+		// milliseconds
+		jumpBuffer: 100
+	});
+	
+	/**
+	 * The direction the body is moving in, from -1 (left) to 1 (right),
+	 * relative to its gravity.
+	 *
+	 * @property {number} direction
+	 */
+	this.direction = 0;
+	
+	/**
+	 * Whether the body was on the ground at the last update.
+	 *
+	 * @property {boolean} grounded
+	 */
+	this.grounded = false;
+	
+	/**
+	 * Whether the body is rising from a jump.
+	 *
+	 * @property {boolean} jumping
+	 */
+	this.jumping = false;
+	
+	/**
+	 * How much longer the body can jump for since it was last on the ground,
+	 * in milliseconds.
+	 *
+	 * @property {number} coyoteTimer
+	 */
+	this.coyoteTimer = 0;
+	
+	/**
+	 * How much longer the last jump request is remembered for, in milliseconds.
+	 *
+	 * @property {number} jumpTimer
+	 */
+	this.jumpTimer = 0;
+	
+	/**
+	 * Whether the jump is being held.
+	 *
+	 * @property {boolean} jumpHeld
+	 */
+	this.jumpHeld = false;
+	
+	// Controllers without a body do nothing
+	if (!this.hasBody()) {
+		console.warn('Character controllers need a physics body with slopes enabled');
+	}
+};
+
+/**
+ * Move in the given direction.
+ *
+ * The direction is kept until it's changed, so pass 0 to stop.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.CharacterController#move
+ * @param  {number} direction - The direction to move in, from -1 (left) to 1 (right), relative to the body's gravity.
+ */
+Phaser.Plugin.ArcadeSlopes.CharacterController.prototype.move = function (direction) {
+	this.direction = Phaser.Math.clamp(direction || 0, -1, 1);
+};
+
+/**
+ * Request a jump.
+ *
+ * The body jumps at the next update if it's on the ground or just left it.
+ * Otherwise the request is buffered, and the body jumps if it lands soon
+ * enough.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.CharacterController#jump
+ */
+Phaser.Plugin.ArcadeSlopes.CharacterController.prototype.jump = function () {
+	this.jumpTimer = this.options.jumpBuffer;
+	this.jumpHeld = true;
+};
+
+/**
+ * Release a jump.
+ *
+ * Cuts the body's upward speed if it's still rising from a jump, so that
+ * short presses make short jumps. Buffered jumps that haven't happened yet
+ * will be short too.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.CharacterController#releaseJump
+ */
+Phaser.Plugin.ArcadeSlopes.CharacterController.prototype.releaseJump = function () {
+	if (!this.hasBody()) {
+		return;
+	}
+	
+	var gravity = this.getGravityAxis();
+	var fall = this.body.velocity.x * gravity.x + this.body.velocity.y * gravity.y;
+	
+	if (this.jumpHeld && this.jumping && fall < 0) {
+		this.setSpeed(gravity, fall * this.options.jumpCutoff);
+	}
+	
+	this.jumpHeld = false;
+};
+
+/**
+ * Get the collision solver of the body; the solver of the tile it's on, or
+ * last collided with, or the default solver.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.CharacterController#getSolver
+ * @return {object|null} - The solver, or null if the body's game has no slopes.
+ */
+Phaser.Plugin.ArcadeSlopes.CharacterController.prototype.getSolver = function () {
+	var slopes = this.body.game && this.body.game.slopes;
+	var tile = this.body.slopes.groundTile || this.body.slopes.tile;
+	
+	if (!slopes) {
+		return null;
+	}
+	
+	return tile ? slopes.getTileSolver(tile) : slopes.resolveSolver(slopes.defaultSolver);
+};
+
+/**
+ * Get the direction of the body's gravity.
+ *
+ * Comes from the body's collision solver, so it follows any gravity direction
+ * configured for the body and the surface the body is attached to. Defaults
+ * to straight down for solvers that don't provide it.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.CharacterController#getGravityAxis
+ * @return {SAT.Vector} - The gravity unit vector.
+ */
+Phaser.Plugin.ArcadeSlopes.CharacterController.prototype.getGravityAxis = function () {
+	var solver = this.getSolver();
+	
+	if (solver && solver.getGravityAxis) {
+		return solver.getGravityAxis(this.body);
+	}
+	
+	return new SAT.Vector(0, 1);
+};
+
+/**
+ * Set the body's speed along the given axis, keeping its speed across it.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.CharacterController#setSpeed
+ * @param {SAT.Vector} axis  - The unit vector of the axis.
+ * @param {number}     speed - The speed to set.
+ */
+Phaser.Plugin.ArcadeSlopes.CharacterController.prototype.setSpeed = function (axis, speed) {
+	var velocity = this.body.velocity;
+	var current = velocity.x * axis.x + velocity.y * axis.y;
+	
+	velocity.x = velocity.x - axis.x * current + axis.x * speed;
+	velocity.y = velocity.y - axis.y * current + axis.y * speed;
+};
+
+/**
+ * Determine whether the controller has a physics body with slopes enabled to
+ * control.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.CharacterController#hasBody
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.CharacterController.prototype.hasBody = function () {
+	return !!(this.body && this.body.slopes);
+};
+
+/**
+ * Determine whether the body can jump; it's on the ground or only just left
+ * it.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.CharacterController#canJump
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.CharacterController.prototype.canJump = function () {
+	return !this.jumping && this.coyoteTimer > 0;
+};
+
+/**
+ * Update the body's velocity.
+ *
+ * Call this once per frame, after colliding the body with your tilemap layers.
+ * Does nothing without a physics body with slopes enabled.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.CharacterController#update
+ * @param  {number} elapsed - The time since the last update in seconds. Defaults to the game's physics step.
+ */
+Phaser.Plugin.ArcadeSlopes.CharacterController.prototype.update = function (elapsed) {
+	if (!this.hasBody()) {
+		return;
+	}
+	
+	var body = this.body;
+	var options = this.options;
+	var gravity = this.getGravityAxis();
+	
+	if (elapsed === undefined) {
+		elapsed = body.game.time.physicsElapsed;
+	}
+	
+	// Read the ground state the collision solver gave the body
+	this.grounded = body.slopes.onGround;
+	
+	// Jumps are over once the body stops rising or lands
+	if (this.jumping && (body.velocity.x * gravity.x + body.velocity.y * gravity.y >= 0 || this.grounded)) {
+		this.jumping = false;
+	}
+	
+	if (this.grounded && !this.jumping) {
+		this.coyoteTimer = options.coyoteTime;
+	} else {
+		this.coyoteTimer = Math.max(this.coyoteTimer - elapsed * 1000, 0);
+	}
+	
+	// Jump if one was requested recently enough
+	if (this.jumpTimer > 0 && this.canJump()) {
+		// Jumps released before they happened are short
+		this.setSpeed(gravity, -options.jumpSpeed * (this.jumpHeld ? 1 : options.jumpCutoff));
+		
+		this.jumping = true;
+		this.grounded = false;
+		this.coyoteTimer = 0;
+		this.jumpTimer = 0;
+	} else {
+		this.jumpTimer = Math.max(this.jumpTimer - elapsed * 1000, 0);
+	}
+	
+	this.updateRun(elapsed, gravity);
+};
+
+/**
+ * Accelerate the body towards its running speed in its current direction, or
+ * decelerate it to a standstill if it isn't moving.
+ *
+ * The body runs across its gravity, which is horizontally unless its gravity
+ * points elsewhere.
+ *
+ * Constant speed bodies on the ground run at their ground speed, so that's
+ * what changes. Their velocity is only touched when it does.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.CharacterController#updateRun
+ * @param  {number}     elapsed - The time since the last update in seconds.
+ * @param  {SAT.Vector} gravity - The direction of the body's gravity, if it's already known.
+ */
+Phaser.Plugin.ArcadeSlopes.CharacterController.prototype.updateRun = function (elapsed, gravity) {
+	var body = this.body;
+	var options = this.options;
+	
+	gravity = gravity || this.getGravityAxis();
+	
+	var axis = new SAT.Vector(gravity.y, -gravity.x);
+	var target = this.direction * options.speed;
+	var rate = this.direction ? options.acceleration : options.deceleration;
+	var speed = body.velocity.x * axis.x + body.velocity.y * axis.y;
+	
+	if (!this.grounded) {
+		rate *= options.airControl;
+	} else if (body.slopes.constantSpeed) {
+		speed = body.slopes.groundSpeed;
+	}
+	
+	var change = rate * elapsed;
+	var difference = target - speed;
+	
+	if (!difference) {
+		return;
+	}
+	
+	if (Math.abs(difference) <= change) {
+		this.setSpeed(axis, target);
+	} else {
+		this.setSpeed(axis, speed + (difference > 0 ? change : -change));
+	}
+};
@@ -12,8 +12,9 @@
  * @param {Phaser.Plugin.ArcadeSlopes.TileSlopeFactory} factory       - A tile slope factory.
  * @param {object}                                      solvers       - A set of collision solvers.
  * @param {integer}                                     defaultSolver - The default collision solver type to use for sloped tiles.
+ * @param {Phaser.Plugin.ArcadeSlopes.Raycaster}        raycaster     - A tile slope raycaster.
  */
-Phaser.Plugin.ArcadeSlopes.Facade = function (factory, solvers, defaultSolver) {
+Phaser.Plugin.ArcadeSlopes.Facade = function (factory, solvers, defaultSolver, raycaster) {
 	/**
 	 * A tile slope factory.
 	 * 
@@ -38,6 +39,13 @@ Phaser.Plugin.ArcadeSlopes.Facade = function (factory, solvers, defaultSolver) {
 	 */
 	this.defaultSolver = defaultSolver || Phaser.Plugin.ArcadeSlopes.SAT;
 	
+	/**
+	 * A tile slope raycaster.
+	 *
+	 * @property {Phaser.Plugin.ArcadeSlopes.Raycaster} raycaster
+	 */
+	this.raycaster = raycaster || new Phaser.Plugin.ArcadeSlopes.Raycaster();
+	
 	/**
 	 * The plugin this facade belongs to.
 	 *
@@ -79,30 +87,31 @@ Phaser.Plugin.ArcadeSlopes.Facade.prototype.enable = function (object) {
  * @param {Phaser.Physics.Arcade.Body} body - The physics body to enable.
  */
 Phaser.Plugin.ArcadeSlopes.Facade.prototype.enableBody = function (body) {
-	// Create an SAT shape for the body
-	// TODO: Rename body.polygon to body.shape or body.slopes.shape
-	if  (body.isCircle) {
-		body.polygon = new SAT.Circle(
-			new SAT.Vector(
-				body.x + body.halfWidth,
-				body.y + body.halfHeight
-			),
-			body.radius
-		);
-	} else {
-		body.polygon = new SAT.Box(
-			new SAT.Vector(body.x, body.y),
-			body.width * body.sprite.scale.x,
-			body.height * body.sprite.scale.y
-		).toPolygon();
-	}
-	
 	// Attach a new set of properties that configure the body's interaction
 	// with sloped tiles, if they don't exist (TODO: Formalize as a class)
 	body.slopes = body.slopes || {
+		attached: false,
+		baseGravity: new Phaser.Point(),
+		contactFrame: -1,
+		constantSpeed: false,
+		contacts: [],
 		debug: false,
+		detachSpeed: 100,
+		dropThrough: false,
+		followRotation: false,
 		friction: new Phaser.Point(),
+		gravity: null,
+		groundAngle: 0,
+		groundFrame: -1,
+		groundNormal: new SAT.Vector(),
+		groundSpeed: 0,
+		groundVelocity: new SAT.Vector(),
+		groundTile: null,
 		heuristics: null,
+		lastGroundNormal: new SAT.Vector(),
+		maxGroundAngle: null,
+		onGround: false,
+		preferX: false,
 		preferY: false,
 		pullUp: 0,
 		pullDown: 0,
@@ -112,17 +121,213 @@ Phaser.Plugin.ArcadeSlopes.Facade.prototype.enableBody = function (body) {
 		pullTopRight: 0,
 		pullBottomLeft: 0,
 		pullBottomRight: 0,
+		rotate: false,
+		rotateMax: 180,
+		rotateSmoothing: 0,
+		rotateTypes: null,
 		sat: {
 			response: null,
 		},
+		sensors: [],
+		shape: null,
+		shapeState: null,
 		skipFriction: false,
 		snapUp: 0,
 		snapDown: 0,
 		snapLeft: 0,
 		snapRight: 0,
+		stepHeight: 0,
+		stickDistance: 0,
+		surfaceGravity: false,
+		sweep: false,
 		tile: null,
 		velocity: new SAT.Vector()
 	};
+	
+	// Create an SAT shape for the body
+	Phaser.Plugin.ArcadeSlopes.Facade.updateBodyShape(body);
+};
+
+/**
+ * Give the given physics body a convex polygon shape.
+ *
+ * Points are relative to the top left of the sprite's frame, in the same space
+ * as body offsets, and may be wound either way. The body is resized to the
+ * bounds of the polygon so that it collides with every tile the polygon could
+ * touch, and the polygon is stretched to fit if the body is resized again.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#setPolygon
+ * @param  {Phaser.Physics.Arcade.Body} body   - The physics body.
+ * @param  {object[]}                   points - The points of the polygon, each with an x and y property.
+ * @return {boolean}                           - Whether the polygon was valid and has been set.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.prototype.setPolygon = function (body, points) {
+	var shape = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.cleanPoints(points.map(function (point) {
+		return new SAT.Vector(point.x, point.y);
+	}));
+	
+	if (shape.length < 3) {
+		console.warn('Body polygons need at least three points that aren\'t in a line');
+		
+		return false;
+	}
+	
+	if (!Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.isConvex(shape)) {
+		console.warn('Body polygons must be convex');
+		
+		return false;
+	}
+	
+	var left = Infinity;
+	var top = Infinity;
+	var right = -Infinity;
+	var bottom = -Infinity;
+	
+	for (var i = 0; i < shape.length; i++) {
+		left = Math.min(left, shape[i].x);
+		top = Math.min(top, shape[i].y);
+		right = Math.max(right, shape[i].x);
+		bottom = Math.max(bottom, shape[i].y);
+	}
+	
+	// Fit the body to the polygon; body offsets move its position with it
+	body.setSize(right - left, bottom - top, left, top);
+	
+	if (!body.slopes) {
+		this.enableBody(body);
+	}
+	
+	body.slopes.shape = shape.map(function (point) {
+		return new SAT.Vector(point.x - left, point.y - top);
+	});
+	
+	Phaser.Plugin.ArcadeSlopes.Facade.updateBodyShape(body);
+	
+	return true;
+};
+
+/**
+ * Create the SAT shape of a physics body from its current size and scale.
+ *
+ * Also records what the shape was created from, so that the solver can tell
+ * when it needs to be created again.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#updateBodyShape
+ * @param {Phaser.Physics.Arcade.Body} body - The physics body.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.updateBodyShape = function (body) {
+	// TODO: Rename body.polygon to body.shape or body.slopes.shape
+	if (body.isCircle) {
+		body.polygon = new SAT.Circle(
+			new SAT.Vector(
+				body.x + body.halfWidth,
+				body.y + body.halfHeight
+			),
+			body.radius
+		);
+	} else if (body.slopes.shape) {
+		body.polygon = Phaser.Plugin.ArcadeSlopes.Facade.createBodyPolygon(body, body.slopes.shape);
+	} else {
+		// Phaser already scales the body's size with its sprite
+		body.polygon = new SAT.Box(
+			new SAT.Vector(body.x, body.y),
+			body.width,
+			body.height
+		).toPolygon();
+	}
+	
+	body.slopes.shapeState = Phaser.Plugin.ArcadeSlopes.Facade.getBodyShapeState(body);
+};
+
+/**
+ * Get the properties of a physics body and its sprite that its SAT shape is
+ * created from.
+ *
+ * Body offsets aren't included because the shape is positioned with the body.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#getBodyShapeState
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * @return {object}                          - The shape state.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.getBodyShapeState = function (body) {
+	return {
+		width: body.width,
+		height: body.height,
+		isCircle: body.isCircle,
+		radius: body.radius,
+		flipX: body.sprite.scale.x < 0,
+		flipY: body.sprite.scale.y < 0,
+		shape: body.slopes.shape
+	};
+};
+
+/**
+ * Determine whether the SAT shape of a physics body is out of date with the
+ * body's size, its circle or the scale of its sprite.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#shouldUpdateBodyShape
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * @return {boolean}                         - Whether the shape needs to be created again.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.shouldUpdateBodyShape = function (body) {
+	var state = body.slopes.shapeState;
+	
+	return !state ||
+		state.width !== body.width ||
+		state.height !== body.height ||
+		state.isCircle !== body.isCircle ||
+		state.radius !== body.radius ||
+		state.flipX !== body.sprite.scale.x < 0 ||
+		state.flipY !== body.sprite.scale.y < 0 ||
+		state.shape !== body.slopes.shape;
+};
+
+/**
+ * Create the SAT polygon of a physics body from a polygon shape.
+ *
+ * The shape is stretched to fit the body, which Phaser scales along with its
+ * sprite, and mirrored if the sprite is flipped. Its points are relative to the
+ * body's position, which already includes its offset.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#createBodyPolygon
+ * @param  {Phaser.Physics.Arcade.Body} body  - The physics body.
+ * @param  {SAT.Vector[]}               shape - The points of the shape, relative to the top left of its bounds.
+ * @return {SAT.Polygon}                      - The SAT polygon.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.createBodyPolygon = function (body, shape) {
+	var width = 0;
+	var height = 0;
+	var i;
+	
+	for (i = 0; i < shape.length; i++) {
+		width = Math.max(width, shape[i].x);
+		height = Math.max(height, shape[i].y);
+	}
+	
+	var flipX = body.sprite.scale.x < 0;
+	var flipY = body.sprite.scale.y < 0;
+	var points = [];
+	
+	for (i = 0; i < shape.length; i++) {
+		var x = shape[i].x * body.width / width;
+		var y = shape[i].y * body.height / height;
+		
+		points.push(new SAT.Vector(
+			flipX ? body.width - x : x,
+			flipY ? body.height - y : y
+		));
+	}
+	
+	// Mirroring the shape on one axis reverses its winding
+	if (flipX !== flipY) {
+		points.reverse();
+	}
+	
+	return new SAT.Polygon(new SAT.Vector(body.x, body.y), points);
 };
 
 /**
@@ -155,9 +360,170 @@ Phaser.Plugin.ArcadeSlopes.Facade.prototype.convertTilemapLayer = function (laye
 	return this.factory.convertTilemapLayer(layer, slopeMap, index);
 };
 
+/**
+ * Converts a Tiled object layer of the given tilemap into static colliders.
+ *
+ * Collide sprites with the returned layer as you would a tilemap layer.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#convertObjectLayer
+ * @param  {Phaser.Tilemap}                         map       - The map containing the object layer.
+ * @param  {string}                                 layerName - The name of the object layer.
+ * @param  {integer}                                cellSize  - An optional size for the cells of the spatial index.
+ * @return {Phaser.Plugin.ArcadeSlopes.ObjectLayer}           - The layer of static colliders.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.prototype.convertObjectLayer = function (map, layerName, cellSize) {
+	return this.factory.convertObjectLayer(map, layerName, cellSize);
+};
+
+/**
+ * Define a named material for tile slopes.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#defineMaterial
+ * @param  {string} name     - The name of the material.
+ * @param  {object} material - The friction, restitution and surfaceVelocity of the material.
+ * @return {object}          - The defined material.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.prototype.defineMaterial = function (name, material) {
+	return this.factory.defineMaterial(name, material);
+};
+
+/**
+ * Give the tile slopes of a converted tilemap layer materials by tile index.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#mapMaterials
+ * @param  {Phaser.TilemapLayer} layer       - The converted tilemap layer.
+ * @param  {object}              materialMap - A map of tilemap indexes to material names.
+ * @return {Phaser.TilemapLayer}             - The tilemap layer.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.prototype.mapMaterials = function (layer, materialMap) {
+	return this.factory.mapMaterials(layer, materialMap);
+};
+
+/**
+ * Register a collision solver.
+ *
+ * Solvers must implement a collide() method with the same signature as
+ * Phaser.Plugin.ArcadeSlopes.SatSolver#collide. They can optionally implement
+ * preUpdate(), postUpdate(), resetGround(), resetContacts(), shouldSweep(),
+ * sweep(), stepUp(), shouldResolve(), resolve(), snap(), stick(), sense() and
+ * track() too.
+ *
+ * The facade's general options, like preferY and gravity, set the options of
+ * whichever solver is the default. Options that only the SAT solver supports,
+ * like sweep and iterative, always set the SAT solver's options.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#registerSolver
+ * @param  {string} name   - The name of the solver.
+ * @param  {object} solver - The solver.
+ * @return {object}        - The solver.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.prototype.registerSolver = function (name, solver) {
+	this.solvers[name] = solver;
+	
+	return solver;
+};
+
+/**
+ * Resolve a collision solver by name, falling back to the default solver if
+ * it isn't registered.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#resolveSolver
+ * @param  {string} name - The name of the solver.
+ * @return {object}      - The solver.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.prototype.resolveSolver = function (name) {
+	if (name && this.solvers.hasOwnProperty(name)) {
+		return this.solvers[name];
+	}
+	
+	return this.solvers[this.defaultSolver];
+};
+
+/**
+ * Get the options of a collision solver, which the facade's options configure.
+ *
+ * Uses the default solver if no solver is named. Gives the solver an empty
+ * options object if it doesn't have one.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#getSolverOptions
+ * @param  {string} [name] - The name of the solver.
+ * @return {object}        - The options of the solver.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.prototype.getSolverOptions = function (name) {
+	var solver = this.resolveSolver(name || this.defaultSolver);
+	
+	solver.options = solver.options || {};
+	
+	return solver.options;
+};
+
+/**
+ * Get the collision solver for a tilemap layer.
+ *
+ * Uses the solver named by the layer's 'solver' property, or the default
+ * solver.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#getLayerSolver
+ * @param  {Phaser.TilemapLayer} tilemapLayer - The tilemap layer.
+ * @return {object}                           - The solver.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.prototype.getLayerSolver = function (tilemapLayer) {
+	var properties = tilemapLayer.layer.properties;
+	
+	return this.resolveSolver(properties && properties.solver);
+};
+
+/**
+ * Get the collision solver for a tile.
+ *
+ * Uses the solver named by the tile's slope, the solver of the tile's layer,
+ * or the default solver, in that order.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#getTileSolver
+ * @param  {Phaser.Tile} tile - The tile.
+ * @return {object}           - The solver.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.prototype.getTileSolver = function (tile) {
+	if (tile.slope && tile.slope.solver && this.solvers.hasOwnProperty(tile.slope.solver)) {
+		return this.solvers[tile.slope.solver];
+	}
+	
+	var properties = tile.layer && tile.layer.properties;
+	
+	return this.resolveSolver(properties && properties.solver);
+};
+
+/**
+ * Group tiles by the collision solver they use.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#groupTiles
+ * @param  {Phaser.Tile[]} tiles - The tiles.
+ * @return {object[]}            - The groups of tiles, with their solver, in the order their solvers were found.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.prototype.groupTiles = function (tiles) {
+	var groups = [];
+	var g;
+	
+	for (var i = 0; i < tiles.length; i++) {
+		var solver = this.getTileSolver(tiles[i]);
+		
+		for (g = 0; g < groups.length && groups[g].solver !== solver; g++);
+		
+		if (g === groups.length) {
+			groups.push({ solver: solver, tiles: [] });
+		}
+		
+		groups[g].tiles.push(tiles[i]);
+	}
+	
+	return groups;
+};
+
 /**
  * Collides a physics body against a tile.
  *
+ * Uses the collision solver for the tile.
+ *
  * @method Phaser.Plugin.ArcadeSlopes.Facade#collide
  * @param  {integer}                    i            - The tile index.
  * @param  {Phaser.Physics.Arcade.Body} body         - The physics body.
@@ -167,7 +533,23 @@ Phaser.Plugin.ArcadeSlopes.Facade.prototype.convertTilemapLayer = function (laye
  * @return {boolean}                                 - Whether the body was separated.
  */
 Phaser.Plugin.ArcadeSlopes.Facade.prototype.collide = function (i, body, tile, tilemapLayer, overlapOnly) {
-	return this.solvers.sat.collide(i, body, tile, tilemapLayer, overlapOnly);
+	return this.getTileSolver(tile).collide(i, body, tile, tilemapLayer, overlapOnly);
+};
+
+/**
+ * Cast a ray against a converted tilemap layer or object layer.
+ *
+ * Returns the first tile slope polygon edge hit by the ray, or null if it
+ * doesn't hit anything.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Facade#raycast
+ * @param  {Phaser.TilemapLayer|Phaser.Plugin.ArcadeSlopes.ObjectLayer} layer - The layer to cast against.
+ * @param  {Phaser.Point}                                              from  - The world position to cast from.
+ * @param  {Phaser.Point}                                              to    - The world position to cast to.
+ * @return {object|null}                                                     - The hit point, surface normal, distance and tile.
+ */
+Phaser.Plugin.ArcadeSlopes.Facade.prototype.raycast = function (layer, from, to) {
+	return this.raycaster.raycast(layer, from, to);
 };
 
 /**
@@ -181,10 +563,48 @@ Phaser.Plugin.ArcadeSlopes.Facade.prototype.collide = function (i, body, tile, t
  */
 Object.defineProperty(Phaser.Plugin.ArcadeSlopes.Facade.prototype, 'preferY', {
 	get: function () {
-		return this.solvers.sat.options.preferY;
+		return this.getSolverOptions().preferY;
+	},
+	set: function (enabled) {
+		this.getSolverOptions().preferY = !!enabled;
+	}
+});
+
+/**
+ * Whether to prefer X axis separation in an attempt to prevent physics bodies
+ * from sliding along walls when they are separated.
+ *
+ * Disabled by default. Only relevant in a game with sideways gravity.
+ *
+ * @name Phaser.Plugin.ArcadeSlopes.Facade#preferX
+ * @property {boolean} preferX
+ */
+Object.defineProperty(Phaser.Plugin.ArcadeSlopes.Facade.prototype, 'preferX', {
+	get: function () {
+		return this.getSolverOptions().preferX;
 	},
 	set: function (enabled) {
-		this.solvers.sat.options.preferY = !!enabled;
+		this.getSolverOptions().preferX = !!enabled;
+	}
+});
+
+/**
+ * The direction of gravity to assume for every physics body when separating
+ * them from tiles and working out their ground state.
+ *
+ * Null by default, which uses the gravity of the arcade physics world and each
+ * body. Set it for games that flip gravity or handle it themselves. The
+ * preferred axes of the preferY and preferX options follow it.
+ *
+ * @name Phaser.Plugin.ArcadeSlopes.Facade#gravity
+ * @property {Phaser.Point} gravity
+ */
+Object.defineProperty(Phaser.Plugin.ArcadeSlopes.Facade.prototype, 'gravity', {
+	get: function () {
+		return this.getSolverOptions().gravity;
+	},
+	set: function (gravity) {
+		this.getSolverOptions().gravity = gravity || null;
 	}
 });
 
@@ -199,9 +619,84 @@ Object.defineProperty(Phaser.Plugin.ArcadeSlopes.Facade.prototype, 'preferY', {
  */
 Object.defineProperty(Phaser.Plugin.ArcadeSlopes.Facade.prototype, 'heuristics', {
 	get: function () {
-		return this.solvers.sat.options.restrain;
+		return this.getSolverOptions().restrain;
+	},
+	set: function (enabled) {
+		this.getSolverOptions().restrain = !!enabled;
+	}
+});
+
+/**
+ * Whether to sweep physics bodies from their previous position to their current
+ * position to prevent them from tunnelling through tiles.
+ *
+ * Disabled by default. Relevant to fast moving bodies. Always sets the SAT
+ * solver's option, the only solver that sweeps.
+ *
+ * @name Phaser.Plugin.ArcadeSlopes.Facade#sweep
+ * @property {boolean} sweep
+ */
+Object.defineProperty(Phaser.Plugin.ArcadeSlopes.Facade.prototype, 'sweep', {
+	get: function () {
+		return this.getSolverOptions(Phaser.Plugin.ArcadeSlopes.SAT).sweep;
+	},
+	set: function (enabled) {
+		this.getSolverOptions(Phaser.Plugin.ArcadeSlopes.SAT).sweep = !!enabled;
+	}
+});
+
+/**
+ * Whether to avoid separating physics bodies through the internal edges
+ * between connected tiles, using the next best edge instead.
+ *
+ * Disabled by default. With this enabled, heuristics can usually be disabled.
+ * Circular physics bodies aren't affected. Always sets the SAT solver's option.
+ *
+ * @name Phaser.Plugin.ArcadeSlopes.Facade#ignoreInternalEdges
+ * @property {boolean} ignoreInternalEdges
+ */
+Object.defineProperty(Phaser.Plugin.ArcadeSlopes.Facade.prototype, 'ignoreInternalEdges', {
+	get: function () {
+		return this.getSolverOptions(Phaser.Plugin.ArcadeSlopes.SAT).ignoreInternalEdges;
 	},
 	set: function (enabled) {
-		this.solvers.sat.options.restrain = !!enabled;
+		this.getSolverOptions(Phaser.Plugin.ArcadeSlopes.SAT).ignoreInternalEdges = !!enabled;
+	}
+});
+
+/**
+ * Whether to gather all of the overlaps of a physics body first and resolve
+ * them deepest first, over several passes, instead of in the order the tiles
+ * are found.
+ *
+ * Disabled by default. Relevant to tight spaces where bodies overlap several
+ * tiles at once. Always sets the SAT solver's option.
+ *
+ * @name Phaser.Plugin.ArcadeSlopes.Facade#iterative
+ * @property {boolean} iterative
+ */
+Object.defineProperty(Phaser.Plugin.ArcadeSlopes.Facade.prototype, 'iterative', {
+	get: function () {
+		return this.getSolverOptions(Phaser.Plugin.ArcadeSlopes.SAT).iterative;
+	},
+	set: function (enabled) {
+		this.getSolverOptions(Phaser.Plugin.ArcadeSlopes.SAT).iterative = !!enabled;
+	}
+});
+
+/**
+ * The most passes to make when resolving overlaps iteratively.
+ *
+ * 4 by default. Always sets the SAT solver's option.
+ *
+ * @name Phaser.Plugin.ArcadeSlopes.Facade#iterations
+ * @property {integer} iterations
+ */
+Object.defineProperty(Phaser.Plugin.ArcadeSlopes.Facade.prototype, 'iterations', {
+	get: function () {
+		return this.getSolverOptions(Phaser.Plugin.ArcadeSlopes.SAT).iterations;
+	},
+	set: function (iterations) {
+		this.getSolverOptions(Phaser.Plugin.ArcadeSlopes.SAT).iterations = Math.max(1, iterations | 0);
 	}
 });
@@ -0,0 +1,240 @@
+/**
+ * @author Chris Andrew <chris@hexus.io>
+ * @copyright 2016-2017 Chris Andrew
+ * @license MIT
+ */
+
+/**
+ * A layer of static colliders converted from the shapes of a Tiled object
+ * layer.
+ *
+ * Each collider looks enough like a sloped tile for the collision solvers to
+ * treat it as one, and the layer looks enough like a tilemap layer for Arcade
+ * Physics to collide sprites with it. Colliders are indexed by a grid of cells
+ * so that only those near a body are tested.
+ *
+ * @class Phaser.Plugin.ArcadeSlopes.ObjectLayer
+ * @constructor
+ * @param {Phaser.Tilemap} map      - The map the object layer belongs to.
+ * @param {string}         name     - The name of the object layer.
+ * @param {integer}        cellSize - The size of the cells of the spatial index.
+ */
+Phaser.Plugin.ArcadeSlopes.ObjectLayer = function (map, name, cellSize) {
+	/**
+	 * The map the object layer belongs to.
+	 *
+	 * @property {Phaser.Tilemap} map
+	 */
+	this.map = map;
+	
+	/**
+	 * The name of the object layer.
+	 *
+	 * @property {string} name
+	 */
+	this.name = name;
+	
+	/**
+	 * The layer data shared by the colliders, in place of a tilemap layer's.
+	 *
+	 * @property {object} layer
+	 */
+	this.layer = {
+		name: name,
+		properties: {},
+		callbacks: []
+	};
+	
+	/**
+	 * Lets Arcade Physics collide sprites with the layer like a tilemap layer.
+	 *
+	 * @property {integer} physicsType
+	 * @readonly
+	 */
+	this.physicsType = Phaser.TILEMAPLAYER;
+	
+	/**
+	 * Whether the layer exists; Arcade Physics skips layers that don't.
+	 *
+	 * @property {boolean} exists
+	 * @default
+	 */
+	this.exists = true;
+	
+	/**
+	 * The colliders of the layer.
+	 *
+	 * @property {object[]} colliders
+	 */
+	this.colliders = [];
+	
+	/**
+	 * The size of the cells of the spatial index.
+	 *
+	 * @property {integer} cellSize
+	 */
+	this.cellSize = cellSize || 128;
+	
+	/**
+	 * The spatial index of the colliders.
+	 *
+	 * Maps cell keys to the colliders whose bounds overlap each cell.
+	 *
+	 * @property {object} cells
+	 */
+	this.cells = {};
+};
+
+/**
+ * Add a static collider to the layer.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.ObjectLayer#add
+ * @param  {SAT.Vector[]} points     - The world points of a convex polygon or a line segment.
+ * @param  {object}       properties - The properties of the object the shape came from.
+ * @return {object}                  - The collider.
+ */
+Phaser.Plugin.ArcadeSlopes.ObjectLayer.prototype.add = function (points, properties) {
+	var left = Infinity;
+	var top = Infinity;
+	var right = -Infinity;
+	var bottom = -Infinity;
+	var i;
+	
+	for (i = 0; i < points.length; i++) {
+		left = Math.min(left, points[i].x);
+		top = Math.min(top, points[i].y);
+		right = Math.max(right, points[i].x);
+		bottom = Math.max(bottom, points[i].y);
+	}
+	
+	var width = right - left;
+	var height = bottom - top;
+	
+	// Colliders need just enough of a tile's properties for the solvers
+	var collider = {
+		index: this.colliders.length,
+		layer: this.layer,
+		properties: properties || {},
+		worldX: left,
+		worldY: top,
+		width: width,
+		height: height,
+		centerX: width / 2,
+		centerY: height / 2,
+		left: left,
+		top: top,
+		right: right,
+		bottom: bottom,
+		collides: true,
+		collideUp: true,
+		collideDown: true,
+		collideLeft: true,
+		collideRight: true
+	};
+	
+	var polygon = new SAT.Polygon(new SAT.Vector(left, top), points.map(function (point) {
+		return new SAT.Vector(point.x - left, point.y - top);
+	}));
+	
+	// Any side of a collider could be hit
+	var edges = {
+		top:    Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	collider.slope = new Phaser.Plugin.ArcadeSlopes.TileSlope(
+		Phaser.Plugin.ArcadeSlopes.TileSlope.CUSTOM,
+		collider,
+		polygon,
+		null,
+		edges
+	);
+	
+	this.colliders.push(collider);
+	
+	// Index the collider in every cell its bounds overlap
+	var minX = Math.floor(left / this.cellSize);
+	var minY = Math.floor(top / this.cellSize);
+	var maxX = Math.floor(right / this.cellSize);
+	var maxY = Math.floor(bottom / this.cellSize);
+	
+	for (var y = minY; y <= maxY; y++) {
+		for (var x = minX; x <= maxX; x++) {
+			var key = x + ',' + y;
+			
+			this.cells[key] = this.cells[key] || [];
+			this.cells[key].push(collider);
+		}
+	}
+	
+	return collider;
+};
+
+/**
+ * Get the colliders whose bounds overlap the given area.
+ *
+ * Mirrors Phaser.TilemapLayer.getTiles() so that Arcade Physics can collide
+ * sprites with the layer.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.ObjectLayer#getTiles
+ * @param  {number}   x      - The X coordinate of the area.
+ * @param  {number}   y      - The Y coordinate of the area.
+ * @param  {number}   width  - The width of the area.
+ * @param  {number}   height - The height of the area.
+ * @return {object[]}        - The colliders.
+ */
+Phaser.Plugin.ArcadeSlopes.ObjectLayer.prototype.getTiles = function (x, y, width, height) {
+	var colliders = [];
+	var minX = Math.floor(x / this.cellSize);
+	var minY = Math.floor(y / this.cellSize);
+	var maxX = Math.floor((x + width) / this.cellSize);
+	var maxY = Math.floor((y + height) / this.cellSize);
+	
+	for (var cy = minY; cy <= maxY; cy++) {
+		for (var cx = minX; cx <= maxX; cx++) {
+			var cell = this.cells[cx + ',' + cy];
+			
+			if (!cell) {
+				continue;
+			}
+			
+			for (var i = 0; i < cell.length; i++) {
+				var collider = cell[i];
+				
+				if (colliders.indexOf(collider) >= 0) {
+					continue;
+				}
+				
+				if (collider.right < x || collider.left > x + width || collider.bottom < y || collider.top > y + height) {
+					continue;
+				}
+				
+				colliders.push(collider);
+			}
+		}
+	}
+	
+	return colliders;
+};
+
+/**
+ * Object layers are never offset from the world.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.ObjectLayer#getCollisionOffsetX
+ * @return {number}
+ */
+Phaser.Plugin.ArcadeSlopes.ObjectLayer.prototype.getCollisionOffsetX = function () {
+	return 0;
+};
+
+/**
+ * Object layers are never offset from the world.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.ObjectLayer#getCollisionOffsetY
+ * @return {number}
+ */
+Phaser.Plugin.ArcadeSlopes.ObjectLayer.prototype.getCollisionOffsetY = function () {
+	return 0;
+};
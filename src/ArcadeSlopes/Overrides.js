@@ -88,6 +88,53 @@ Phaser.Plugin.ArcadeSlopes.Overrides.collideSpriteVsTiles = function (sprite, ti
 	return collided;
 };
 
+/**
+ * Resolve the collisions of a sprite with a set of tiles iteratively, deepest
+ * overlap first.
+ *
+ * Tiles that use a different solver are collided with as usual. Collision
+ * callbacks run once for each tile the sprite separated from.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Overrides#resolveSpriteVsTiles
+ * @param  {Phaser.Sprite}       sprite          - The sprite to check.
+ * @param  {Phaser.Tile[]}       tiles           - The tiles to check.
+ * @param  {Phaser.TilemapLayer} tilemapLayer    - The tilemap layer the tiles belong to.
+ * @param  {object}              solver          - The solver of the tiles.
+ * @param  {function}            collideCallback - An optional collision callback.
+ * @param  {function}            processCallback - An optional overlap processing callback.
+ * @param  {object}              callbackContext - The context in which to run the callbacks.
+ * @return {boolean}                             - Whether a collision occurred.
+ */
+Phaser.Plugin.ArcadeSlopes.Overrides.resolveSpriteVsTiles = function (sprite, tiles, tilemapLayer, solver, collideCallback, processCallback, callbackContext) {
+	var resolvable = [];
+	var collided = false;
+	var i;
+	
+	for (i = 0; i < tiles.length; i++) {
+		if (processCallback && !processCallback.call(callbackContext, sprite, tiles[i])) {
+			continue;
+		}
+		
+		if (tiles[i].hasOwnProperty('slope') && this.game.slopes.getTileSolver(tiles[i]) === solver) {
+			resolvable.push(tiles[i]);
+		} else {
+			collided = this.collideSpriteVsTile(i, sprite, tiles[i], tilemapLayer, collideCallback, processCallback, callbackContext, false) || collided;
+		}
+	}
+	
+	var separated = solver.resolve(sprite.body, resolvable, tilemapLayer);
+	
+	for (i = 0; i < separated.length; i++) {
+		this._total++;
+		
+		if (collideCallback) {
+			collideCallback.call(callbackContext, sprite, separated[i]);
+		}
+	}
+	
+	return collided || separated.length > 0;
+};
+
 /**
  * Collide a sprite against a tile map layer.
  * 
@@ -108,24 +155,144 @@ Phaser.Plugin.ArcadeSlopes.Overrides.collideSpriteVsTilemapLayer = function (spr
 		return false;
 	}
 	
+	var body = sprite.body;
+	var slopes = this.game.slopes;
+	var solver = slopes.getLayerSolver(tilemapLayer);
+	var x = body.position.x;
+	var y = body.position.y;
+	var width = body.width;
+	var height = body.height;
+	var i;
+	
+	// Reset the body's ground state if this is a new frame
+	if (typeof solver.resetGround === 'function') {
+		solver.resetGround(body);
+	}
+	
+	// Reset the body's contacts if this is a new frame
+	if (typeof solver.resetContacts === 'function') {
+		solver.resetContacts(body);
+	}
+	
+	// Bring the body's shape up to date; rotated bodies need the tiles around
+	// their rotated polygon
+	if (typeof solver.updateShape === 'function' && body.slopes && body.polygon) {
+		solver.updateShape(body);
+		
+		if (body.polygon.angle) {
+			var left = Infinity;
+			var top = Infinity;
+			var right = -Infinity;
+			var bottom = -Infinity;
+			
+			for (i = 0; i < body.polygon.calcPoints.length; i++) {
+				left = Math.min(left, body.polygon.calcPoints[i].x);
+				top = Math.min(top, body.polygon.calcPoints[i].y);
+				right = Math.max(right, body.polygon.calcPoints[i].x);
+				bottom = Math.max(bottom, body.polygon.calcPoints[i].y);
+			}
+			
+			x += left;
+			y += top;
+			width = right - left;
+			height = bottom - top;
+		}
+	}
+	
+	// Swept bodies need the tiles along their whole movement, whichever solver
+	// sweeps them
+	var sweep = false;
+	
+	for (var name in slopes.solvers) {
+		sweep = sweep || !overlapOnly && typeof slopes.solvers[name].sweep === 'function' && slopes.solvers[name].shouldSweep(body);
+	}
+	
+	if (sweep) {
+		x = Math.min(x, x + body.prev.x - body.position.x);
+		y = Math.min(y, y + body.prev.y - body.position.y);
+		width += Math.abs(body.position.x - body.prev.x);
+		height += Math.abs(body.position.y - body.prev.y);
+	}
+	
 	var tiles = tilemapLayer.getTiles(
-		sprite.body.position.x - sprite.body.tilePadding.x - tilemapLayer.getCollisionOffsetX(),
-		sprite.body.position.y - sprite.body.tilePadding.y - tilemapLayer.getCollisionOffsetY(),
-		sprite.body.width      + sprite.body.tilePadding.x,
-		sprite.body.height     + sprite.body.tilePadding.y,
+		x      - body.tilePadding.x - tilemapLayer.getCollisionOffsetX(),
+		y      - body.tilePadding.y - tilemapLayer.getCollisionOffsetY(),
+		width  + body.tilePadding.x,
+		height + body.tilePadding.y,
 		false,
 		false
 	);
 	
-	if (tiles.length === 0) {
-		return false;
+	// Each solver handles the tiles that use it
+	var groups = slopes.groupTiles(tiles);
+	var solvers = [solver];
+	var collided = false;
+	var group, stuck;
+	
+	for (i = 0; i < groups.length; i++) {
+		if (solvers.indexOf(groups[i].solver) < 0) {
+			solvers.push(groups[i].solver);
+		}
 	}
 	
-	var collided = this.collideSpriteVsTiles(sprite, tiles, tilemapLayer, collideCallback, processCallback, callbackContext, overlapOnly);
+	// Solvers find the tiles to step up onto and stick to themselves, so limit
+	// them to their own
+	function filter(owner) {
+		return function (tile) {
+			return slopes.getTileSolver(tile) === owner;
+		};
+	}
 	
-	if (!collided && !overlapOnly) {
-		// TODO: This call is too hacky and solver-specific
-		this.game.slopes.solvers.sat.snap(sprite.body, tiles, tilemapLayer);
+	// Move swept bodies back to where they first hit a tile
+	for (i = 0; sweep && i < groups.length; i++) {
+		group = groups[i];
+		
+		if (typeof group.solver.sweep === 'function' && group.solver.shouldSweep(body)) {
+			group.solver.sweep(body, group.tiles, tilemapLayer);
+		}
+	}
+	
+	// Lift grounded bodies onto ledges that are low enough to step up
+	for (i = 0; tiles.length > 0 && !overlapOnly && i < solvers.length; i++) {
+		if (typeof solvers[i].stepUp === 'function') {
+			solvers[i].stepUp(body, tilemapLayer, filter(solvers[i]));
+		}
+	}
+	
+	for (i = 0; i < groups.length; i++) {
+		group = groups[i];
+		
+		// Resolve overlaps deepest first if the solver supports it
+		if (!overlapOnly && typeof group.solver.resolve === 'function' && group.solver.shouldResolve(body)) {
+			collided = this.resolveSpriteVsTiles(sprite, group.tiles, tilemapLayer, group.solver, collideCallback, processCallback, callbackContext) || collided;
+		} else {
+			collided = this.collideSpriteVsTiles(sprite, group.tiles, tilemapLayer, collideCallback, processCallback, callbackContext, overlapOnly) || collided;
+		}
+	}
+	
+	// Snap bodies that didn't collide with anything to the tiles around them
+	for (i = 0; !collided && !overlapOnly && i < groups.length; i++) {
+		if (typeof groups[i].solver.snap === 'function') {
+			groups[i].solver.snap(body, groups[i].tiles, tilemapLayer);
+		}
+	}
+	
+	// Keep bodies that have left the ground stuck to any ground just below
+	for (i = 0; !collided && !overlapOnly && !stuck && i < solvers.length; i++) {
+		if (typeof solvers[i].stick === 'function') {
+			stuck = solvers[i].stick(body, tilemapLayer, filter(solvers[i]));
+		}
+	}
+	
+	// Detect the sensor tiles the body ends up overlapping
+	if (typeof solver.sense === 'function') {
+		solver.sense(body, tiles, tilemapLayer);
+	}
+	
+	// Update the body's rotation and gravity once the frame's collisions are
+	// done, rather than once for each layer
+	if (!overlapOnly && typeof solver.track === 'function') {
+		solver.track(body);
 	}
 	
 	return collided;
@@ -281,7 +448,7 @@ Phaser.Plugin.ArcadeSlopes.Overrides.renderDebug = function () {
 	var normStartX = (left + ((1 << 20) * width)) % width;
 	var normStartY = (top + ((1 << 20) * height)) % height;
 	
-	var tx, ty, x, y, xmax, ymax, polygon, i, j;
+	var tx, ty, x, y, xmax, ymax, polygon, p, i, j;
 	
 	for (y = normStartY, ymax = bottom - top, ty = baseY; ymax >= 0; y++, ymax--, ty += th) {
 		if (y >= height) {
@@ -300,12 +467,12 @@ Phaser.Plugin.ArcadeSlopes.Overrides.renderDebug = function () {
 			if (!tile || tile.index < 0 || !tile.collides) {
 				continue;
 			}
-
+			
 			if (this.debugSettings.collidingTileOverfill) {
 				context.fillStyle = this.debugSettings.collidingTileOverfill;
 				context.fillRect(tx, ty, cw, ch);
 			}
-
+			
 			if (this.debugSettings.facingEdgeStroke) {
 				context.beginPath();
 				
@@ -344,20 +511,22 @@ Phaser.Plugin.ArcadeSlopes.Overrides.renderDebug = function () {
 						
 						context.lineWidth = 1;
 						
-						polygon = tile.slope.polygon;
-						
-						// Move to the first vertex
-						context.moveTo(tx + polygon.points[0].x * scaleX, ty + polygon.points[0].y * scaleY);
-						
-						// Draw a path through all vertices
-						for (i = 0; i < polygon.points.length; i++) {
-							j = (i + 1) % polygon.points.length;
+						for (p = 0; p < tile.slope.polygons.length; p++) {
+							polygon = tile.slope.polygons[p];
+							
+							// Move to the first vertex
+							context.moveTo(tx + polygon.points[0].x * scaleX, ty + polygon.points[0].y * scaleY);
 							
-							context.lineTo(tx + polygon.points[j].x * scaleX, ty + polygon.points[j].y * scaleY);
+							// Draw a path through all vertices
+							for (i = 0; i < polygon.points.length; i++) {
+								j = (i + 1) % polygon.points.length;
+								
+								context.lineTo(tx + polygon.points[j].x * scaleX, ty + polygon.points[j].y * scaleY);
+							}
+							
+							context.closePath();
 						}
 						
-						context.closePath();
-						
 						if (this.debugSettings.slopeEdgeStroke) {
 							context.strokeStyle = this.debugSettings.slopeEdgeStroke;
 							context.stroke();
@@ -376,17 +545,19 @@ Phaser.Plugin.ArcadeSlopes.Overrides.renderDebug = function () {
 						context.lineWidth = this.debugSettings.slopeCollidingEdgeStrokeWidth || 1;
 						context.strokeStyle = this.debugSettings.slopeCollidingEdgeStroke;
 						
-						polygon = tile.slope.polygon;
-						
-						for (i = 0; i < polygon.points.length; i++) {
-							j = (i + 1) % polygon.points.length;
-							
-							// Skip internal edges
-							if (polygon.points[i].internal)
-								continue;
+						for (p = 0; p < tile.slope.polygons.length; p++) {
+							polygon = tile.slope.polygons[p];
 							
-							context.moveTo(tx + polygon.points[i].x * scaleX, ty + polygon.points[i].y * scaleY);
-							context.lineTo(tx + polygon.points[j].x * scaleX, ty + polygon.points[j].y * scaleY);
+							for (i = 0; i < polygon.points.length; i++) {
+								j = (i + 1) % polygon.points.length;
+								
+								// Skip internal edges
+								if (polygon.points[i].internal)
+									continue;
+								
+								context.moveTo(tx + polygon.points[i].x * scaleX, ty + polygon.points[i].y * scaleY);
+								context.lineTo(tx + polygon.points[j].x * scaleX, ty + polygon.points[j].y * scaleY);
+							}
 						}
 						
 						context.closePath();
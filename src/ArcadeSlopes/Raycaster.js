@@ -0,0 +1,260 @@
+/**
+ * @author Chris Andrew <chris@hexus.io>
+ * @copyright 2016-2017 Chris Andrew
+ * @license MIT
+ */
+
+/**
+ * Casts rays against the tile slope polygons of converted tilemap layers.
+ *
+ * Walks the tiles that a ray crosses, in order, and intersects the ray with the
+ * polygon of each one until it hits something.
+ *
+ * @class Phaser.Plugin.ArcadeSlopes.Raycaster
+ * @constructor
+ */
+Phaser.Plugin.ArcadeSlopes.Raycaster = function () {
+	/**
+	 * A reusable vector for the ray being cast.
+	 *
+	 * @property {SAT.Vector} ray
+	 */
+	this.ray = new SAT.Vector();
+	
+	/**
+	 * A reusable vector for the start of the ray being cast.
+	 *
+	 * @property {SAT.Vector} origin
+	 */
+	this.origin = new SAT.Vector();
+};
+
+/**
+ * Find where two line segments intersect.
+ *
+ * Returns the fraction of the first segment at which the intersection occurs,
+ * or -1 if the segments don't intersect.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.Raycaster#intersectSegments
+ * @param  {SAT.Vector} start - The start of the first segment.
+ * @param  {SAT.Vector} ray   - The vector of the first segment.
+ * @param  {SAT.Vector} a     - The start of the second segment.
+ * @param  {SAT.Vector} b     - The end of the second segment.
+ * @return {number}           - The fraction of the first segment, from 0 to 1.
+ */
+Phaser.Plugin.ArcadeSlopes.Raycaster.intersectSegments = function (start, ray, a, b) {
+	var edgeX = b.x - a.x;
+	var edgeY = b.y - a.y;
+	var denominator = ray.x * edgeY - ray.y * edgeX;
+	
+	// Parallel segments never intersect for our purposes
+	if (denominator === 0) {
+		return -1;
+	}
+	
+	var offsetX = a.x - start.x;
+	var offsetY = a.y - start.y;
+	
+	var t = (offsetX * edgeY - offsetY * edgeX) / denominator;
+	var u = (offsetX * ray.y - offsetY * ray.x) / denominator;
+	
+	if (t < 0 || t > 1 || u < 0 || u > 1) {
+		return -1;
+	}
+	
+	return t;
+};
+
+/**
+ * Cast a ray against a converted tilemap layer or object layer.
+ *
+ * Returns the first hit along the ray, or null if it doesn't hit anything.
+ * Internal polygon edges are ignored, as are the edges of any tile the ray
+ * starts inside of.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Raycaster#raycast
+ * @param  {Phaser.TilemapLayer|Phaser.Plugin.ArcadeSlopes.ObjectLayer} layer - The layer to cast against.
+ * @param  {Phaser.Point}                                              from  - The world position to cast from.
+ * @param  {Phaser.Point}                                              to    - The world position to cast to.
+ * @return {object|null}                                                     - The hit point, surface normal, distance and tile.
+ */
+Phaser.Plugin.ArcadeSlopes.Raycaster.prototype.raycast = function (layer, from, to) {
+	// Object layers can't be walked tile by tile, so cast against the colliders
+	// within the bounds of the ray instead
+	if (layer instanceof Phaser.Plugin.ArcadeSlopes.ObjectLayer) {
+		return this.raycastTiles(
+			layer.getTiles(
+				Math.min(from.x, to.x),
+				Math.min(from.y, to.y),
+				Math.abs(to.x - from.x),
+				Math.abs(to.y - from.y)
+			),
+			from,
+			to,
+			layer.getCollisionOffsetX(),
+			layer.getCollisionOffsetY()
+		);
+	}
+	
+	var offsetX = layer.getCollisionOffsetX();
+	var offsetY = layer.getCollisionOffsetY();
+	var tileWidth = layer.map.tileWidth;
+	var tileHeight = layer.map.tileHeight;
+	var data = layer.layer.data;
+	
+	this.origin.x = from.x;
+	this.origin.y = from.y;
+	this.ray.x = to.x - from.x;
+	this.ray.y = to.y - from.y;
+	
+	if (!this.ray.x && !this.ray.y) {
+		return null;
+	}
+	
+	// Work out the tile the ray starts in, relative to the layer
+	var localX = from.x - offsetX;
+	var localY = from.y - offsetY;
+	var x = Math.floor(localX / tileWidth);
+	var y = Math.floor(localY / tileHeight);
+	
+	// Work out how far along the ray we need to travel to cross a tile on
+	// each axis, and how far we are from crossing the first
+	var stepX = this.ray.x > 0 ? 1 : -1;
+	var stepY = this.ray.y > 0 ? 1 : -1;
+	var deltaX = this.ray.x ? Math.abs(tileWidth / this.ray.x) : Infinity;
+	var deltaY = this.ray.y ? Math.abs(tileHeight / this.ray.y) : Infinity;
+	var nextX = this.ray.x ? ((stepX > 0 ? (x + 1) * tileWidth - localX : localX - x * tileWidth) / Math.abs(this.ray.x)) : Infinity;
+	var nextY = this.ray.y ? ((stepY > 0 ? (y + 1) * tileHeight - localY : localY - y * tileHeight) / Math.abs(this.ray.y)) : Infinity;
+	
+	// Bail if we can't step from tile to tile, like when the map has no tile
+	// size, because we'd never reach the end of the ray
+	if (isNaN(deltaX) || isNaN(deltaY) || isNaN(nextX) || isNaN(nextY)) {
+		return null;
+	}
+	
+	// Walk through each tile the ray crosses until we hit something
+	while (true) {
+		if (y >= 0 && y < data.length && x >= 0 && x < data[y].length) {
+			var hit = this.raycastTile(data[y][x], offsetX, offsetY);
+			
+			if (hit) {
+				return hit;
+			}
+		}
+		
+		if (nextX > 1 && nextY > 1) {
+			break;
+		}
+		
+		if (nextX < nextY) {
+			x += stepX;
+			nextX += deltaX;
+		} else {
+			y += stepY;
+			nextY += deltaY;
+		}
+	}
+	
+	return null;
+};
+
+/**
+ * Cast a ray against the given tiles only.
+ *
+ * Useful for layers that can't be walked tile by tile, like object layers.
+ * Returns the nearest hit along the ray, or null if it doesn't hit anything.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Raycaster#raycastTiles
+ * @param  {Phaser.Tile[]} tiles   - The tiles to cast against.
+ * @param  {Phaser.Point}  from    - The world position to cast from.
+ * @param  {Phaser.Point}  to      - The world position to cast to.
+ * @param  {number}        offsetX - The X axis collision offset of the tiles' layer.
+ * @param  {number}        offsetY - The Y axis collision offset of the tiles' layer.
+ * @return {object|null}           - The hit point, surface normal, distance and tile.
+ */
+Phaser.Plugin.ArcadeSlopes.Raycaster.prototype.raycastTiles = function (tiles, from, to, offsetX, offsetY) {
+	var nearest = null;
+	
+	this.origin.x = from.x;
+	this.origin.y = from.y;
+	this.ray.x = to.x - from.x;
+	this.ray.y = to.y - from.y;
+	
+	if (!this.ray.x && !this.ray.y) {
+		return null;
+	}
+	
+	for (var i = 0; i < tiles.length; i++) {
+		var hit = this.raycastTile(tiles[i], offsetX || 0, offsetY || 0);
+		
+		if (hit && (!nearest || hit.distance < nearest.distance)) {
+			nearest = hit;
+		}
+	}
+	
+	return nearest;
+};
+
+/**
+ * Cast the current ray against a single tile.
+ *
+ * Only hits the edges of the tile's polygon that face the ray.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.Raycaster#raycastTile
+ * @param  {Phaser.Tile} tile    - The tile to cast against.
+ * @param  {number}      offsetX - The X axis collision offset of the tile's layer.
+ * @param  {number}      offsetY - The Y axis collision offset of the tile's layer.
+ * @return {object|null}         - The hit point, surface normal, distance and tile.
+ */
+Phaser.Plugin.ArcadeSlopes.Raycaster.prototype.raycastTile = function (tile, offsetX, offsetY) {
+	if (!tile || !tile.collides || !tile.slope || !tile.slope.polygon || tile.slope.sensor) {
+		return null;
+	}
+	
+	var nearest = -1;
+	var normal = null;
+	
+	for (var p = 0; p < tile.slope.polygons.length; p++) {
+		var polygon = tile.slope.polygons[p];
+		
+		// Update the tile polygon position
+		polygon.pos.x = tile.worldX + offsetX;
+		polygon.pos.y = tile.worldY + offsetY;
+		
+		for (var i = 0; i < polygon.calcPoints.length; i++) {
+			// Skip internal edges and edges facing away from the ray
+			if (polygon.points[i].internal || polygon.normals[i].dot(this.ray) >= 0) {
+				continue;
+			}
+			
+			var j = (i + 1) % polygon.calcPoints.length;
+			
+			var t = Phaser.Plugin.ArcadeSlopes.Raycaster.intersectSegments(
+				this.origin,
+				this.ray,
+				polygon.calcPoints[i].clone().add(polygon.pos),
+				polygon.calcPoints[j].clone().add(polygon.pos)
+			);
+			
+			if (t >= 0 && (nearest < 0 || t < nearest)) {
+				nearest = t;
+				normal = polygon.normals[i];
+			}
+		}
+	}
+	
+	if (nearest < 0) {
+		return null;
+	}
+	
+	return {
+		point: new Phaser.Point(
+			this.origin.x + this.ray.x * nearest,
+			this.origin.y + this.ray.y * nearest
+		),
+		normal: normal.clone(),
+		distance: this.ray.len() * nearest,
+		tile: tile
+	};
+};
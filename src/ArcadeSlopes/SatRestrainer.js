@@ -52,7 +52,7 @@ Phaser.Plugin.ArcadeSlopes.SatRestrainer = function () {
 	 *       overlapX:  {integer}|[{integer}, {integer}]
 	 *       overlapY:  {integer}|[{integer}, {integer}]
 	 *       types:     {array of neighbour TileSlope type constants}
-	 *       separate:  {boolean|function(body, tile, response)}
+	 *       separate:  {boolean|function(body, tile, response, solver)}
 	 *    },
 	 *    {
 	 *      ...
@@ -65,7 +65,7 @@ Phaser.Plugin.ArcadeSlopes.SatRestrainer = function () {
 	 *       neighbour: 'above'|'below'|'left'|'right'|'topLeft'|'topRight'|'bottomLeft'|'bottomRight'
 	 *       direction: 'up'|'down'|'left'|'right'
 	 *       types:     {array of neighbour TileSlope type constants}
-	 *       separate:  {boolean=true|function(body, tile, response)}
+	 *       separate:  {boolean=true|function(body, tile, response, solver)}
 	 *     },
 	 *     {
 	 *       ...
@@ -83,6 +83,29 @@ Phaser.Plugin.ArcadeSlopes.SatRestrainer = function () {
 	 */
 	this.separationAxis = new SAT.Vector();
 	
+	/**
+	 * The faces of a square tile, with their edge names, collision flags and
+	 * outward facing normals.
+	 *
+	 * Opposite faces are paired, so that a face's index XOR 1 is the index of
+	 * the face opposite it.
+	 *
+	 * @property {object[]} faces
+	 */
+	this.faces = [
+		{ edge: 'top',    collide: 'collideUp',    normal: new SAT.Vector(0, -1) },
+		{ edge: 'bottom', collide: 'collideDown',  normal: new SAT.Vector(0, 1) },
+		{ edge: 'left',   collide: 'collideLeft',  normal: new SAT.Vector(-1, 0) },
+		{ edge: 'right',  collide: 'collideRight', normal: new SAT.Vector(1, 0) }
+	];
+	
+	/**
+	 * The order to check the faces of a square tile in, by index.
+	 *
+	 * @property {integer[]} faceOrder
+	 */
+	this.faceOrder = [0, 1, 2, 3];
+	
 	// Define all of the default restraints
 	this.setDefaultRestraints();
 };
@@ -147,9 +170,12 @@ Phaser.Plugin.ArcadeSlopes.SatRestrainer.prototype.restrain = function (solver,
 		if (condition) {
 			var separate = rule.separate;
 			
+			// Let the solver know which rule restrained the collision
+			response.restraint = rule;
+			
 			// Resolve the restraint separation decision if it's a function
 			if (typeof separate === 'function') {
-				separate = separate.call(this, body, tile, response);
+				separate = separate.call(this, body, tile, response, solver);
 			}
 			
 			// Separate on the tile's preferred axis by default
@@ -273,50 +299,69 @@ Phaser.Plugin.ArcadeSlopes.SatRestrainer.prepareRestraints = function (restraint
  * This is used for full tile separation constraints to avoid tiny bodies
  * slipping between tile seams.
  *
+ * The faces of the tile are checked relative to the body's gravity; the face
+ * that the body stands on first, then the face opposite it, then the two
+ * walls. The body is separated out of the first face that it reaches past the
+ * tile center towards, and is moving into more than across.
+ *
  * Ignores any non-colliding or internal edges.
  * 
  * Returns a desired axis to separate on, if it can.
  * 
- * @param  {Phaser.Physics.Arcade.Body} body     - The physics body.
- * @param  {Phaser.Tile}                tile     - The tile.
- * @param  {SAT.Response}               response - The initial collision response.
+ * @param  {Phaser.Physics.Arcade.Body}           body     - The physics body.
+ * @param  {Phaser.Tile}                          tile     - The tile.
+ * @param  {SAT.Response}                         response - The initial collision response.
+ * @param  {Phaser.Plugin.ArcadeSlopes.SatSolver} solver   - The SAT solver.
  * @return {SAT.Vector|boolean}
  */
-Phaser.Plugin.ArcadeSlopes.SatRestrainer.prototype.fullTileSeparation = function (body, tile, response) {
-	// If the body is above the tile center and top collisions are allowed,
-	// and we're moving down, and more vertically than horizontally
-	if (body.top < tile.worldY + tile.centerY && tile.collideUp && tile.slope.edges.top !== Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY && body.velocity.y > 0 && Math.abs(body.velocity.y) > Math.abs(body.velocity.x)) {
-		this.separationAxis.x = 0;
-		this.separationAxis.y = -1;
-		
-		return this.separationAxis;
-	}
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.prototype.fullTileSeparation = function (body, tile, response, solver) {
+	var gravity = solver.getGravityAxis(body);
+	var faces = this.faces;
+	var ground = 0;
+	var f;
 	
-	// If the body is below the tile center and bottom collisions are allowed,
-	// and we're moving up, and more vertically than horizontally
-	if (body.bottom > tile.worldY + tile.centerY && tile.collideDown && tile.slope.edges.bottom !== Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY && body.slopes.velocity.y < 0 && Math.abs(body.slopes.velocity.y) > Math.abs(body.slopes.velocity.x)) {
-		this.separationAxis.x = 0;
-		this.separationAxis.y = 1;
-		
-		return this.separationAxis;
+	// Find the face that stands against the body's gravity the most
+	for (f = 1; f < faces.length; f++) {
+		if (faces[f].normal.dot(gravity) < faces[ground].normal.dot(gravity)) {
+			ground = f;
+		}
 	}
 	
-	// If the body is left of the tile center and left collisions are allowed,
-	// and we're moving right, and more horizontally than vertically
-	if (body.left < tile.worldX + tile.centerX && tile.collideLeft && tile.slope.edges.left !== Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY && body.slopes.velocity.x > 0 && Math.abs(body.slopes.velocity.x) > Math.abs(body.slopes.velocity.y)) {
-		this.separationAxis.x = -1;
-		this.separationAxis.y = 0;
-		
-		return this.separationAxis;
-	}
+	// Check the ground first, then the face opposite it, then the walls
+	var order = this.faceOrder;
 	
-	// If the body is right of the tile center and right collisions are allowed,
-	// and we're moving left, and more horizontally than vertically
-	if (body.right > tile.worldX + tile.centerX && tile.collideRight && tile.slope.edges.right !== Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY && body.slopes.velocity.x < 0 && Math.abs(body.slopes.velocity.x) > Math.abs(body.slopes.velocity.y)) {
-		this.separationAxis.x = 1;
-		this.separationAxis.y = 0;
+	order[0] = ground;
+	order[1] = ground ^ 1;
+	order[2] = ground < 2 ? 2 : 0;
+	order[3] = ground < 2 ? 3 : 1;
+	
+	for (var o = 0; o < order.length; o++) {
+		var face = faces[order[o]];
+		var normal = face.normal;
+		
+		// Skip faces that don't collide
+		if (!tile[face.collide] || tile.slope.edges[face.edge] === Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY) {
+			continue;
+		}
+		
+		// Skip faces unless the body reaches past the tile center towards them
+		var bodyEdge = (normal.x > 0 ? body.right : body.left) * normal.x + (normal.y > 0 ? body.bottom : body.top) * normal.y;
+		var tileCenter = (tile.worldX + tile.centerX) * normal.x + (tile.worldY + tile.centerY) * normal.y;
+		
+		if (bodyEdge <= tileCenter) {
+			continue;
+		}
 		
-		return this.separationAxis;
+		// Separate out of the face if the body is moving into it, and more
+		// into it than across it
+		var into = -body.slopes.velocity.dot(normal);
+		var across = body.slopes.velocity.x * normal.y - body.slopes.velocity.y * normal.x;
+		
+		if (into > 0 && into > Math.abs(across)) {
+			this.separationAxis.copy(normal);
+			
+			return this.separationAxis;
+		}
 	}
 	
 	// Otherwise separate normally
@@ -755,148 +800,704 @@ Phaser.Plugin.ArcadeSlopes.SatRestrainer.prototype.setDefaultRestraints = functi
 		}
 	];
 	
-	// Keep a copy of the informal restraints for inspection
-	this.informalRestraints = JSON.parse(JSON.stringify(restraints));
+	restraints.THIRD_BOTTOM_LEFT_LOW = [
+		{
+			direction: 'right',
+			neighbour: 'bottomRight',
+			types: this.resolve('topLeft')
+		},
+		{
+			direction: 'up',
+			neighbour: 'left',
+			types: ['THIRD_BOTTOM_LEFT_MID']
+		},
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightLowerThird', 'bottomRight'),
+			separate: false
+		}
+	];
 	
-	this.restraints = Phaser.Plugin.ArcadeSlopes.SatRestrainer.prepareRestraints(restraints);
-};
-
-/**
- * Compute the intersection of two arrays.
- * 
- * Returns a unique set of values that exist in both arrays.
- *
- * @method Phaser.Plugin.ArcadeSlopes.SatRestrainer#intersectArrays
- * @param  {array} a - The first array.
- * @param  {array} b - The second array.
- * @return {array}   - The unique set of values shared by both arrays.
- */
-Phaser.Plugin.ArcadeSlopes.SatRestrainer.intersectArrays = function (a, b) {
-	return a.filter(function (value) {
-		return b.indexOf(value) !== -1;
-	}).filter(function (value, index, array) {
-		return array.indexOf(value) === index;
-	});
-};
-
-/**
- * Resolve the types of all tiles with vertices in all of the given locations.
- *
- * Locations can be:
- *   'topLeft',    'top',       'topRight',
- *   'left',                       'right',
- *   'bottomLeft', 'bottom', 'bottomRight'
- * 
- * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#resolve
- * @param  {...string} locations - A set of AABB vertex locations as strings.
- * @return {array}               - The tile slope types with matching vertices.
- */
-Phaser.Plugin.ArcadeSlopes.SatRestrainer.prototype.resolve = function () {
-	var types = [];
+	restraints.THIRD_BOTTOM_LEFT_MID = [
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftLowerThird', 'bottomLeft'),
+			separate: function (body, tile) {
+				return body.bottom < tile.bottom;
+			}
+		},
+		{
+			direction: 'up',
+			neighbour: 'left',
+			types: ['THIRD_BOTTOM_LEFT_HIGH']
+		},
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightUpperThird', 'bottomRight'),
+			separate: false
+		}
+	];
 	
-	if (!arguments.length) {
-		return types;
-	}
+	restraints.THIRD_BOTTOM_LEFT_HIGH = [
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftUpperThird', 'bottomLeft'),
+			separate: function (body, tile) {
+				return body.bottom < tile.bottom;
+			}
+		},
+		{
+			direction: 'up',
+			neighbour: 'topLeft',
+			types: this.resolve('bottomRight')
+		}
+	];
 	
-	// Check the vertex maps of the given locations
-	for (var l in arguments) {
-		var location = arguments[l];
-		
-		if (!Phaser.Plugin.ArcadeSlopes.SatRestrainer.hasOwnProperty(location + 'Vertices')) {
-			console.warn('Tried to resolve types from undefined vertex map location \'' + location + '\'');
-			continue;
+	restraints.THIRD_BOTTOM_RIGHT_LOW = [
+		{
+			direction: 'left',
+			neighbour: 'bottomLeft',
+			types: this.resolve('topRight')
+		},
+		{
+			direction: 'up',
+			neighbour: 'right',
+			types: ['THIRD_BOTTOM_RIGHT_MID']
+		},
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftLowerThird', 'bottomLeft'),
+			separate: false
 		}
-		
-		var vertexMap = Array.prototype.slice.call(Phaser.Plugin.ArcadeSlopes.SatRestrainer[location + 'Vertices']);
-		
-		// If we only have one location to match, we can return its vertex map
-		if (arguments.length === 1) {
-			return vertexMap;
+	];
+	
+	restraints.THIRD_BOTTOM_RIGHT_MID = [
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightLowerThird', 'bottomRight'),
+			separate: function (body, tile) {
+				return body.bottom < tile.bottom;
+			}
+		},
+		{
+			direction: 'up',
+			neighbour: 'right',
+			types: ['THIRD_BOTTOM_RIGHT_HIGH']
+		},
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftUpperThird', 'bottomLeft'),
+			separate: false
 		}
-		
-		// If we don't have any types yet, use this vertex map to start with,
-		// otherwise intersect this vertex map with the current types
-		if (!types.length) {
-			types = vertexMap;
-		} else {
-			types = Phaser.Plugin.ArcadeSlopes.SatRestrainer.intersectArrays(types, vertexMap);
+	];
+	
+	restraints.THIRD_BOTTOM_RIGHT_HIGH = [
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightUpperThird', 'bottomRight'),
+			separate: function (body, tile) {
+				return body.bottom < tile.bottom;
+			}
+		},
+		{
+			direction: 'up',
+			neighbour: 'topRight',
+			types: this.resolve('bottomLeft')
 		}
-	}
+	];
 	
-	return types;
-};
-
-// TODO: Automate these definitions instead of relying on tedious heuristics.
-//       Store them in a single vertexMaps property object, too.
-
-/**
- * The set of tile slope types with a top center vertex.
- *
- * @static
- * @property {array} topVertices
- */
-Phaser.Plugin.ArcadeSlopes.SatRestrainer.topVertices = [
-	'HALF_LEFT',
-	'HALF_RIGHT',
-	'QUARTER_LEFT_TOP_LOW',
-	'QUARTER_RIGHT_TOP_LOW',
-	'QUARTER_LEFT_BOTTOM_LOW',
-	'QUARTER_RIGHT_BOTTOM_LOW'
-];
-
-/**
- * The set of tile slope types with a bottom center vertex.
- *
- * @static
- * @property {array} bottomVertices
- */
-Phaser.Plugin.ArcadeSlopes.SatRestrainer.bottomVertices = [
-	'HALF_LEFT',
-	'HALF_RIGHT',
-	'QUARTER_LEFT_TOP_HIGH',
-	'QUARTER_LEFT_BOTTOM_HIGH',
-	'QUARTER_RIGHT_TOP_HIGH',
-	'QUARTER_RIGHT_BOTTOM_HIGH'
-];
-
-/**
- * The set of tile slope types with a left center vertex.
- *
- * @static
- * @property {array} leftVertices
- */
-Phaser.Plugin.ArcadeSlopes.SatRestrainer.leftVertices = [
-	'HALF_TOP',
-	'HALF_BOTTOM',
-	'QUARTER_TOP_LEFT_LOW',
-	'QUARTER_TOP_RIGHT_HIGH',
-	'QUARTER_BOTTOM_LEFT_LOW',
-	'QUARTER_BOTTOM_RIGHT_HIGH'
-];
-
-/**
- * The set of tile slope types with a right center vertex.
- *
- * @static
- * @property {array} rightVertices
- */
-Phaser.Plugin.ArcadeSlopes.SatRestrainer.rightVertices = [
-	'HALF_TOP',
-	'HALF_BOTTOM',
-	'QUARTER_TOP_LEFT_HIGH',
-	'QUARTER_TOP_RIGHT_LOW',
-	'QUARTER_BOTTOM_LEFT_HIGH',
-	'QUARTER_BOTTOM_RIGHT_LOW',
-];
-
-/**
- * The set of tile slope types with a top left vertex.
- *
- * @static
- * @property {array} topLeftVertices
- */
-Phaser.Plugin.ArcadeSlopes.SatRestrainer.topLeftVertices = [
-	'FULL',
+	restraints.THIRD_TOP_LEFT_LOW = [
+		{
+			direction: 'right',
+			neighbour: 'topRight',
+			types: this.resolve('bottomLeft')
+		},
+		{
+			direction: 'down',
+			neighbour: 'left',
+			types: ['THIRD_TOP_LEFT_MID']
+		},
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightUpperThird', 'topRight'),
+			separate: false
+		}
+	];
+	
+	restraints.THIRD_TOP_LEFT_MID = [
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftUpperThird', 'topLeft'),
+			separate: function (body, tile) {
+				return body.top > tile.top;
+			}
+		},
+		{
+			direction: 'down',
+			neighbour: 'left',
+			types: ['THIRD_TOP_LEFT_HIGH']
+		},
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightLowerThird', 'topRight'),
+			separate: false
+		}
+	];
+	
+	restraints.THIRD_TOP_LEFT_HIGH = [
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftLowerThird', 'topLeft'),
+			separate: function (body, tile) {
+				return body.top > tile.top;
+			}
+		},
+		{
+			direction: 'down',
+			neighbour: 'bottomLeft',
+			types: this.resolve('topRight')
+		}
+	];
+	
+	restraints.THIRD_TOP_RIGHT_LOW = [
+		{
+			direction: 'left',
+			neighbour: 'topLeft',
+			types: this.resolve('bottomRight')
+		},
+		{
+			direction: 'down',
+			neighbour: 'right',
+			types: ['THIRD_TOP_RIGHT_MID']
+		},
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftUpperThird', 'topLeft'),
+			separate: false
+		}
+	];
+	
+	restraints.THIRD_TOP_RIGHT_MID = [
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightUpperThird', 'topRight'),
+			separate: function (body, tile) {
+				return body.top > tile.top;
+			}
+		},
+		{
+			direction: 'down',
+			neighbour: 'right',
+			types: ['THIRD_TOP_RIGHT_HIGH']
+		},
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftLowerThird', 'topLeft'),
+			separate: false
+		}
+	];
+	
+	restraints.THIRD_TOP_RIGHT_HIGH = [
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightLowerThird', 'topRight'),
+			separate: function (body, tile) {
+				return body.top > tile.top;
+			}
+		},
+		{
+			direction: 'down',
+			neighbour: 'bottomRight',
+			types: this.resolve('topLeft')
+		}
+	];
+	
+	restraints.FOURTH_BOTTOM_LEFT_LOW = [
+		{
+			direction: 'right',
+			neighbour: 'bottomRight',
+			types: this.resolve('topLeft')
+		},
+		{
+			direction: 'up',
+			neighbour: 'left',
+			types: ['FOURTH_BOTTOM_LEFT_LOW_MID']
+		},
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightLowerQuarter', 'bottomRight'),
+			separate: false
+		}
+	];
+	
+	restraints.FOURTH_BOTTOM_LEFT_LOW_MID = [
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftLowerQuarter', 'bottomLeft'),
+			separate: function (body, tile) {
+				return body.bottom < tile.bottom;
+			}
+		},
+		{
+			direction: 'up',
+			neighbour: 'left',
+			types: ['FOURTH_BOTTOM_LEFT_HIGH_MID']
+		},
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('right', 'bottomRight'),
+			separate: false
+		}
+	];
+	
+	restraints.FOURTH_BOTTOM_LEFT_HIGH_MID = [
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('left', 'bottomLeft'),
+			separate: function (body, tile) {
+				return body.bottom < tile.bottom;
+			}
+		},
+		{
+			direction: 'up',
+			neighbour: 'left',
+			types: ['FOURTH_BOTTOM_LEFT_HIGH']
+		},
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightUpperQuarter', 'bottomRight'),
+			separate: false
+		}
+	];
+	
+	restraints.FOURTH_BOTTOM_LEFT_HIGH = [
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftUpperQuarter', 'bottomLeft'),
+			separate: function (body, tile) {
+				return body.bottom < tile.bottom;
+			}
+		},
+		{
+			direction: 'up',
+			neighbour: 'topLeft',
+			types: this.resolve('bottomRight')
+		}
+	];
+	
+	restraints.FOURTH_BOTTOM_RIGHT_LOW = [
+		{
+			direction: 'left',
+			neighbour: 'bottomLeft',
+			types: this.resolve('topRight')
+		},
+		{
+			direction: 'up',
+			neighbour: 'right',
+			types: ['FOURTH_BOTTOM_RIGHT_LOW_MID']
+		},
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftLowerQuarter', 'bottomLeft'),
+			separate: false
+		}
+	];
+	
+	restraints.FOURTH_BOTTOM_RIGHT_LOW_MID = [
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightLowerQuarter', 'bottomRight'),
+			separate: function (body, tile) {
+				return body.bottom < tile.bottom;
+			}
+		},
+		{
+			direction: 'up',
+			neighbour: 'right',
+			types: ['FOURTH_BOTTOM_RIGHT_HIGH_MID']
+		},
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('left', 'bottomLeft'),
+			separate: false
+		}
+	];
+	
+	restraints.FOURTH_BOTTOM_RIGHT_HIGH_MID = [
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('right', 'bottomRight'),
+			separate: function (body, tile) {
+				return body.bottom < tile.bottom;
+			}
+		},
+		{
+			direction: 'up',
+			neighbour: 'right',
+			types: ['FOURTH_BOTTOM_RIGHT_HIGH']
+		},
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftUpperQuarter', 'bottomLeft'),
+			separate: false
+		}
+	];
+	
+	restraints.FOURTH_BOTTOM_RIGHT_HIGH = [
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightUpperQuarter', 'bottomRight'),
+			separate: function (body, tile) {
+				return body.bottom < tile.bottom;
+			}
+		},
+		{
+			direction: 'up',
+			neighbour: 'topRight',
+			types: this.resolve('bottomLeft')
+		}
+	];
+	
+	restraints.FOURTH_TOP_LEFT_LOW = [
+		{
+			direction: 'right',
+			neighbour: 'topRight',
+			types: this.resolve('bottomLeft')
+		},
+		{
+			direction: 'down',
+			neighbour: 'left',
+			types: ['FOURTH_TOP_LEFT_LOW_MID']
+		},
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightUpperQuarter', 'topRight'),
+			separate: false
+		}
+	];
+	
+	restraints.FOURTH_TOP_LEFT_LOW_MID = [
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftUpperQuarter', 'topLeft'),
+			separate: function (body, tile) {
+				return body.top > tile.top;
+			}
+		},
+		{
+			direction: 'down',
+			neighbour: 'left',
+			types: ['FOURTH_TOP_LEFT_HIGH_MID']
+		},
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('right', 'topRight'),
+			separate: false
+		}
+	];
+	
+	restraints.FOURTH_TOP_LEFT_HIGH_MID = [
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('left', 'topLeft'),
+			separate: function (body, tile) {
+				return body.top > tile.top;
+			}
+		},
+		{
+			direction: 'down',
+			neighbour: 'left',
+			types: ['FOURTH_TOP_LEFT_HIGH']
+		},
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightLowerQuarter', 'topRight'),
+			separate: false
+		}
+	];
+	
+	restraints.FOURTH_TOP_LEFT_HIGH = [
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftLowerQuarter', 'topLeft'),
+			separate: function (body, tile) {
+				return body.top > tile.top;
+			}
+		},
+		{
+			direction: 'down',
+			neighbour: 'bottomLeft',
+			types: this.resolve('topRight')
+		}
+	];
+	
+	restraints.FOURTH_TOP_RIGHT_LOW = [
+		{
+			direction: 'left',
+			neighbour: 'topLeft',
+			types: this.resolve('bottomRight')
+		},
+		{
+			direction: 'down',
+			neighbour: 'right',
+			types: ['FOURTH_TOP_RIGHT_LOW_MID']
+		},
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftUpperQuarter', 'topLeft'),
+			separate: false
+		}
+	];
+	
+	restraints.FOURTH_TOP_RIGHT_LOW_MID = [
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightUpperQuarter', 'topRight'),
+			separate: function (body, tile) {
+				return body.top > tile.top;
+			}
+		},
+		{
+			direction: 'down',
+			neighbour: 'right',
+			types: ['FOURTH_TOP_RIGHT_HIGH_MID']
+		},
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('left', 'topLeft'),
+			separate: false
+		}
+	];
+	
+	restraints.FOURTH_TOP_RIGHT_HIGH_MID = [
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('right', 'topRight'),
+			separate: function (body, tile) {
+				return body.top > tile.top;
+			}
+		},
+		{
+			direction: 'down',
+			neighbour: 'right',
+			types: ['FOURTH_TOP_RIGHT_HIGH']
+		},
+		{
+			direction: 'right',
+			neighbour: 'right',
+			types: this.resolve('leftLowerQuarter', 'topLeft'),
+			separate: false
+		}
+	];
+	
+	restraints.FOURTH_TOP_RIGHT_HIGH = [
+		{
+			direction: 'left',
+			neighbour: 'left',
+			types: this.resolve('rightLowerQuarter', 'topRight'),
+			separate: function (body, tile) {
+				return body.top > tile.top;
+			}
+		},
+		{
+			direction: 'down',
+			neighbour: 'bottomRight',
+			types: this.resolve('topLeft')
+		}
+	];
+	
+	// Keep a copy of the informal restraints for inspection
+	this.informalRestraints = JSON.parse(JSON.stringify(restraints));
+	
+	this.restraints = Phaser.Plugin.ArcadeSlopes.SatRestrainer.prepareRestraints(restraints);
+};
+
+/**
+ * Compute the intersection of two arrays.
+ * 
+ * Returns a unique set of values that exist in both arrays.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatRestrainer#intersectArrays
+ * @param  {array} a - The first array.
+ * @param  {array} b - The second array.
+ * @return {array}   - The unique set of values shared by both arrays.
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.intersectArrays = function (a, b) {
+	return a.filter(function (value) {
+		return b.indexOf(value) !== -1;
+	}).filter(function (value, index, array) {
+		return array.indexOf(value) === index;
+	});
+};
+
+/**
+ * Resolve the types of all tiles with vertices in all of the given locations.
+ *
+ * Locations can be:
+ *   'topLeft',    'top',       'topRight',
+ *   'left',                       'right',
+ *   'bottomLeft', 'bottom', 'bottomRight'
+ *
+ * Along with these for the vertices of the gentler slopes:
+ *   'leftUpperThird',   'leftLowerThird',   'rightUpperThird',   'rightLowerThird',
+ *   'leftUpperQuarter', 'leftLowerQuarter', 'rightUpperQuarter', 'rightLowerQuarter'
+ * 
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#resolve
+ * @param  {...string} locations - A set of AABB vertex locations as strings.
+ * @return {array}               - The tile slope types with matching vertices.
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.prototype.resolve = function () {
+	var types = [];
+	
+	if (!arguments.length) {
+		return types;
+	}
+	
+	// Check the vertex maps of the given locations
+	for (var l in arguments) {
+		var location = arguments[l];
+		
+		if (!Phaser.Plugin.ArcadeSlopes.SatRestrainer.hasOwnProperty(location + 'Vertices')) {
+			console.warn('Tried to resolve types from undefined vertex map location \'' + location + '\'');
+			continue;
+		}
+		
+		var vertexMap = Array.prototype.slice.call(Phaser.Plugin.ArcadeSlopes.SatRestrainer[location + 'Vertices']);
+		
+		// If we only have one location to match, we can return its vertex map
+		if (arguments.length === 1) {
+			return vertexMap;
+		}
+		
+		// If we don't have any types yet, use this vertex map to start with,
+		// otherwise intersect this vertex map with the current types
+		if (!types.length) {
+			types = vertexMap;
+		} else {
+			types = Phaser.Plugin.ArcadeSlopes.SatRestrainer.intersectArrays(types, vertexMap);
+		}
+	}
+	
+	return types;
+};
+
+// TODO: Automate these definitions instead of relying on tedious heuristics.
+//       Store them in a single vertexMaps property object, too.
+
+/**
+ * The set of tile slope types with a top center vertex.
+ *
+ * @static
+ * @property {array} topVertices
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.topVertices = [
+	'HALF_LEFT',
+	'HALF_RIGHT',
+	'QUARTER_LEFT_TOP_LOW',
+	'QUARTER_RIGHT_TOP_LOW',
+	'QUARTER_LEFT_BOTTOM_LOW',
+	'QUARTER_RIGHT_BOTTOM_LOW'
+];
+
+/**
+ * The set of tile slope types with a bottom center vertex.
+ *
+ * @static
+ * @property {array} bottomVertices
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.bottomVertices = [
+	'HALF_LEFT',
+	'HALF_RIGHT',
+	'QUARTER_LEFT_TOP_HIGH',
+	'QUARTER_LEFT_BOTTOM_HIGH',
+	'QUARTER_RIGHT_TOP_HIGH',
+	'QUARTER_RIGHT_BOTTOM_HIGH'
+];
+
+/**
+ * The set of tile slope types with a left center vertex.
+ *
+ * @static
+ * @property {array} leftVertices
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.leftVertices = [
+	'HALF_TOP',
+	'HALF_BOTTOM',
+	'QUARTER_TOP_LEFT_LOW',
+	'QUARTER_TOP_RIGHT_HIGH',
+	'QUARTER_BOTTOM_LEFT_LOW',
+	'QUARTER_BOTTOM_RIGHT_HIGH',
+	'FOURTH_BOTTOM_LEFT_LOW_MID',
+	'FOURTH_BOTTOM_RIGHT_HIGH_MID',
+	'FOURTH_TOP_LEFT_LOW_MID',
+	'FOURTH_TOP_RIGHT_HIGH_MID'
+];
+
+/**
+ * The set of tile slope types with a right center vertex.
+ *
+ * @static
+ * @property {array} rightVertices
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.rightVertices = [
+	'HALF_TOP',
+	'HALF_BOTTOM',
+	'QUARTER_TOP_LEFT_HIGH',
+	'QUARTER_TOP_RIGHT_LOW',
+	'QUARTER_BOTTOM_LEFT_HIGH',
+	'QUARTER_BOTTOM_RIGHT_LOW',
+	'FOURTH_BOTTOM_LEFT_HIGH_MID',
+	'FOURTH_BOTTOM_RIGHT_LOW_MID',
+	'FOURTH_TOP_LEFT_HIGH_MID',
+	'FOURTH_TOP_RIGHT_LOW_MID'
+];
+
+/**
+ * The set of tile slope types with a top left vertex.
+ *
+ * @static
+ * @property {array} topLeftVertices
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.topLeftVertices = [
+	'FULL',
 	'HALF_TOP',
 	'HALF_LEFT',
 	'HALF_TOP_LEFT',
@@ -910,7 +1511,31 @@ Phaser.Plugin.ArcadeSlopes.SatRestrainer.topLeftVertices = [
 	'QUARTER_LEFT_TOP_HIGH',
 	'QUARTER_LEFT_BOTTOM_LOW',
 	'QUARTER_LEFT_BOTTOM_HIGH',
-	'QUARTER_RIGHT_TOP_HIGH'
+	'QUARTER_RIGHT_TOP_HIGH',
+	'THIRD_BOTTOM_LEFT_HIGH',
+	'THIRD_TOP_LEFT_LOW',
+	'THIRD_TOP_LEFT_MID',
+	'THIRD_TOP_LEFT_HIGH',
+	'THIRD_TOP_RIGHT_LOW',
+	'THIRD_TOP_RIGHT_MID',
+	'THIRD_TOP_RIGHT_HIGH',
+	'FOURTH_BOTTOM_LEFT_HIGH',
+	'FOURTH_TOP_LEFT_LOW',
+	'FOURTH_TOP_LEFT_LOW_MID',
+	'FOURTH_TOP_LEFT_HIGH_MID',
+	'FOURTH_TOP_LEFT_HIGH',
+	'FOURTH_TOP_RIGHT_LOW',
+	'FOURTH_TOP_RIGHT_LOW_MID',
+	'FOURTH_TOP_RIGHT_HIGH_MID',
+	'FOURTH_TOP_RIGHT_HIGH',
+	'CONVEX_BOTTOM_LEFT',
+	'CONVEX_TOP_LEFT',
+	'CONVEX_TOP_RIGHT',
+	'CONCAVE_BOTTOM_LEFT',
+	'CONCAVE_TOP_LEFT',
+	'CONCAVE_TOP_RIGHT',
+	'ROUND_HALF_TOP',
+	'ROUND_HALF_LEFT'
 ];
 
 /**
@@ -935,7 +1560,31 @@ Phaser.Plugin.ArcadeSlopes.SatRestrainer.topRightVertices = [
 	'QUARTER_RIGHT_TOP_LOW',
 	'QUARTER_RIGHT_TOP_HIGH',
 	'QUARTER_RIGHT_BOTTOM_LOW',
-	'QUARTER_RIGHT_BOTTOM_HIGH'
+	'QUARTER_RIGHT_BOTTOM_HIGH',
+	'THIRD_BOTTOM_RIGHT_HIGH',
+	'THIRD_TOP_LEFT_LOW',
+	'THIRD_TOP_LEFT_MID',
+	'THIRD_TOP_LEFT_HIGH',
+	'THIRD_TOP_RIGHT_LOW',
+	'THIRD_TOP_RIGHT_MID',
+	'THIRD_TOP_RIGHT_HIGH',
+	'FOURTH_BOTTOM_RIGHT_HIGH',
+	'FOURTH_TOP_LEFT_LOW',
+	'FOURTH_TOP_LEFT_LOW_MID',
+	'FOURTH_TOP_LEFT_HIGH_MID',
+	'FOURTH_TOP_LEFT_HIGH',
+	'FOURTH_TOP_RIGHT_LOW',
+	'FOURTH_TOP_RIGHT_LOW_MID',
+	'FOURTH_TOP_RIGHT_HIGH_MID',
+	'FOURTH_TOP_RIGHT_HIGH',
+	'CONVEX_BOTTOM_RIGHT',
+	'CONVEX_TOP_LEFT',
+	'CONVEX_TOP_RIGHT',
+	'CONCAVE_BOTTOM_RIGHT',
+	'CONCAVE_TOP_LEFT',
+	'CONCAVE_TOP_RIGHT',
+	'ROUND_HALF_TOP',
+	'ROUND_HALF_RIGHT'
 ];
 
 /**
@@ -959,7 +1608,31 @@ Phaser.Plugin.ArcadeSlopes.SatRestrainer.bottomLeftVertices = [
 	'QUARTER_LEFT_TOP_HIGH',
 	'QUARTER_LEFT_BOTTOM_LOW',
 	'QUARTER_LEFT_BOTTOM_HIGH',
-	'QUARTER_RIGHT_BOTTOM_LOW'
+	'QUARTER_RIGHT_BOTTOM_LOW',
+	'THIRD_BOTTOM_LEFT_LOW',
+	'THIRD_BOTTOM_LEFT_MID',
+	'THIRD_BOTTOM_LEFT_HIGH',
+	'THIRD_BOTTOM_RIGHT_LOW',
+	'THIRD_BOTTOM_RIGHT_MID',
+	'THIRD_BOTTOM_RIGHT_HIGH',
+	'THIRD_TOP_LEFT_HIGH',
+	'FOURTH_BOTTOM_LEFT_LOW',
+	'FOURTH_BOTTOM_LEFT_LOW_MID',
+	'FOURTH_BOTTOM_LEFT_HIGH_MID',
+	'FOURTH_BOTTOM_LEFT_HIGH',
+	'FOURTH_BOTTOM_RIGHT_LOW',
+	'FOURTH_BOTTOM_RIGHT_LOW_MID',
+	'FOURTH_BOTTOM_RIGHT_HIGH_MID',
+	'FOURTH_BOTTOM_RIGHT_HIGH',
+	'FOURTH_TOP_LEFT_HIGH',
+	'CONVEX_BOTTOM_LEFT',
+	'CONVEX_BOTTOM_RIGHT',
+	'CONVEX_TOP_LEFT',
+	'CONCAVE_BOTTOM_LEFT',
+	'CONCAVE_BOTTOM_RIGHT',
+	'CONCAVE_TOP_LEFT',
+	'ROUND_HALF_BOTTOM',
+	'ROUND_HALF_LEFT'
 ];
 
 /**
@@ -983,5 +1656,141 @@ Phaser.Plugin.ArcadeSlopes.SatRestrainer.bottomRightVertices = [
 	'QUARTER_LEFT_BOTTOM_LOW',
 	'QUARTER_RIGHT_TOP_HIGH',
 	'QUARTER_RIGHT_BOTTOM_LOW',
-	'QUARTER_RIGHT_BOTTOM_HIGH'
+	'QUARTER_RIGHT_BOTTOM_HIGH',
+	'THIRD_BOTTOM_LEFT_LOW',
+	'THIRD_BOTTOM_LEFT_MID',
+	'THIRD_BOTTOM_LEFT_HIGH',
+	'THIRD_BOTTOM_RIGHT_LOW',
+	'THIRD_BOTTOM_RIGHT_MID',
+	'THIRD_BOTTOM_RIGHT_HIGH',
+	'THIRD_TOP_RIGHT_HIGH',
+	'FOURTH_BOTTOM_LEFT_LOW',
+	'FOURTH_BOTTOM_LEFT_LOW_MID',
+	'FOURTH_BOTTOM_LEFT_HIGH_MID',
+	'FOURTH_BOTTOM_LEFT_HIGH',
+	'FOURTH_BOTTOM_RIGHT_LOW',
+	'FOURTH_BOTTOM_RIGHT_LOW_MID',
+	'FOURTH_BOTTOM_RIGHT_HIGH_MID',
+	'FOURTH_BOTTOM_RIGHT_HIGH',
+	'FOURTH_TOP_RIGHT_HIGH',
+	'CONVEX_BOTTOM_LEFT',
+	'CONVEX_BOTTOM_RIGHT',
+	'CONVEX_TOP_RIGHT',
+	'CONCAVE_BOTTOM_LEFT',
+	'CONCAVE_BOTTOM_RIGHT',
+	'CONCAVE_TOP_RIGHT',
+	'ROUND_HALF_BOTTOM',
+	'ROUND_HALF_RIGHT'
+];
+
+/**
+ * The set of tile slope types with a vertex a third of the way down
+ * their left edge.
+ *
+ * @static
+ * @property {array} leftUpperThirdVertices
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.leftUpperThirdVertices = [
+	'THIRD_BOTTOM_LEFT_MID',
+	'THIRD_BOTTOM_RIGHT_HIGH',
+	'THIRD_TOP_LEFT_LOW',
+	'THIRD_TOP_RIGHT_MID'
+];
+
+/**
+ * The set of tile slope types with a vertex two thirds of the way down
+ * their left edge.
+ *
+ * @static
+ * @property {array} leftLowerThirdVertices
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.leftLowerThirdVertices = [
+	'THIRD_BOTTOM_LEFT_LOW',
+	'THIRD_BOTTOM_RIGHT_MID',
+	'THIRD_TOP_LEFT_MID',
+	'THIRD_TOP_RIGHT_HIGH'
+];
+
+/**
+ * The set of tile slope types with a vertex a quarter of the way down
+ * their left edge.
+ *
+ * @static
+ * @property {array} leftUpperQuarterVertices
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.leftUpperQuarterVertices = [
+	'FOURTH_BOTTOM_LEFT_HIGH_MID',
+	'FOURTH_BOTTOM_RIGHT_HIGH',
+	'FOURTH_TOP_LEFT_LOW',
+	'FOURTH_TOP_RIGHT_LOW_MID'
+];
+
+/**
+ * The set of tile slope types with a vertex three quarters of the way down
+ * their left edge.
+ *
+ * @static
+ * @property {array} leftLowerQuarterVertices
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.leftLowerQuarterVertices = [
+	'FOURTH_BOTTOM_LEFT_LOW',
+	'FOURTH_BOTTOM_RIGHT_LOW_MID',
+	'FOURTH_TOP_LEFT_HIGH_MID',
+	'FOURTH_TOP_RIGHT_HIGH'
+];
+
+/**
+ * The set of tile slope types with a vertex a third of the way down
+ * their right edge.
+ *
+ * @static
+ * @property {array} rightUpperThirdVertices
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.rightUpperThirdVertices = [
+	'THIRD_BOTTOM_LEFT_HIGH',
+	'THIRD_BOTTOM_RIGHT_MID',
+	'THIRD_TOP_LEFT_MID',
+	'THIRD_TOP_RIGHT_LOW'
+];
+
+/**
+ * The set of tile slope types with a vertex two thirds of the way down
+ * their right edge.
+ *
+ * @static
+ * @property {array} rightLowerThirdVertices
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.rightLowerThirdVertices = [
+	'THIRD_BOTTOM_LEFT_MID',
+	'THIRD_BOTTOM_RIGHT_LOW',
+	'THIRD_TOP_LEFT_HIGH',
+	'THIRD_TOP_RIGHT_MID'
+];
+
+/**
+ * The set of tile slope types with a vertex a quarter of the way down
+ * their right edge.
+ *
+ * @static
+ * @property {array} rightUpperQuarterVertices
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.rightUpperQuarterVertices = [
+	'FOURTH_BOTTOM_LEFT_HIGH',
+	'FOURTH_BOTTOM_RIGHT_HIGH_MID',
+	'FOURTH_TOP_LEFT_LOW_MID',
+	'FOURTH_TOP_RIGHT_LOW'
+];
+
+/**
+ * The set of tile slope types with a vertex three quarters of the way down
+ * their right edge.
+ *
+ * @static
+ * @property {array} rightLowerQuarterVertices
+ */
+Phaser.Plugin.ArcadeSlopes.SatRestrainer.rightLowerQuarterVertices = [
+	'FOURTH_BOTTOM_LEFT_LOW_MID',
+	'FOURTH_BOTTOM_RIGHT_LOW',
+	'FOURTH_TOP_LEFT_HIGH',
+	'FOURTH_TOP_RIGHT_HIGH_MID'
 ];
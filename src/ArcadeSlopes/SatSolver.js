@@ -24,8 +24,37 @@ Phaser.Plugin.ArcadeSlopes.SatSolver = function (options) {
 		// Whether to prefer the minimum Y offset over the smallest separation
 		preferY: false,
 		
+		// Whether to prefer the minimum X offset over the smallest separation
+		preferX: false,
+		
+		// The direction of gravity to assume for every body, instead of the
+		// gravity of the arcade physics world and each body
+		gravity: null,
+		
 		// Whether to restrain SAT collisions
-		restrain: true
+		restrain: true,
+		
+		// Whether to avoid separating bodies through internal tile edges
+		ignoreInternalEdges: false,
+		
+		// How far a body can have been inside a one-way tile's surface and
+		// still collide with it
+		oneWayTolerance: 1,
+		
+		// Whether to sweep bodies from their previous position to prevent
+		// tunnelling
+		sweep: false,
+		
+		// How far to leave a swept body inside the surface it hit, so that
+		// regular separation can resolve the collision
+		sweepSkin: 1,
+		
+		// Whether to resolve all of a body's overlaps deepest first, over
+		// several passes, instead of in the order the tiles are found
+		iterative: false,
+		
+		// The most passes to make when resolving overlaps iteratively
+		iterations: 4
 	});
 	
 	/**
@@ -38,6 +67,183 @@ Phaser.Plugin.ArcadeSlopes.SatSolver = function (options) {
 	this.restrainers = [
 		new Phaser.Plugin.ArcadeSlopes.SatRestrainer()
 	];
+	
+	/**
+	 * A reusable response for sweeping bodies against tiles.
+	 *
+	 * @property {SAT.Response} sweepResponse
+	 */
+	this.sweepResponse = new SAT.Response();
+	
+	/**
+	 * A reusable vector for the movement of swept bodies.
+	 *
+	 * @property {SAT.Vector} sweepDisplacement
+	 */
+	this.sweepDisplacement = new SAT.Vector();
+	
+	/**
+	 * A reusable vector for the movement that swept bodies keep along the
+	 * surface they hit.
+	 *
+	 * @property {SAT.Vector} sweepSlide
+	 */
+	this.sweepSlide = new SAT.Vector();
+	
+	/**
+	 * A reusable result for sweeping bodies against tile polygons.
+	 *
+	 * @property {object} sweepResult
+	 */
+	this.sweepResult = { time: 0, normal: new SAT.Vector(), overlap: 0, internal: false };
+	
+	/**
+	 * A reusable result for the earliest hit of a swept body.
+	 *
+	 * @property {object} sweepEarliest
+	 */
+	this.sweepEarliest = { time: 1, normal: new SAT.Vector(), overlap: 0, internal: false };
+	
+	/**
+	 * Reusable ranges for projecting swept bodies and tile polygons.
+	 *
+	 * @property {number[][]} sweepRanges
+	 */
+	this.sweepRanges = [[0, 0], [0, 0]];
+	
+	/**
+	 * The separation axis for one-way tiles that don't have a preferred axis.
+	 *
+	 * @property {SAT.Vector} oneWayAxis
+	 */
+	this.oneWayAxis = new SAT.Vector(0, -1);
+	
+	/**
+	 * The axis that ground faces for bodies without any gravity.
+	 *
+	 * @property {SAT.Vector} groundAxis
+	 */
+	this.groundAxis = new SAT.Vector(0, -1);
+	
+	/**
+	 * A reusable response for testing bodies against sensor tiles.
+	 *
+	 * @property {SAT.Response} sensorResponse
+	 */
+	this.sensorResponse = new SAT.Response();
+	
+	/**
+	 * A reusable response for finding the overlaps of iteratively resolved
+	 * bodies.
+	 *
+	 * @property {SAT.Response} resolveResponse
+	 */
+	this.resolveResponse = new SAT.Response();
+	
+	/**
+	 * A reusable response for updating the ground state of bodies that stick
+	 * to the ground.
+	 *
+	 * @property {SAT.Response} stickResponse
+	 */
+	this.stickResponse = new SAT.Response();
+	
+	/**
+	 * A reusable response for stepping bodies up onto ledges.
+	 *
+	 * @property {SAT.Response} stepResponse
+	 */
+	this.stepResponse = new SAT.Response();
+	
+	/**
+	 * A reusable vector for sweeping bodies back down onto ledges.
+	 *
+	 * @property {SAT.Vector} stepDisplacement
+	 */
+	this.stepDisplacement = new SAT.Vector();
+	
+	/**
+	 * A reusable result for sweeping bodies back down onto ledges.
+	 *
+	 * @property {object} stepResult
+	 */
+	this.stepResult = { time: 0, normal: new SAT.Vector(), overlap: 0, internal: false };
+	
+	/**
+	 * Casts rays from the feet of bodies to find the ground to stick them to.
+	 *
+	 * @property {Phaser.Plugin.ArcadeSlopes.Raycaster} raycaster
+	 */
+	this.raycaster = new Phaser.Plugin.ArcadeSlopes.Raycaster();
+	
+	/**
+	 * The tiles whose collision callbacks have run during an iterative
+	 * resolution, and what they returned, so that they only run once per tile.
+	 *
+	 * @property {object} callbackResults
+	 */
+	this.callbackResults = null;
+	
+	/**
+	 * The number of frames the solver has been updated for.
+	 *
+	 * Used to reset the ground state and contacts of physics bodies once per
+	 * frame.
+	 *
+	 * @property {integer} frame
+	 */
+	this.frame = 0;
+	
+	/**
+	 * The physics bodies that collided with tiles this frame.
+	 *
+	 * Their rotation and gravity are updated once the frame's collisions are
+	 * done.
+	 *
+	 * @property {Phaser.Physics.Arcade.Body[]} bodies
+	 */
+	this.bodies = [];
+};
+
+/**
+ * Prepare the solver for a new frame.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#preUpdate
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.preUpdate = function () {
+	this.frame++;
+};
+
+/**
+ * Update the rotation and gravity of the physics bodies that collided with
+ * tiles this frame, using their ground state for the whole frame.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#postUpdate
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.postUpdate = function () {
+	for (var i = 0; i < this.bodies.length; i++) {
+		if (!this.bodies[i].slopes) {
+			continue;
+		}
+		
+		this.rotate(this.bodies[i]);
+		this.updateGravity(this.bodies[i]);
+	}
+	
+	this.bodies.length = 0;
+};
+
+/**
+ * Track a physics body that collided with tiles this frame, so that its
+ * rotation and gravity are updated after the frame's collisions.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#track
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.track = function (body) {
+	if (this.bodies.indexOf(body) === -1) {
+		this.bodies.push(body);
+	}
 };
 
 /**
@@ -69,6 +275,7 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.resetResponse = function (response) {
 	response.overlapN.y = 0;
 	response.overlapV.x = 0;
 	response.overlapV.y = 0;
+	response.restraint = null;
 	response.clear();
 	
 	return response;
@@ -112,7 +319,94 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.movingAgainstY = function (body, response)
 	return (response.overlapV.y < 0 && body.velocity.y > 0) || (response.overlapV.y > 0 && body.velocity.y < 0);
 };
 
-// TODO: shouldPreferX()
+/**
+ * Determine whether the given body is moving against the overlap vector of the
+ * given response on the X axis.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#movingAgainstX
+ * @param  {Phaser.Physics.Arcade.Body} body     - The physics body.
+ * @param  {SAT.Response}               response - The SAT response.
+ * @return {boolean}                             - Whether the body is moving against the overlap vector.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.movingAgainstX = function (body, response) {
+	return (response.overlapV.x < 0 && body.velocity.x > 0) || (response.overlapV.x > 0 && body.velocity.x < 0);
+};
+
+/**
+ * Calculate the minimum offset along the given axis that separates by the
+ * given overlap vector.
+ *
+ * The general form of minimumOffsetX() and minimumOffsetY().
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#minimumOffset
+ * @param  {SAT.Vector} vector - The overlap vector.
+ * @param  {SAT.Vector} axis   - The axis unit vector to offset along.
+ * @return {number}
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.minimumOffset = function (vector, axis) {
+	return vector.len2() / vector.dot(axis);
+};
+
+/**
+ * Determine whether the given body is moving against the overlap vector of the
+ * given response along the given axis.
+ *
+ * The general form of movingAgainstY().
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#movingAgainst
+ * @param  {Phaser.Physics.Arcade.Body} body     - The physics body.
+ * @param  {SAT.Response}               response - The SAT response.
+ * @param  {SAT.Vector}                 axis     - The axis unit vector.
+ * @return {boolean}                             - Whether the body is moving against the overlap vector.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.movingAgainst = function (body, response, axis) {
+	var overlap = response.overlapV.dot(axis);
+	var velocity = body.velocity.x * axis.x + body.velocity.y * axis.y;
+	
+	return (overlap < 0 && velocity > 0) || (overlap > 0 && velocity < 0);
+};
+
+/**
+ * Determine whether a surface is walkable ground for a body, given the
+ * surface's normal.
+ *
+ * Only bodies with a maximum ground angle distinguish walkable ground from
+ * steep surfaces. Surfaces that face against the body's gravity and are no
+ * steeper than the body's maximum ground angle are walkable.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#isWalkable
+ * @param  {Phaser.Physics.Arcade.Body} body   - The physics body.
+ * @param  {SAT.Vector}                 normal - The surface normal, facing outwards.
+ * @return {boolean}                           - Whether the surface is walkable.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.isWalkable = function (body, normal) {
+	if (body.slopes.maxGroundAngle == null) {
+		return false;
+	}
+	
+	var up = -normal.dot(this.getGravityAxis(body));
+	
+	return up > 0 && Phaser.Math.radToDeg(Math.acos(Math.min(up, 1))) <= body.slopes.maxGroundAngle;
+};
+
+/**
+ * Determine whether a surface is too steep for a body to stand on, given the
+ * surface's normal.
+ *
+ * Surfaces that face against the body's gravity but are steeper than the
+ * body's maximum ground angle are treated as walls.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#isSteep
+ * @param  {Phaser.Physics.Arcade.Body} body   - The physics body.
+ * @param  {SAT.Vector}                 normal - The surface normal, facing outwards.
+ * @return {boolean}                           - Whether the surface is too steep.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.isSteep = function (body, normal) {
+	return body.slopes.maxGroundAngle != null && normal.dot(this.getGravityAxis(body)) < 0 && !this.isWalkable(body, normal);
+};
 
 /**
  * Determine whether a body should be separated on the Y axis only, given an SAT
@@ -121,6 +415,9 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.movingAgainstY = function (body, response)
  * Returns true if options.preferY is true, the overlap vector is non-zero
  * for each axis and the body is moving against the overlap vector.
  *
+ * The Y axis is the axis of the body's gravity, which is only actually the Y
+ * axis when gravity points up or down.
+ *
  * TODO: Adapt for circle bodies, somehow. Disable for now?
  * TODO: Would be amazing to check to ensure that there are no other surrounding collisions.
  *
@@ -130,9 +427,48 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.movingAgainstY = function (body, response)
  * @return {boolean}                             - Whether to separate on the Y axis only.
  */
 Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldPreferY = function (body, response) {
-	return (this.options.preferY || body.slopes.preferY) &&                  // Enabled globally or on the body
-		response.overlapV.y !== 0 && response.overlapV.x !== 0 &&            // There's an overlap on both axes
-		Phaser.Plugin.ArcadeSlopes.SatSolver.movingAgainstY(body, response); // And we're moving into the shape
+	return (this.options.preferY || body.slopes.preferY) &&               // Enabled globally or on the body
+		this.shouldPreferAxis(body, response, this.getGravityAxis(body)); // And the axis suits the overlap
+};
+
+/**
+ * Determine whether a body should be separated on the X axis only, given an SAT
+ * response.
+ *
+ * Returns true if options.preferX is true, the overlap vector is non-zero
+ * for each axis and the body is moving against the overlap vector.
+ *
+ * The X axis is the axis across the body's gravity, which is only actually the
+ * X axis when gravity points up or down.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#shouldPreferX
+ * @param  {Phaser.Physics.Arcade.Body} body     - The physics body.
+ * @param  {SAT.Response}               response - The SAT response.
+ * @return {boolean}                             - Whether to separate on the X axis only.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldPreferX = function (body, response) {
+	return (this.options.preferX || body.slopes.preferX) &&                      // Enabled globally or on the body
+		this.shouldPreferAxis(body, response, this.getGravityAxis(body).perp()); // And the axis suits the overlap
+};
+
+/**
+ * Determine whether a body should be separated along the given axis only,
+ * given an SAT response.
+ *
+ * Returns true if the overlap vector isn't parallel or perpendicular to the
+ * axis and the body is moving against the overlap vector along the axis.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#shouldPreferAxis
+ * @param  {Phaser.Physics.Arcade.Body} body     - The physics body.
+ * @param  {SAT.Response}               response - The SAT response.
+ * @param  {SAT.Vector}                 axis     - The axis unit vector.
+ * @return {boolean}                             - Whether to separate along the axis only.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldPreferAxis = function (body, response, axis) {
+	var overlap = response.overlapV;
+	
+	return overlap.dot(axis) !== 0 && overlap.x * axis.y - overlap.y * axis.x !== 0 && // There's an overlap on both axes
+		Phaser.Plugin.ArcadeSlopes.SatSolver.movingAgainst(body, response, axis);     // And we're moving into the shape
 };
 
 /**
@@ -147,7 +483,7 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldPreferY = function (body, r
  * @return {boolean}               - Whether a separating axis was found.
  */
 Phaser.Plugin.ArcadeSlopes.SatSolver.isSeparatingAxis = function (a, b, axis, response) {
-	var result = SAT.isSeparatingAxis(a.pos, b.pos, a.points, b.points, axis, response || null);
+	var result = SAT.isSeparatingAxis(a.pos, b.pos, a.calcPoints, b.calcPoints, axis, response || null);
 	
 	if (response) {
 		response.a = a;
@@ -159,82 +495,587 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.isSeparatingAxis = function (a, b, axis, re
 };
 
 /**
- * Separate a body from a tile using the given SAT response.
+ * Project the points of a polygon onto the given axis, including its position.
  *
- * @method Phaser.Plugin.ArcadeSlopes.SatSolver#separate
- * @param  {Phaser.Physics.Arcade.Body} body     - The physics body.
- * @param  {Phaser.Tile}                tile     - The tile.
- * @param  {SAT.Response}               response - The SAT response.
- * @param  {boolean}                    force    - Whether to force separation.
- * @return {boolean}                             - Whether the body was separated.
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#projectPolygon
+ * @param  {SAT.Polygon} polygon - The polygon to project.
+ * @param  {SAT.Vector}  axis    - The axis unit vector to project onto.
+ * @param  {number[]}    result  - The array to store the minimum and maximum in.
+ * @return {number[]}
  */
-Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.separate = function (body, tile, response, force) {
-	// Test whether we need to separate from the tile by checking its edge
-	// properties and any separation constraints
-	if (!force && !this.shouldSeparate(tile.index, body, tile, response)) {
-		return false;
-	}
+Phaser.Plugin.ArcadeSlopes.SatSolver.projectPolygon = function (polygon, axis, result) {
+	var offset = polygon.pos.dot(axis);
+	var min = Number.MAX_VALUE;
+	var max = -Number.MAX_VALUE;
 	
-	// Run any custom tile callbacks, with local callbacks taking priority over
-	// layer level callbacks
-	if (tile.collisionCallback && !tile.collisionCallback.call(tile.collisionCallbackContext, body.sprite, tile)) {
-		return false;
-	} else if (tile.layer.callbacks[tile.index] && !tile.layer.callbacks[tile.index].callback.call(tile.layer.callbacks[tile.index].callbackContext, body.sprite, tile)) {
-		return false;
+	for (var i = 0; i < polygon.calcPoints.length; i++) {
+		var dot = polygon.calcPoints[i].dot(axis);
+		
+		if (dot < min) {
+			min = dot;
+		}
+		
+		if (dot > max) {
+			max = dot;
+		}
 	}
 	
-	// Separate the body from the tile
-	if (this.shouldPreferY(body, response)) {
-		body.position.y += Phaser.Plugin.ArcadeSlopes.SatSolver.minimumOffsetY(response.overlapV);
-	} else {
-		body.position.x += response.overlapV.x;
-		body.position.y += response.overlapV.y;
+	result[0] = min + offset;
+	result[1] = max + offset;
+	
+	return result;
+};
+
+/**
+ * Determine whether the given outward facing normal belongs to an internal
+ * edge of the given polygon.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#isInternalNormal
+ * @param  {SAT.Polygon} polygon - The polygon.
+ * @param  {SAT.Vector}  normal  - The outward facing normal.
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.isInternalNormal = function (polygon, normal) {
+	for (var i = 0; i < polygon.normals.length; i++) {
+		if (polygon.points[i].internal && polygon.normals[i].dot(normal) > 0.999) {
+			return true;
+		}
 	}
 	
-	return true;
+	return false;
 };
 
 /**
- * Apply velocity changes (friction and bounce) to a body given a tile and
- * SAT collision response.
- * 
- * TODO: Optimize by pooling bounce and friction vectors.
- * 
- * @method Phaser.Plugin.ArcadeSlopes.SatSolver#applyVelocity
- * @param  {Phaser.Physics.Arcade.Body} body     - The physics body.
- * @param  {Phaser.Tile}                tile     - The tile.
- * @param  {SAT.Response}               response - The SAT response.
+ * Test whether two polygons overlap, without separating them through any
+ * internal edges of the second polygon.
+ *
+ * Works like SAT.testPolygonPolygon(), except that the overlap on each axis is
+ * considered in both directions. Any direction that would push the first
+ * polygon out through an internal edge of the second is skipped in favour of
+ * the next best direction, so bodies can't catch on the seams between tiles.
+ *
+ * If every direction is skipped, the polygons overlap with an overlap of 0.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#testPolygonPolygon
+ * @param  {SAT.Polygon}  a        - The first polygon.
+ * @param  {SAT.Polygon}  b        - The second polygon, with flagged internal edges.
+ * @param  {SAT.Response} response - The response to populate.
+ * @return {boolean}               - Whether the polygons overlap.
  */
-Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.applyVelocity = function (body, tile, response) {
-	// Project our velocity onto the overlap normal for the bounce vector (Vn)
-	var bounce = body.slopes.velocity.clone().projectN(response.overlapN);
+Phaser.Plugin.ArcadeSlopes.SatSolver.testPolygonPolygon = function (a, b, response) {
+	var rangeA = [0, 0];
+	var rangeB = [0, 0];
+	var polygons = [a, b];
+	var found = false;
 	
-	// Then work out the surface vector (Vt)
-	var friction = body.slopes.velocity.clone().sub(bounce);
+	response.a = a;
+	response.b = b;
 	
-	// Apply bounce coefficients
-	bounce.x = bounce.x * (-body.bounce.x);
-	bounce.y = bounce.y * (-body.bounce.y);
+	for (var p = 0; p < polygons.length; p++) {
+		var normals = polygons[p].normals;
+		
+		for (var i = 0; i < normals.length; i++) {
+			var axis = normals[i];
+			
+			Phaser.Plugin.ArcadeSlopes.SatSolver.projectPolygon(a, axis, rangeA);
+			Phaser.Plugin.ArcadeSlopes.SatSolver.projectPolygon(b, axis, rangeB);
+			
+			// Bail if this is a separating axis
+			if (rangeA[0] > rangeB[1] || rangeB[0] > rangeA[1]) {
+				return false;
+			}
+			
+			response.aInB = response.aInB && rangeA[0] >= rangeB[0] && rangeA[1] <= rangeB[1];
+			response.bInA = response.bInA && rangeB[0] >= rangeA[0] && rangeB[1] <= rangeA[1];
+			
+			// The overlaps for pushing the first polygon out in the negative
+			// and positive directions of the axis
+			var negative = rangeA[1] - rangeB[0];
+			var positive = rangeB[1] - rangeA[0];
+			
+			// Skip the directions that push out through internal edges
+			if (negative < response.overlap && !Phaser.Plugin.ArcadeSlopes.SatSolver.isInternalNormal(b, axis.clone().reverse())) {
+				response.overlap = negative;
+				response.overlapN.copy(axis);
+				found = true;
+			}
+			
+			if (positive < response.overlap && !Phaser.Plugin.ArcadeSlopes.SatSolver.isInternalNormal(b, axis)) {
+				response.overlap = positive;
+				response.overlapN.copy(axis).reverse();
+				found = true;
+			}
+		}
+	}
 	
-	// Apply friction coefficients
-	friction.x = friction.x * (1 - body.slopes.friction.x - tile.slope.friction.x);
-	friction.y = friction.y * (1 - body.slopes.friction.y - tile.slope.friction.y);
+	if (!found) {
+		response.overlap = 0;
+	}
 	
-	// Now we can get our new velocity by adding the bounce and friction vectors
-	body.velocity.x = bounce.x + friction.x;
-	body.velocity.y = bounce.y + friction.y;
+	response.overlapV.copy(response.overlapN).scale(response.overlap);
 	
-	// Process collision pulling
-	this.pull(body, response);
+	return true;
 };
 
 /**
- * Update the position and velocity values of the slopes body.
+ * Sweep a moving polygon against a static polygon.
  *
- * @method Phaser.Plugin.ArcadeSlopes.SatSolver#updateValues
- * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * Finds the earliest time of impact of polygon `a` as it moves along the given
+ * displacement, between 0 and 1, and the normal of the surface of polygon `b`
+ * that it hits first. Returns false if the polygons don't meet during the
+ * movement, or if they already overlap before it.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#sweepPolygonPolygon
+ * @param  {SAT.Polygon} a            - The moving polygon, at its starting position.
+ * @param  {SAT.Polygon} b            - The static polygon.
+ * @param  {SAT.Vector}  displacement - The movement of the first polygon.
+ * @param  {object}      result       - The object to store the time of impact, normal and internal edge flag in.
+ * @return {boolean}                  - Whether the polygons meet during the movement.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.sweepPolygonPolygon = function (a, b, displacement, result) {
+	var rangeA = [0, 0];
+	var rangeB = [0, 0];
+	var first = -Number.MAX_VALUE;
+	var last = Number.MAX_VALUE;
+	var polygons = [a, b];
+	
+	for (var p = 0; p < polygons.length; p++) {
+		var normals = polygons[p].normals;
+		
+		for (var i = 0; i < normals.length; i++) {
+			var axis = normals[i];
+			var velocity = displacement.dot(axis);
+			
+			Phaser.Plugin.ArcadeSlopes.SatSolver.projectPolygon(a, axis, rangeA);
+			Phaser.Plugin.ArcadeSlopes.SatSolver.projectPolygon(b, axis, rangeB);
+			
+			// Without movement on this axis, the polygons either never overlap
+			// on it, or overlap on it for the whole movement
+			if (velocity === 0) {
+				if (rangeA[1] <= rangeB[0] || rangeA[0] >= rangeB[1]) {
+					return false;
+				}
+				
+				continue;
+			}
+			
+			// Work out when the projections start and stop overlapping
+			var enter = (velocity > 0 ? rangeB[0] - rangeA[1] : rangeB[1] - rangeA[0]) / velocity;
+			var exit  = (velocity > 0 ? rangeB[1] - rangeA[0] : rangeB[0] - rangeA[1]) / velocity;
+			
+			// The latest axis to start overlapping is the one that's hit, and
+			// its normal faces against the movement
+			if (enter > first) {
+				first = enter;
+				
+				result.normal.copy(axis);
+				
+				if (velocity > 0) {
+					result.normal.reverse();
+				}
+			}
+			
+			if (exit < last) {
+				last = exit;
+			}
+			
+			if (first >= last) {
+				return false;
+			}
+		}
+	}
+	
+	if (first < 0 || first > 1) {
+		return false;
+	}
+	
+	result.time = first;
+	result.overlap = 0;
+	
+	// Flag hits on the internal edges of the static polygon
+	result.internal = Phaser.Plugin.ArcadeSlopes.SatSolver.isInternalNormal(b, result.normal);
+	
+	return true;
+};
+
+/**
+ * Sweep a moving circle against a static polygon.
+ *
+ * Casts the circle's center against the polygon grown by the circle's radius;
+ * its edges pushed out along their normals and its corners rounded off. Returns
+ * false if the shapes don't meet during the movement, or if they already
+ * overlap before it.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#sweepCirclePolygon
+ * @param  {SAT.Circle}   circle       - The moving circle, at its starting position.
+ * @param  {SAT.Polygon}  polygon      - The static polygon.
+ * @param  {SAT.Vector}   displacement - The movement of the circle.
+ * @param  {object}       result       - The object to store the time of impact, normal and overlap in.
+ * @param  {SAT.Response} response     - A response to reuse for the overlap test.
+ * @return {boolean}                   - Whether the shapes meet during the movement.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.sweepCirclePolygon = function (circle, polygon, displacement, result, response) {
+	var points = polygon.calcPoints;
+	var normals = polygon.normals;
+	var r = circle.r;
+	var first = Infinity;
+	var i;
+	
+	// Leave it to regular collisions if the shapes overlap from the start
+	Phaser.Plugin.ArcadeSlopes.SatSolver.resetResponse(response);
+	
+	if (SAT.testCirclePolygon(circle, polygon, response) && response.overlap) {
+		return false;
+	}
+	
+	for (i = 0; i < points.length; i++) {
+		var ax = polygon.pos.x + points[i].x;
+		var ay = polygon.pos.y + points[i].y;
+		var next = points[(i + 1) % points.length];
+		var ex = polygon.pos.x + next.x - ax;
+		var ey = polygon.pos.y + next.y - ay;
+		var nx = normals[i].x;
+		var ny = normals[i].y;
+		var dx = circle.pos.x - ax;
+		var dy = circle.pos.y - ay;
+		var velocity = displacement.x * nx + displacement.y * ny;
+		var time;
+		
+		// The edge, pushed out by the radius, is only hit when moving into it
+		// from in front of it
+		if (velocity < 0) {
+			time = (r - (dx * nx + dy * ny)) / velocity;
+			
+			if (time >= 0 && time <= 1 && time < first) {
+				var along = ((dx + displacement.x * time) * ex + (dy + displacement.y * time) * ey) / (ex * ex + ey * ey);
+				
+				if (along >= 0 && along <= 1) {
+					first = time;
+					result.normal.x = nx;
+					result.normal.y = ny;
+				}
+			}
+		}
+		
+		// The corner, rounded off by the radius, is hit when the center comes
+		// within the radius of it
+		var a = displacement.x * displacement.x + displacement.y * displacement.y;
+		var b = dx * displacement.x + dy * displacement.y;
+		var c = dx * dx + dy * dy - r * r;
+		var discriminant = b * b - a * c;
+		
+		if (b < 0 && discriminant >= 0) {
+			time = (-b - Math.sqrt(discriminant)) / a;
+			
+			if (time >= 0 && time <= 1 && time < first) {
+				first = time;
+				result.normal.x = (dx + displacement.x * time) / r;
+				result.normal.y = (dy + displacement.y * time) / r;
+			}
+		}
+	}
+	
+	if (first === Infinity) {
+		return false;
+	}
+	
+	result.time = first;
+	result.overlap = 0;
+	result.internal = false;
+	
+	return true;
+};
+
+/**
+ * Separate a body from a tile using the given SAT response.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#separate
+ * @param  {Phaser.Physics.Arcade.Body} body     - The physics body.
+ * @param  {Phaser.Tile}                tile     - The tile.
+ * @param  {SAT.Response}               response - The SAT response.
+ * @param  {boolean}                    force    - Whether to force separation.
+ * @return {boolean}                             - Whether the body was separated.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.separate = function (body, tile, response, force) {
+	// Test whether we need to separate from the tile by checking its edge
+	// properties and any separation constraints
+	if (!force && !this.shouldSeparate(tile.index, body, tile, response)) {
+		return false;
+	}
+	
+	// Run any custom tile callbacks
+	if (!this.runTileCallbacks(body, tile)) {
+		return false;
+	}
+	
+	// Separate the body from the tile, along the axis of its gravity from
+	// walkable ground so that bodies don't creep down it, and along the normal
+	// of steep surfaces so that they slide down them
+	var axis = this.getGravityAxis(body);
+	var offset;
+	
+	if (this.isSteep(body, response.overlapN)) {
+		body.position.x += response.overlapV.x;
+		body.position.y += response.overlapV.y;
+	} else if (this.shouldPreferY(body, response) || this.isWalkable(body, response.overlapN) || this.shouldKeepSpeed(body, response.overlapN)) {
+		offset = Phaser.Plugin.ArcadeSlopes.SatSolver.minimumOffset(response.overlapV, axis);
+		
+		body.position.x += axis.x * offset;
+		body.position.y += axis.y * offset;
+	} else if (this.shouldPreferX(body, response)) {
+		axis.perp();
+		offset = Phaser.Plugin.ArcadeSlopes.SatSolver.minimumOffset(response.overlapV, axis);
+		
+		body.position.x += axis.x * offset;
+		body.position.y += axis.y * offset;
+	} else {
+		body.position.x += response.overlapV.x;
+		body.position.y += response.overlapV.y;
+	}
+	
+	return true;
+};
+
+/**
+ * Run the collision callbacks of a tile, with local callbacks taking priority
+ * over layer level callbacks.
+ *
+ * During an iterative resolution, callbacks only run the first time and their
+ * result is reused for the remaining passes.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#runTileCallbacks
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * @param  {Phaser.Tile}                tile - The tile.
+ * @return {boolean}                         - Whether to separate the body from the tile.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.runTileCallbacks = function (body, tile) {
+	var results = this.callbackResults;
+	
+	if (results) {
+		var index = results.tiles.indexOf(tile);
+		
+		if (index > -1) {
+			return results.values[index];
+		}
+	}
+	
+	var result = true;
+	
+	if (tile.collisionCallback && !tile.collisionCallback.call(tile.collisionCallbackContext, body.sprite, tile)) {
+		result = false;
+	} else if (tile.layer.callbacks[tile.index] && !tile.layer.callbacks[tile.index].callback.call(tile.layer.callbacks[tile.index].callbackContext, body.sprite, tile)) {
+		result = false;
+	}
+	
+	if (results) {
+		results.tiles.push(tile);
+		results.values.push(result);
+	}
+	
+	return result;
+};
+
+/**
+ * Apply velocity changes (friction and bounce) to a body given a tile and
+ * SAT collision response.
+ * 
+ * The tile slope's material, if it has one, adds its friction and restitution
+ * and carries the body along the surface at its surface velocity.
+ * 
+ * Walkable ground stops bodies along their gravity, like flat ground, so that
+ * they can stand still on it. Steep surfaces have no friction, so that bodies slide
+ * down them. Bodies with constant speed walk along the ground at their ground
+ * speed.
+ * 
+ * TODO: Optimize by pooling bounce and friction vectors.
+ * 
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#applyVelocity
+ * @param  {Phaser.Physics.Arcade.Body} body     - The physics body.
+ * @param  {Phaser.Tile}                tile     - The tile.
+ * @param  {SAT.Response}               response - The SAT response.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.applyVelocity = function (body, tile, response) {
+	// Constant speed bodies walk along the ground at their ground speed instead
+	if (this.shouldKeepSpeed(body, response.overlapN)) {
+		this.applyGroundSpeed(body, tile, response);
+		
+		return;
+	}
+	
+	var normal = this.isWalkable(body, response.overlapN) ? this.getGravityAxis(body).reverse() : response.overlapN;
+	
+	// Project our velocity onto the overlap normal for the bounce vector (Vn)
+	var bounce = body.slopes.velocity.clone().projectN(normal);
+	
+	// Then work out the surface vector (Vt)
+	var friction = body.slopes.velocity.clone().sub(bounce);
+	
+	if (tile.slope.material) {
+		this.applyMaterial(body, tile, response, bounce, friction);
+		
+		return;
+	}
+	
+	// Apply bounce coefficients
+	bounce.x = bounce.x * (-body.bounce.x);
+	bounce.y = bounce.y * (-body.bounce.y);
+	
+	// Apply friction coefficients, unless the surface is too steep to hold on to
+	if (!this.isSteep(body, response.overlapN)) {
+		friction.x = friction.x * (1 - body.slopes.friction.x - tile.slope.friction.x);
+		friction.y = friction.y * (1 - body.slopes.friction.y - tile.slope.friction.y);
+	}
+	
+	// Now we can get our new velocity by adding the bounce and friction vectors
+	body.velocity.x = bounce.x + friction.x;
+	body.velocity.y = bounce.y + friction.y;
+	
+	// Process collision pulling
+	this.pull(body, response);
+};
+
+/**
+ * Determine whether a body should keep its speed along the given surface.
+ *
+ * Bodies with constant speed keep it on any surface that faces against their
+ * gravity and isn't too steep for them.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#shouldKeepSpeed
+ * @param  {Phaser.Physics.Arcade.Body} body   - The physics body.
+ * @param  {SAT.Vector}                 normal - The surface normal, facing outwards.
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldKeepSpeed = function (body, normal) {
+	return body.slopes.constantSpeed && normal.dot(this.getGravityAxis(body)) < 0 && !this.isSteep(body, normal);
+};
+
+/**
+ * Apply velocity changes to a constant speed body given a tile and SAT
+ * collision response.
+ *
+ * The body walks along the ground at its ground speed, slowed by friction
+ * towards the surface velocity of the tile's material, if it has one.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#applyGroundSpeed
+ * @param  {Phaser.Physics.Arcade.Body} body     - The physics body.
+ * @param  {Phaser.Tile}                tile     - The tile.
+ * @param  {SAT.Response}               response - The SAT response.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.applyGroundSpeed = function (body, tile, response) {
+	var material = tile.slope.material;
+	var friction = body.slopes.friction.x + tile.slope.friction.x;
+	var surfaceVelocity = 0;
+	
+	if (material) {
+		friction = Phaser.Math.clamp(friction + material.friction, 0, 1);
+		surfaceVelocity = material.surfaceVelocity;
+	}
+	
+	this.keepSpeed(body, response.overlapN, friction, surfaceVelocity);
+	
+	// Process collision pulling
+	this.pull(body, response);
+	
+	// Remember the velocity the body was given to tell if it's changed later
+	body.slopes.groundVelocity.copy(body.velocity);
+};
+
+/**
+ * Move a constant speed body along the ground with the given normal at its
+ * ground speed.
+ *
+ * Changing the body's velocity across its gravity, which is its horizontal
+ * velocity unless its gravity follows the surface, changes its ground speed.
+ * Otherwise it keeps the ground speed it had, however steep the ground is.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#keepSpeed
+ * @param  {Phaser.Physics.Arcade.Body} body            - The physics body.
+ * @param  {SAT.Vector}                 normal          - The ground normal, facing outwards.
+ * @param  {number}                     friction        - An optional friction to slow the body with.
+ * @param  {number}                     surfaceVelocity - An optional surface velocity to slow the body towards.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.keepSpeed = function (body, normal, friction, surfaceVelocity) {
+	var gravity = this.getGravityAxis(body);
+	var velocity = body.velocity.x * gravity.y - body.velocity.y * gravity.x;
+	var groundVelocity = body.slopes.groundVelocity.x * gravity.y - body.slopes.groundVelocity.y * gravity.x;
+	
+	// Take the velocity across the body's gravity as the ground speed if it
+	// was changed since the body was last moved along the ground
+	if (velocity !== groundVelocity) {
+		body.slopes.groundSpeed = velocity;
+	}
+	
+	if (friction) {
+		surfaceVelocity = surfaceVelocity || 0;
+		body.slopes.groundSpeed = surfaceVelocity + (body.slopes.groundSpeed - surfaceVelocity) * (1 - friction);
+	}
+	
+	// The tangent runs clockwise around the tile, so rightwards along floors
+	body.velocity.x = -normal.y * body.slopes.groundSpeed;
+	body.velocity.y = normal.x * body.slopes.groundSpeed;
+};
+
+/**
+ * Apply velocity changes to a body given the material of a tile's slope.
+ *
+ * Friction slows the body relative to the surface velocity of the material
+ * rather than to a standstill, so bodies resting on a conveyor are carried
+ * along with it.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#applyMaterial
+ * @param  {Phaser.Physics.Arcade.Body} body     - The physics body.
+ * @param  {Phaser.Tile}                tile     - The tile.
+ * @param  {SAT.Response}               response - The SAT response.
+ * @param  {SAT.Vector}                 bounce   - The velocity of the body along the overlap normal.
+ * @param  {SAT.Vector}                 friction - The velocity of the body along the surface.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.applyMaterial = function (body, tile, response, bounce, friction) {
+	var material = tile.slope.material;
+	
+	// The surface runs clockwise around the tile, so rightwards along floors
+	var surfaceX = -response.overlapN.y * material.surfaceVelocity;
+	var surfaceY = response.overlapN.x * material.surfaceVelocity;
+	
+	// Combine the friction of the body, the tile and its material
+	var frictionX = Phaser.Math.clamp(body.slopes.friction.x + tile.slope.friction.x + material.friction, 0, 1);
+	var frictionY = Phaser.Math.clamp(body.slopes.friction.y + tile.slope.friction.y + material.friction, 0, 1);
+	
+	// Surfaces that are too steep to hold on to have no friction
+	if (this.isSteep(body, response.overlapN)) {
+		frictionX = 0;
+		frictionY = 0;
+	}
+	
+	// Bounce with whichever is springier, the body or the material
+	bounce.x = bounce.x * -Math.max(body.bounce.x, material.restitution);
+	bounce.y = bounce.y * -Math.max(body.bounce.y, material.restitution);
+	
+	// Apply friction relative to the surface velocity
+	friction.x = surfaceX + (friction.x - surfaceX) * (1 - frictionX);
+	friction.y = surfaceY + (friction.y - surfaceY) * (1 - frictionY);
+	
+	body.velocity.x = bounce.x + friction.x;
+	body.velocity.y = bounce.y + friction.y;
+	
+	// Process collision pulling
+	this.pull(body, response);
+};
+
+/**
+ * Update the position and velocity values of the slopes body.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#updateValues
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
  */
 Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.updateValues = function (body) {
+	// Update the body polygon shape and angle
+	this.updateShape(body);
+	
 	// Update the body polygon position
 	body.polygon.pos.x = body.x;
 	body.polygon.pos.y = body.y;
@@ -244,6 +1085,48 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.updateValues = function (body) {
 	body.slopes.velocity.y = body.velocity.y;
 };
 
+/**
+ * Recreate the shape of a physics body if its size, circle or the scale of its
+ * sprite has changed, and rotate it to match its sprite.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#updateShape
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.updateShape = function (body) {
+	if (Phaser.Plugin.ArcadeSlopes.Facade.shouldUpdateBodyShape(body)) {
+		Phaser.Plugin.ArcadeSlopes.Facade.updateBodyShape(body);
+	}
+	
+	this.updateAngle(body);
+};
+
+/**
+ * Rotate the polygon of a physics body about its center to match its sprite,
+ * if the body follows the rotation of its sprite.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#updateAngle
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.updateAngle = function (body) {
+	// Circles look the same at any angle
+	if (body.isCircle || !(body.polygon instanceof SAT.Polygon)) {
+		return;
+	}
+	
+	var angle = body.slopes.followRotation ? body.sprite.rotation : 0;
+	
+	if (body.polygon.angle === angle) {
+		return;
+	}
+	
+	// SAT.js rotates points about the polygon's position after adding its
+	// offset, so offset them to rotate about the body's center instead
+	var center = new SAT.Vector(body.halfWidth, body.halfHeight);
+	
+	body.polygon.offset = center.clone().rotate(-angle).sub(center);
+	body.polygon.setAngle(angle);
+};
+
 /**
  * Update the flags of a physics body using a given SAT response.
  *
@@ -267,39 +1150,237 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.updateFlags = function (body, res
 };
 
 /**
- * Attempt to snap the body to a given set of tiles based on its slopes options.
+ * Rotate the sprite of a physics body to align with the ground it's on, based
+ * on its slopes options.
  *
- * TODO: Maybe remove snapping altogether.
- * 
- * @method Phaser.Plugin.ArcadeSlopes.SatSolver#snap
- * @param  {Phaser.Physics.Arcade.Body} body         - The physics body.
- * @param  {Phaser.Tile[]}              tiles        - The tiles.
- * @param  {Phaser.TilemapLayer}        tilemapLayer - The tilemap layer.
- * @return {boolean}                                 - Whether the body was snapped to any tiles.
+ * The angle is measured from the body's gravity, so sprites stay upright on
+ * ground that faces straight against it. Sprites rotate back upright when
+ * their body isn't touching anything. Ground steeper than the body's maximum
+ * rotation angle, or tiles that aren't of the body's rotation types, are
+ * ignored.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#rotate
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * @return {boolean}                         - Whether the sprite was rotated.
  */
-Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.snap = function (body, tiles, tilemapLayer) {
-	if (!body.slopes || (!body.slopes.snapUp && !body.slopes.snapDown && !body.slopes.snapLeft && !body.slopes.snapRight)) {
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.rotate = function (body) {
+	if (!body.slopes || !body.slopes.rotate || !body.sprite) {
 		return false;
 	}
 	
-	// Keep the current body position to snap from
-	// TODO: Get rid of the instantiation
-	var current = new Phaser.Point(body.position.x, body.position.y);
-	
-	// Keep track of whether the body has snapped to a tile
-	var snapped = false;
+	var sprite = body.sprite;
+	var target = sprite.rotation;
+	var tile = body.slopes.groundTile;
 	
-	// For each tile, move the body in each direction by the configured amount,
-	// and try to collide, returning the body to its original position if no
-	// collision occurs
-	for (var t in tiles) {
-		var tile = tiles[t];
-		
-		if (!tile.slope) {
-			continue;
+	if (body.slopes.onGround && tile && this.shouldRotate(body, tile)) {
+		// The ground angle is already measured from the body's gravity
+		if (Math.abs(body.slopes.groundAngle) <= body.slopes.rotateMax) {
+			target = Phaser.Math.degToRad(body.slopes.groundAngle);
 		}
-		
-		if (body.slopes.snapUp) {
+	} else if (!body.slopes.onGround && body.touching.none) {
+		target = 0;
+	}
+	
+	var difference = Phaser.Math.wrapAngle(target - sprite.rotation, true);
+	
+	if (!difference) {
+		return false;
+	}
+	
+	// Ease towards the target rotation
+	sprite.rotation += difference * (1 - Phaser.Math.clamp(body.slopes.rotateSmoothing, 0, 1));
+	
+	return true;
+};
+
+/**
+ * Determine whether the sprite of a physics body should rotate to align with
+ * the given tile.
+ *
+ * Bodies without any rotation types rotate against every tile.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#shouldRotate
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * @param  {Phaser.Tile}                tile - The tile.
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldRotate = function (body, tile) {
+	var types = body.slopes.rotateTypes;
+	
+	if (!types) {
+		return true;
+	}
+	
+	for (var i = 0; i < types.length; i++) {
+		if (Phaser.Plugin.ArcadeSlopes.TileSlope.resolveType(types[i]) === tile.slope.type) {
+			return true;
+		}
+	}
+	
+	return false;
+};
+
+/**
+ * Reset the ground state of a physics body if it hasn't been reset yet this
+ * frame.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#resetGround
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.resetGround = function (body) {
+	if (!body.slopes || body.slopes.groundFrame === this.frame) {
+		return;
+	}
+	
+	// Remember the ground of the last frame for sticking to the ground
+	if (body.slopes.onGround) {
+		body.slopes.lastGroundNormal.x = body.slopes.groundNormal.x;
+		body.slopes.lastGroundNormal.y = body.slopes.groundNormal.y;
+	} else {
+		body.slopes.lastGroundNormal.x = 0;
+		body.slopes.lastGroundNormal.y = 0;
+	}
+	
+	body.slopes.onGround = false;
+	body.slopes.groundAngle = 0;
+	body.slopes.groundFrame = this.frame;
+	body.slopes.groundNormal.x = 0;
+	body.slopes.groundNormal.y = 0;
+	body.slopes.groundTile = null;
+};
+
+/**
+ * Reset the contacts of a physics body if this is a new frame.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#resetContacts
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.resetContacts = function (body) {
+	if (!body.slopes || body.slopes.contactFrame === this.frame) {
+		return;
+	}
+	
+	body.slopes.contacts = [];
+	body.slopes.contactFrame = this.frame;
+};
+
+/**
+ * Add a contact between a physics body and a tile polygon to the body's
+ * contacts for this frame.
+ *
+ * Updates the existing contact instead if the body already touched the same
+ * tile polygon this frame, like in a later pass of iterative resolution, unless
+ * the body is now merely touching it.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#addContact
+ * @param  {Phaser.Physics.Arcade.Body} body     - The physics body.
+ * @param  {Phaser.Tile}                tile     - The tile.
+ * @param  {SAT.Polygon}                polygon  - The tile polygon.
+ * @param  {SAT.Response}               response - The SAT response, with its overlap vectors facing outwards.
+ * @return {object}                              - The contact.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.addContact = function (body, tile, polygon, response) {
+	var contacts = body.slopes.contacts;
+	
+	for (var c = 0; c < contacts.length; c++) {
+		if (contacts[c].tile === tile && contacts[c].polygon === polygon) {
+			// Merely touching has no direction, so keep the one from before
+			if (response.overlap > 0) {
+				contacts[c].normal.copy(response.overlapN);
+				contacts[c].depth = response.overlap;
+			}
+			
+			return contacts[c];
+		}
+	}
+	
+	var contact = {
+		tile: tile,
+		polygon: polygon,
+		normal: response.overlapN.clone(),
+		depth: response.overlap,
+		separated: false,
+		restraint: null
+	};
+	
+	contacts.push(contact);
+	
+	return contact;
+};
+
+/**
+ * Update the ground state of a physics body using a given tile and SAT
+ * response.
+ *
+ * Separations that face against the body's gravity count as ground, with the
+ * one facing most against it this frame taking priority. Surfaces too steep
+ * for the body don't count.
+ *
+ * The ground angle is measured from the body's gravity, so it's 0 for ground
+ * that faces straight against it.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#updateGround
+ * @param  {Phaser.Physics.Arcade.Body} body     - The physics body.
+ * @param  {Phaser.Tile}                tile     - The tile.
+ * @param  {SAT.Response}               response - The SAT response.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.updateGround = function (body, tile, response) {
+	var normal = response.overlapN;
+	var gravity = this.getGravityAxis(body);
+	var down = normal.dot(gravity);
+	
+	this.resetGround(body);
+	
+	if (down >= 0 || (body.slopes.onGround && down >= body.slopes.groundNormal.dot(gravity))) {
+		return;
+	}
+	
+	if (this.isSteep(body, normal)) {
+		return;
+	}
+	
+	body.slopes.onGround = true;
+	body.slopes.groundNormal.copy(normal);
+	body.slopes.groundAngle = Phaser.Math.radToDeg(Math.atan2(normal.x * gravity.y - normal.y * gravity.x, -down));
+	body.slopes.groundTile = tile;
+};
+
+/**
+ * Attempt to snap the body to a given set of tiles based on its slopes options.
+ *
+ * Sticking to the ground with a stick distance is usually the better option.
+ *
+ * TODO: Maybe remove snapping altogether.
+ * 
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#snap
+ * @param  {Phaser.Physics.Arcade.Body} body         - The physics body.
+ * @param  {Phaser.Tile[]}              tiles        - The tiles.
+ * @param  {Phaser.TilemapLayer}        tilemapLayer - The tilemap layer.
+ * @return {boolean}                                 - Whether the body was snapped to any tiles.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.snap = function (body, tiles, tilemapLayer) {
+	if (!body.slopes || (!body.slopes.snapUp && !body.slopes.snapDown && !body.slopes.snapLeft && !body.slopes.snapRight)) {
+		return false;
+	}
+	
+	// Keep the current body position to snap from
+	// TODO: Get rid of the instantiation
+	var current = new Phaser.Point(body.position.x, body.position.y);
+	
+	// Keep track of whether the body has snapped to a tile
+	var snapped = false;
+	
+	// For each tile, move the body in each direction by the configured amount,
+	// and try to collide, returning the body to its original position if no
+	// collision occurs
+	for (var t in tiles) {
+		var tile = tiles[t];
+		
+		if (!tile.slope) {
+			continue;
+		}
+		
+		if (body.slopes.snapUp) {
 			body.position.x = current.x;
 			body.position.y = current.y - body.slopes.snapUp;
 			
@@ -339,6 +1420,474 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.snap = function (body, tiles, til
 	return false;
 };
 
+/**
+ * Get the gravity acting on a physics body.
+ *
+ * Includes the world's gravity if the body allows it.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#getGravity
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * @return {SAT.Vector}                      - The gravity vector.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.getGravity = function (body) {
+	var gravity = new SAT.Vector(body.gravity.x, body.gravity.y);
+	
+	if (body.allowGravity && body.game) {
+		gravity.x += body.game.physics.arcade.gravity.x;
+		gravity.y += body.game.physics.arcade.gravity.y;
+	}
+	
+	return gravity;
+};
+
+/**
+ * Get the direction of the gravity acting on a physics body.
+ *
+ * Includes the world's gravity if the body allows it. Defaults to straight
+ * down if there isn't any gravity.
+ *
+ * The gravity direction configured for the body, or for every body with
+ * options.gravity, takes priority. Bodies attached to a surface always follow
+ * their own gravity, which points into it.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#getGravityAxis
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * @return {SAT.Vector}                      - The gravity unit vector.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.getGravityAxis = function (body) {
+	var configured = body.slopes.attached ? null : body.slopes.gravity || this.options.gravity;
+	var gravity = configured ? new SAT.Vector(configured.x, configured.y) : this.getGravity(body);
+	
+	if (!gravity.x && !gravity.y) {
+		return gravity.copy(this.groundAxis).reverse();
+	}
+	
+	return gravity.normalize();
+};
+
+/**
+ * Determine whether a physics body's gravity should follow the surface it's
+ * on.
+ *
+ * Bodies with surface gravity enabled stay attached to the ground they're on
+ * for as long as they move at least as fast as their detach speed.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#shouldAttach
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldAttach = function (body) {
+	return body.slopes.surfaceGravity && body.slopes.onGround &&
+		body.velocity.x * body.velocity.x + body.velocity.y * body.velocity.y >= body.slopes.detachSpeed * body.slopes.detachSpeed;
+};
+
+/**
+ * Update the direction of a physics body's gravity.
+ *
+ * Attached bodies are pulled into the ground they're on by gravity of the
+ * same strength as their own, so they can run up walls, across ceilings and
+ * around loops. They're detached, and given their own gravity back, when they
+ * leave the ground or slow down too much.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#updateGravity
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.updateGravity = function (body) {
+	if (!body.slopes) {
+		return;
+	}
+	
+	if (this.shouldAttach(body)) {
+		this.attach(body, body.slopes.groundNormal);
+	} else {
+		this.detach(body);
+	}
+};
+
+/**
+ * Attach a physics body to the surface with the given normal, pointing its
+ * gravity into it.
+ *
+ * The body's own gravity is kept until it's detached.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#attach
+ * @param  {Phaser.Physics.Arcade.Body} body   - The physics body.
+ * @param  {SAT.Vector}                 normal - The surface normal, facing outwards.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.attach = function (body, normal) {
+	if (!body.slopes.attached) {
+		body.slopes.baseGravity.copyFrom(body.gravity);
+		body.slopes.attached = true;
+	}
+	
+	// Work out the strength of the body's own gravity, including the world's
+	var world = new SAT.Vector();
+	
+	if (body.allowGravity && body.game) {
+		world.x = body.game.physics.arcade.gravity.x;
+		world.y = body.game.physics.arcade.gravity.y;
+	}
+	
+	var strength = world.clone().add(body.slopes.baseGravity).len();
+	
+	// Point the body's total gravity into the surface, offsetting the world's
+	body.gravity.x = -normal.x * strength - world.x;
+	body.gravity.y = -normal.y * strength - world.y;
+};
+
+/**
+ * Detach a physics body from the surface it's attached to, giving it its own
+ * gravity back.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#detach
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.detach = function (body) {
+	if (!body.slopes.attached) {
+		return;
+	}
+	
+	body.gravity.copyFrom(body.slopes.baseGravity);
+	body.slopes.attached = false;
+};
+
+/**
+ * Get the world positions of the feet of a physics body; the points of its
+ * shape that lead the way along the given direction.
+ *
+ * Flat bottomed bodies have a foot at each end and one in the middle.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#getFeet
+ * @param  {Phaser.Physics.Arcade.Body} body      - The physics body.
+ * @param  {SAT.Vector}                 direction - The direction unit vector.
+ * @return {SAT.Vector[]}                         - The feet.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.getFeet = function (body, direction) {
+	if (body.isCircle) {
+		return [
+			new SAT.Vector(
+				body.x + body.halfWidth + direction.x * body.polygon.r,
+				body.y + body.halfHeight + direction.y * body.polygon.r
+			)
+		];
+	}
+	
+	var points = body.polygon.calcPoints;
+	var max = -Infinity;
+	var feet = [];
+	var i;
+	
+	for (i = 0; i < points.length; i++) {
+		max = Math.max(max, points[i].dot(direction));
+	}
+	
+	for (i = 0; i < points.length; i++) {
+		if (points[i].dot(direction) > max - 0.01) {
+			feet.push(points[i].clone().add(body.polygon.pos));
+		}
+	}
+	
+	if (feet.length > 1) {
+		feet.push(feet[0].clone().add(feet[feet.length - 1]).scale(0.5));
+	}
+	
+	return feet;
+};
+
+/**
+ * Determine whether a body should stick to the ground below it.
+ *
+ * Bodies stick to the ground if they have a stick distance, they were on the
+ * ground last frame but aren't any more, and they're either moving with gravity
+ * or along the ground they were on. Bodies moving against gravity and away from
+ * the ground, like they would be if they had jumped, don't stick.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#shouldStick
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldStick = function (body) {
+	if (!body.slopes || !body.slopes.stickDistance || body.slopes.onGround) {
+		return false;
+	}
+	
+	var normal = body.slopes.lastGroundNormal;
+	
+	if (!normal.x && !normal.y) {
+		return false;
+	}
+	
+	var gravity = this.getGravityAxis(body);
+	
+	return body.velocity.x * gravity.x + body.velocity.y * gravity.y >= 0 ||
+		body.velocity.x * normal.x + body.velocity.y * normal.y <= 0;
+};
+
+/**
+ * Stick a body to walkable ground within its stick distance, by casting rays
+ * from its feet in the direction of gravity and moving it onto the nearest
+ * surface they hit.
+ *
+ * Stops bodies from popping into the air when they run down slopes or over
+ * the top of them. Any velocity away from the new ground is removed.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#stick
+ * @param  {Phaser.Physics.Arcade.Body} body         - The physics body.
+ * @param  {Phaser.TilemapLayer}        tilemapLayer - The tilemap layer.
+ * @param  {function}                   [filter]     - Limits the tiles to stick to, like to the tiles that use this solver.
+ * @return {boolean}                                 - Whether the body stuck to the ground.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.stick = function (body, tilemapLayer, filter) {
+	if (!this.shouldStick(body)) {
+		return false;
+	}
+	
+	// Update the body's polygon position and angle
+	this.updateValues(body);
+	
+	var gravity = this.getGravityAxis(body);
+	var feet = this.getFeet(body, gravity);
+	var distance = body.slopes.stickDistance;
+	var i;
+	
+	// Cast from a pixel above the feet, so that rays from feet already resting
+	// on the ground still hit it
+	for (i = 0; i < feet.length; i++) {
+		feet[i].sub(gravity);
+	}
+	
+	distance += 1;
+	
+	var offsetX = tilemapLayer.getCollisionOffsetX();
+	var offsetY = tilemapLayer.getCollisionOffsetY();
+	var left = Infinity;
+	var top = Infinity;
+	var right = -Infinity;
+	var bottom = -Infinity;
+	
+	// Find the tiles the rays could hit
+	for (i = 0; i < feet.length; i++) {
+		left = Math.min(left, feet[i].x, feet[i].x + gravity.x * distance);
+		top = Math.min(top, feet[i].y, feet[i].y + gravity.y * distance);
+		right = Math.max(right, feet[i].x, feet[i].x + gravity.x * distance);
+		bottom = Math.max(bottom, feet[i].y, feet[i].y + gravity.y * distance);
+	}
+	
+	var tiles = tilemapLayer.getTiles(left - offsetX, top - offsetY, right - left, bottom - top, false, false);
+	
+	tiles = tiles.filter(function (tile) {
+		return tile.slope && !(tile.slope.oneWay && body.slopes.dropThrough) && (!filter || filter(tile));
+	});
+	
+	// Cast a ray from each foot, keeping the nearest hit
+	var nearest = null;
+	
+	for (i = 0; i < feet.length; i++) {
+		var hit = this.raycaster.raycastTiles(tiles, feet[i], feet[i].clone().add(gravity.clone().scale(distance)), offsetX, offsetY);
+		
+		if (hit && (!nearest || hit.distance < nearest.distance)) {
+			nearest = hit;
+		}
+	}
+	
+	// Only stick to surfaces that the body could stand on
+	if (!nearest || nearest.normal.dot(gravity) >= 0 || this.isSteep(body, nearest.normal)) {
+		return false;
+	}
+	
+	// Never move the body up onto the ground
+	var travel = Math.max(nearest.distance - 1, 0);
+	
+	body.position.x += gravity.x * travel;
+	body.position.y += gravity.y * travel;
+	
+	// Keep the body's ground speed, or stop it moving away from the ground
+	var away = body.velocity.x * nearest.normal.x + body.velocity.y * nearest.normal.y;
+	
+	if (this.shouldKeepSpeed(body, nearest.normal)) {
+		this.keepSpeed(body, nearest.normal);
+		
+		body.slopes.groundVelocity.copy(body.velocity);
+	} else if (away > 0) {
+		body.velocity.x -= nearest.normal.x * away;
+		body.velocity.y -= nearest.normal.y * away;
+	}
+	
+	this.stickResponse.overlapN.copy(nearest.normal);
+	this.updateGround(body, nearest.tile, this.stickResponse);
+	
+	return true;
+};
+
+/**
+ * Determine whether a physics body should try to step up onto ledges.
+ *
+ * Only polygon bodies with a step height that were on the ground, this frame
+ * or the last, step up.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#shouldStepUp
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldStepUp = function (body) {
+	return !!(body.slopes && body.polygon && !body.isCircle && body.slopes.stepHeight > 0 &&
+		(body.slopes.onGround || body.slopes.lastGroundNormal.x || body.slopes.lastGroundNormal.y));
+};
+
+/**
+ * Lift a grounded physics body onto the ledge of a wall that it's moving into,
+ * if the wall is no taller than the body's step height.
+ *
+ * Walls face across the body's gravity. The body is tested against the tile
+ * polygons around it, raised by its step height above the ground it has sunk
+ * into, to make sure there's room for it above the ledge. It's then swept back down onto the ledge, so any
+ * tile shape works.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#stepUp
+ * @param  {Phaser.Physics.Arcade.Body} body         - The physics body.
+ * @param  {Phaser.TilemapLayer}        tilemapLayer - The tilemap layer.
+ * @param  {function}                   [filter]     - Limits the tiles to step up onto, like to the tiles that use this solver.
+ * @return {boolean}                                 - Whether the body stepped up.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.stepUp = function (body, tilemapLayer, filter) {
+	if (!this.shouldStepUp(body)) {
+		return false;
+	}
+	
+	// Update the body's polygon position and angle
+	this.updateValues(body);
+	
+	var that = this;
+	var gravity = this.getGravityAxis(body);
+	var height = body.slopes.stepHeight;
+	var response = this.stepResponse;
+	var polygon = body.polygon;
+	var offsetX = tilemapLayer.getCollisionOffsetX();
+	var offsetY = tilemapLayer.getCollisionOffsetY();
+	var left = Infinity;
+	var top = Infinity;
+	var right = -Infinity;
+	var bottom = -Infinity;
+	var i, t, p;
+	
+	// Find the tiles around the body and the space above it
+	for (i = 0; i < polygon.calcPoints.length; i++) {
+		var x = polygon.pos.x + polygon.calcPoints[i].x;
+		var y = polygon.pos.y + polygon.calcPoints[i].y;
+		
+		left = Math.min(left, x, x - gravity.x * height);
+		top = Math.min(top, y, y - gravity.y * height);
+		right = Math.max(right, x, x - gravity.x * height);
+		bottom = Math.max(bottom, y, y - gravity.y * height);
+	}
+	
+	var tiles = tilemapLayer.getTiles(left - offsetX, top - offsetY, right - left, bottom - top, false, false);
+	
+	tiles = tiles.filter(function (tile) {
+		return that.shouldCollide(body, tile) && !tile.slope.oneWay && (!filter || filter(tile));
+	});
+	
+	for (t = 0; t < tiles.length; t++) {
+		for (p = 0; p < tiles[t].slope.polygons.length; p++) {
+			tiles[t].slope.polygons[p].pos.x = tiles[t].worldX + offsetX;
+			tiles[t].slope.polygons[p].pos.y = tiles[t].worldY + offsetY;
+		}
+	}
+	
+	// Look for a wall that the body is moving into, and how far the body has
+	// sunk into the ground it's standing on
+	var wall = false;
+	var sink = 0;
+	
+	for (t = 0; t < tiles.length; t++) {
+		for (p = 0; p < tiles[t].slope.polygons.length; p++) {
+			Phaser.Plugin.ArcadeSlopes.SatSolver.resetResponse(response);
+			
+			if (!this.test(body, tiles[t].slope.polygons[p], response) || !response.overlap) {
+				continue;
+			}
+			
+			Phaser.Plugin.ArcadeSlopes.SatSolver.prepareResponse(response);
+			
+			var up = -response.overlapN.dot(gravity);
+			
+			if (up > 0) {
+				sink = Math.max(sink, response.overlap * up);
+			}
+			
+			wall = wall || (
+				Math.abs(up) < 0.01 &&
+				body.velocity.x * response.overlapN.x + body.velocity.y * response.overlapN.y < 0 &&
+				this.collidesOnNormal(tiles[t], response.overlapN)
+			);
+		}
+	}
+	
+	if (!wall) {
+		return false;
+	}
+	
+	// Raise the body by its step height above the ground, bailing if there's
+	// no room for it
+	var raise = height + sink;
+	var x0 = polygon.pos.x;
+	var y0 = polygon.pos.y;
+	
+	polygon.pos.x -= gravity.x * raise;
+	polygon.pos.y -= gravity.y * raise;
+	
+	for (t = 0; t < tiles.length; t++) {
+		for (p = 0; p < tiles[t].slope.polygons.length; p++) {
+			Phaser.Plugin.ArcadeSlopes.SatSolver.resetResponse(response);
+			
+			if (this.test(body, tiles[t].slope.polygons[p], response) && response.overlap > 0) {
+				polygon.pos.x = x0;
+				polygon.pos.y = y0;
+				
+				return false;
+			}
+		}
+	}
+	
+	// Sweep it back down to find how far it needs to go up to land on the ledge
+	var displacement = this.stepDisplacement.copy(gravity).scale(raise);
+	var result = this.stepResult;
+	var lift = 0;
+	var ledge = null;
+	
+	for (t = 0; t < tiles.length; t++) {
+		for (p = 0; p < tiles[t].slope.polygons.length; p++) {
+			if (Phaser.Plugin.ArcadeSlopes.SatSolver.sweepPolygonPolygon(polygon, tiles[t].slope.polygons[p], displacement, result) && raise * (1 - result.time) > lift) {
+				lift = raise * (1 - result.time);
+				ledge = tiles[t];
+				response.overlapN.copy(result.normal);
+			}
+		}
+	}
+	
+	polygon.pos.x = x0;
+	polygon.pos.y = y0;
+	
+	if (!lift) {
+		return false;
+	}
+	
+	// Don't step up onto ledges that the body couldn't stand on
+	var normal = response.overlapN;
+	
+	if (normal.dot(gravity) >= 0 || this.isSteep(body, normal) || !this.collidesOnNormal(ledge, normal)) {
+		return false;
+	}
+	
+	body.position.x -= gravity.x * lift;
+	body.position.y -= gravity.y * lift;
+	
+	// The body is now standing on the ledge
+	this.updateGround(body, ledge, response);
+	
+	return true;
+};
+
 /**
  * Pull the body into a collision response based on its slopes options.
  *
@@ -350,130 +1899,420 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.snap = function (body, tiles, til
  * @param  {SAT.Response}               response - The SAT response.
  * @return {boolean}                             - Whether the body was pulled.
  */
-Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.pull = function (body, response) {
-	if (!body.slopes.pullUp && !body.slopes.pullDown && !body.slopes.pullLeft && !body.slopes.pullRight &&
-		!body.slopes.pullTopLeft && !body.slopes.pullTopRight && !body.slopes.pullBottomLeft && !body.slopes.pullBottomRight) {
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.pull = function (body, response) {
+	if (!body.slopes.pullUp && !body.slopes.pullDown && !body.slopes.pullLeft && !body.slopes.pullRight &&
+		!body.slopes.pullTopLeft && !body.slopes.pullTopRight && !body.slopes.pullBottomLeft && !body.slopes.pullBottomRight) {
+		return false;
+	}
+	
+	// Clone and flip the overlap normal so that it faces into the collision
+	var overlapN = response.overlapN.clone().scale(-1);
+	
+	if (body.slopes.pullUp && overlapN.y < 0) {
+		// Scale it by the configured amount
+		pullUp = overlapN.clone().scale(body.slopes.pullUp);
+		
+		// Apply it to the body velocity
+		body.velocity.x += pullUp.x;
+		body.velocity.y += pullUp.y;
+		
+		return true;
+	}
+	
+	if (body.slopes.pullDown && overlapN.y > 0) {
+		pullDown = overlapN.clone().scale(body.slopes.pullDown);
+		
+		body.velocity.x += pullDown.x;
+		body.velocity.y += pullDown.y;
+		
+		return true;
+	}
+	
+	if (body.slopes.pullLeft && overlapN.x < 0) {
+		pullLeft = overlapN.clone().scale(body.slopes.pullLeft);
+		
+		body.velocity.x += pullLeft.x;
+		body.velocity.y += pullLeft.y;
+		
+		return true;
+	}
+	
+	if (body.slopes.pullRight && overlapN.x > 0) {
+		pullRight = overlapN.clone().scale(body.slopes.pullRight);
+		
+		body.velocity.x += pullRight.x;
+		body.velocity.y += pullRight.y;
+		
+		return true;
+	}
+	
+	if (body.slopes.pullTopLeft && overlapN.x < 0 && overlapN.y < 0) {
+		pullUp = overlapN.clone().scale(body.slopes.pullTopLeft);
+		
+		body.velocity.x += pullUp.x;
+		body.velocity.y += pullUp.y;
+		
+		return true;
+	}
+	
+	if (body.slopes.pullTopRight && overlapN.x > 0 && overlapN.y < 0) {
+		pullDown = overlapN.clone().scale(body.slopes.pullTopRight);
+		
+		body.velocity.x += pullDown.x;
+		body.velocity.y += pullDown.y;
+		
+		return true;
+	}
+	
+	if (body.slopes.pullBottomLeft && overlapN.x < 0 && overlapN.y > 0) {
+		pullLeft = overlapN.clone().scale(body.slopes.pullBottomLeft);
+		
+		body.velocity.x += pullLeft.x;
+		body.velocity.y += pullLeft.y;
+		
+		return true;
+	}
+	
+	if (body.slopes.pullBottomRight && overlapN.x > 0 && overlapN.y > 0) {
+		pullRight = overlapN.clone().scale(body.slopes.pullBottomRight);
+		
+		body.velocity.x += pullRight.x;
+		body.velocity.y += pullRight.y;
+		
+		return true;
+	}
+	
+	return false;
+};
+
+/**
+ * Perform a snap collision between the given body and tile, setting the body
+ * back to the given current position if it fails.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#snapCollide
+ * @param  {Phaser.Physics.Arcade.Body} body         - The translated physics body.
+ * @param  {Phaser.Tile}                tile         - The tile.
+ * @param  {Phaser.TilemapLayer}        tilemapLayer - The tilemap layer.
+ * @param  {Phaser.Point}               current      - The original position of the body.
+ * @return {boolean}                                 - Whether the body snapped to the tile.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.snapCollide = function (body, tile, tilemapLayer, current) {
+	if (this.collide(0, body, tile, tilemapLayer)) {
+		return true;
+	}
+	
+	// There was no collision, so reset the body position
+	body.position.x = current.x;
+	body.position.y = current.y;
+	
+	return false;
+};
+
+/**
+ * Determine whether everything required to process a collision is available.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#shouldCollide
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * @param  {Phaser.Tile}                tile - The tile.
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldCollide = function (body, tile) {
+	return body.enable && body.polygon && body.slopes && tile.collides && tile.slope && tile.slope.polygon && !tile.slope.sensor;
+};
+
+/**
+ * Detect which sensor tiles of a tilemap layer the given body overlaps,
+ * dispatching their enter, stay and exit signals.
+ *
+ * Bodies stop overlapping any sensor tiles of the layer that aren't in the
+ * given set of tiles.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#sense
+ * @param  {Phaser.Physics.Arcade.Body} body         - The physics body.
+ * @param  {Phaser.Tile[]}              tiles        - The tiles.
+ * @param  {Phaser.TilemapLayer}        tilemapLayer - The tilemap layer.
+ * @return {boolean}                                 - Whether the body overlaps any of the sensor tiles.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.sense = function (body, tiles, tilemapLayer) {
+	if (!body.slopes || !body.slopes.sensors || !body.polygon) {
+		return false;
+	}
+	
+	var sensors = body.slopes.sensors;
+	var sensed = [];
+	var i, tile;
+	
+	for (i = 0; i < tiles.length; i++) {
+		tile = tiles[i];
+		
+		if (!tile.slope || !tile.slope.sensor || !this.senseTile(body, tile, tilemapLayer)) {
+			continue;
+		}
+		
+		sensed.push(tile);
+		
+		if (sensors.indexOf(tile) < 0) {
+			sensors.push(tile);
+			tile.slope.onEnter.dispatch(body.sprite, tile);
+		} else {
+			tile.slope.onStay.dispatch(body.sprite, tile);
+		}
+	}
+	
+	// Exit any sensor tiles of this layer that the body no longer overlaps
+	for (i = sensors.length - 1; i >= 0; i--) {
+		tile = sensors[i];
+		
+		if (tile.layer === tilemapLayer.layer && sensed.indexOf(tile) < 0) {
+			sensors.splice(i, 1);
+			tile.slope.onExit.dispatch(body.sprite, tile);
+		}
+	}
+	
+	return sensed.length > 0;
+};
+
+/**
+ * Determine whether the given body overlaps any of a sensor tile's polygons.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#senseTile
+ * @param  {Phaser.Physics.Arcade.Body} body         - The physics body.
+ * @param  {Phaser.Tile}                tile         - The sensor tile.
+ * @param  {Phaser.TilemapLayer}        tilemapLayer - The tilemap layer.
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.senseTile = function (body, tile, tilemapLayer) {
+	if (!body.enable) {
+		return false;
+	}
+	
+	this.updateValues(body);
+	
+	// Cater for SAT.js requiring center-origin circles
+	if (body.isCircle) {
+		body.polygon.pos.x += body.halfWidth;
+		body.polygon.pos.y += body.halfHeight;
+	}
+	
+	for (var p = 0; p < tile.slope.polygons.length; p++) {
+		var polygon = tile.slope.polygons[p];
+		
+		// Update the tile polygon position
+		polygon.pos.x = tile.worldX + tilemapLayer.getCollisionOffsetX();
+		polygon.pos.y = tile.worldY + tilemapLayer.getCollisionOffsetY();
+		
+		Phaser.Plugin.ArcadeSlopes.SatSolver.resetResponse(this.sensorResponse);
+		
+		if (this.test(body, polygon, this.sensorResponse)) {
+			return true;
+		}
+	}
+	
+	return false;
+};
+
+/**
+ * Determine whether the given body should be swept against tiles.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#shouldSweep
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldSweep = function (body) {
+	return !!(body.slopes && body.polygon && (this.options.sweep || body.slopes.sweep));
+};
+
+/**
+ * Sweep the given body from its previous position against one of the given
+ * tile's polygons.
+ *
+ * Only reports a hit that regular collisions would get wrong; either the body
+ * passes through the tile entirely, or ends up so deep inside it that it would
+ * be separated through an edge that it started behind.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#sweepTile
+ * @param  {Phaser.Physics.Arcade.Body} body         - The physics body.
+ * @param  {Phaser.Tile}                tile         - The tile.
+ * @param  {SAT.Polygon}                polygon      - The tile polygon.
+ * @param  {Phaser.TilemapLayer}        tilemapLayer - The tilemap layer.
+ * @param  {SAT.Vector}                 displacement - The movement of the body.
+ * @param  {object}                     result       - The object to store the time of impact, normal and overlap in.
+ * @return {boolean}                                 - Whether the body should be stopped by the tile.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.sweepTile = function (body, tile, polygon, tilemapLayer, displacement, result) {
+	if (!this.shouldCollide(body, tile)) {
 		return false;
 	}
 	
-	// Clone and flip the overlap normal so that it faces into the collision
-	var overlapN = response.overlapN.clone().scale(-1);
+	// Update the tile polygon position
+	polygon.pos.x = tile.worldX + tilemapLayer.getCollisionOffsetX();
+	polygon.pos.y = tile.worldY + tilemapLayer.getCollisionOffsetY();
 	
-	if (body.slopes.pullUp && overlapN.y < 0) {
-		// Scale it by the configured amount
-		pullUp = overlapN.clone().scale(body.slopes.pullUp);
-		
-		// Apply it to the body velocity
-		body.velocity.x += pullUp.x;
-		body.velocity.y += pullUp.y;
-		
-		return true;
-	}
+	// Move the body polygon back to where the body started
+	body.polygon.pos.x = body.prev.x;
+	body.polygon.pos.y = body.prev.y;
 	
-	if (body.slopes.pullDown && overlapN.y > 0) {
-		pullDown = overlapN.clone().scale(body.slopes.pullDown);
-		
-		body.velocity.x += pullDown.x;
-		body.velocity.y += pullDown.y;
-		
-		return true;
+	// Cater for SAT.js requiring center-origin circles
+	if (body.isCircle) {
+		body.polygon.pos.x += body.halfWidth;
+		body.polygon.pos.y += body.halfHeight;
 	}
 	
-	if (body.slopes.pullLeft && overlapN.x < 0) {
-		pullLeft = overlapN.clone().scale(body.slopes.pullLeft);
-		
-		body.velocity.x += pullLeft.x;
-		body.velocity.y += pullLeft.y;
-		
-		return true;
+	var response = this.sweepResponse;
+	var hit;
+	
+	if (body.isCircle) {
+		hit = Phaser.Plugin.ArcadeSlopes.SatSolver.sweepCirclePolygon(body.polygon, polygon, displacement, result, response);
+	} else {
+		hit = Phaser.Plugin.ArcadeSlopes.SatSolver.sweepPolygonPolygon(body.polygon, polygon, displacement, result);
 	}
 	
-	if (body.slopes.pullRight && overlapN.x > 0) {
-		pullRight = overlapN.clone().scale(body.slopes.pullRight);
-		
-		body.velocity.x += pullRight.x;
-		body.velocity.y += pullRight.y;
-		
-		return true;
+	// Ignore internal and non-colliding edges
+	if (!hit || result.internal || !this.collidesOnNormal(tile, result.normal)) {
+		return false;
 	}
 	
-	if (body.slopes.pullTopLeft && overlapN.x < 0 && overlapN.y < 0) {
-		pullUp = overlapN.clone().scale(body.slopes.pullTopLeft);
-		
-		body.velocity.x += pullUp.x;
-		body.velocity.y += pullUp.y;
-		
-		return true;
+	// Ignore one-way tiles unless the body hit their surface
+	if (tile.slope.oneWay && (body.slopes.dropThrough || result.normal.dot(this.getOneWayAxis(tile)) < 0.999)) {
+		return false;
 	}
 	
-	if (body.slopes.pullTopRight && overlapN.x > 0 && overlapN.y < 0) {
-		pullDown = overlapN.clone().scale(body.slopes.pullTopRight);
-		
-		body.velocity.x += pullDown.x;
-		body.velocity.y += pullDown.y;
-		
+	// Test the body against the tile where it ended up
+	body.polygon.pos.x += displacement.x;
+	body.polygon.pos.y += displacement.y;
+	
+	Phaser.Plugin.ArcadeSlopes.SatSolver.resetResponse(response);
+	
+	if (!this.test(body, polygon, response)) {
 		return true;
 	}
 	
-	if (body.slopes.pullBottomLeft && overlapN.x < 0 && overlapN.y > 0) {
-		pullLeft = overlapN.clone().scale(body.slopes.pullBottomLeft);
-		
-		body.velocity.x += pullLeft.x;
-		body.velocity.y += pullLeft.y;
-		
-		return true;
+	// Regular collisions can deal with it if they would separate the body
+	// through the same edge it hit
+	Phaser.Plugin.ArcadeSlopes.SatSolver.prepareResponse(response);
+	
+	if (response.overlapN.dot(result.normal) >= 0.999) {
+		return false;
 	}
 	
-	if (body.slopes.pullBottomRight && overlapN.x > 0 && overlapN.y > 0) {
-		pullRight = overlapN.clone().scale(body.slopes.pullBottomRight);
-		
-		body.velocity.x += pullRight.x;
-		body.velocity.y += pullRight.y;
-		
-		return true;
+	// Or through any other edge that the body started outside of, like the
+	// surface of a slope whose foot it grazed on the way
+	var bodyRange = this.sweepRanges[0];
+	var tileRange = this.sweepRanges[1];
+	
+	body.polygon.pos.x -= displacement.x;
+	body.polygon.pos.y -= displacement.y;
+	
+	if (body.isCircle) {
+		bodyRange[0] = body.polygon.pos.dot(response.overlapN) - body.polygon.r;
+	} else {
+		Phaser.Plugin.ArcadeSlopes.SatSolver.projectPolygon(body.polygon, response.overlapN, bodyRange);
 	}
 	
-	return false;
+	Phaser.Plugin.ArcadeSlopes.SatSolver.projectPolygon(polygon, response.overlapN, tileRange);
+	
+	return bodyRange[0] < tileRange[1] - this.options.sweepSkin;
 };
 
 /**
- * Perform a snap collision between the given body and tile, setting the body
- * back to the given current position if it fails.
+ * Sweep the given body from its previous position against a set of tiles.
  *
- * @method Phaser.Plugin.ArcadeSlopes.SatSolver#snapCollide
- * @param  {Phaser.Physics.Arcade.Body} body         - The translated physics body.
- * @param  {Phaser.Tile}                tile         - The tile.
+ * Moves the body back to the earliest time of impact, leaving it just inside
+ * the surface it hit so that regular collisions separate it properly. The rest
+ * of its movement is kept only along the surface.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#sweep
+ * @param  {Phaser.Physics.Arcade.Body} body         - The physics body.
+ * @param  {Phaser.Tile[]}              tiles        - The tiles.
  * @param  {Phaser.TilemapLayer}        tilemapLayer - The tilemap layer.
- * @param  {Phaser.Point}               current      - The original position of the body.
- * @return {boolean}                                 - Whether the body snapped to the tile.
+ * @return {boolean}                                 - Whether the body was moved back.
  */
-Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.snapCollide = function (body, tile, tilemapLayer, current) {
-	if (this.collide(0, body, tile, tilemapLayer)) {
-		return true;
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.sweep = function (body, tiles, tilemapLayer) {
+	if (!this.shouldSweep(body)) {
+		return false;
 	}
 	
-	// There was no collision, so reset the body position
-	body.position.x = current.x;
-	body.position.y = current.y;
+	var displacement = this.sweepDisplacement;
 	
-	return false;
+	displacement.x = body.position.x - body.prev.x;
+	displacement.y = body.position.y - body.prev.y;
+	
+	if (!displacement.x && !displacement.y) {
+		return false;
+	}
+	
+	var result = this.sweepResult;
+	var earliest = this.sweepEarliest;
+	var hit = false;
+	
+	for (var t = 0; t < tiles.length; t++) {
+		if (!tiles[t].slope) {
+			continue;
+		}
+		
+		for (var p = 0; p < tiles[t].slope.polygons.length; p++) {
+			if (this.sweepTile(body, tiles[t], tiles[t].slope.polygons[p], tilemapLayer, displacement, result) && (!hit || result.time < earliest.time)) {
+				earliest.time = result.time;
+				earliest.normal.copy(result.normal);
+				earliest.overlap = result.overlap;
+				
+				hit = true;
+			}
+		}
+	}
+	
+	if (!hit) {
+		return false;
+	}
+	
+	// Keep the rest of the movement that runs along the surface
+	var slide = this.sweepSlide.copy(displacement).scale(1 - earliest.time);
+	var into = slide.dot(earliest.normal);
+	
+	if (into < 0) {
+		slide.x -= earliest.normal.x * into;
+		slide.y -= earliest.normal.y * into;
+	}
+	
+	// Move the body to the time of impact, slide it along the surface and
+	// leave it just inside
+	var depth = earliest.overlap - this.options.sweepSkin;
+	
+	body.position.x = body.prev.x + displacement.x * earliest.time + slide.x + earliest.normal.x * depth;
+	body.position.y = body.prev.y + displacement.y * earliest.time + slide.y + earliest.normal.y * depth;
+	
+	return true;
 };
 
 /**
- * Determine whether everything required to process a collision is available.
+ * Test the given body's polygon for an overlap with the given tile polygon.
  *
- * @method Phaser.Plugin.ArcadeSlopes.SatSolver#shouldCollide
- * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
- * @param  {Phaser.Tile}                tile - The tile.
- * @return {boolean}
+ * Uses the custom polygon test if internal edges should be ignored. Circles
+ * always use the regular SAT.js test.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#test
+ * @param  {Phaser.Physics.Arcade.Body} body     - The physics body.
+ * @param  {SAT.Polygon}                polygon  - The tile polygon.
+ * @param  {SAT.Response}               response - The SAT response to populate.
+ * @return {boolean}                             - Whether the body overlaps the polygon.
  */
-Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldCollide = function (body, tile) {
-	return body.enable && body.polygon && body.slopes && tile.collides && tile.slope && tile.slope.polygon;
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.test = function (body, polygon, response) {
+	if (body.isCircle) {
+		return SAT.testCirclePolygon(body.polygon, polygon, response);
+	}
+	
+	if (this.options.ignoreInternalEdges) {
+		return Phaser.Plugin.ArcadeSlopes.SatSolver.testPolygonPolygon(body.polygon, polygon, response);
+	}
+	
+	return SAT.testPolygonPolygon(body.polygon, polygon, response);
 };
 
 /**
  * Separate the given body and tile from each other and apply any relevant
  * changes to the body's velocity.
+ *
+ * Collides the body with each of the tile's polygons in turn.
  * 
  * @method Phaser.Plugin.ArcadeSlopes.SatSolver#collide
  * @param  {integer}                    i            - The tile index.
@@ -484,24 +2323,166 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldCollide = function (body, t
  * @return {boolean}                                 - Whether the body was separated.
  */
 Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.collide = function (i, body, tile, tilemapLayer, overlapOnly) {
-	// Update the body's polygon position and velocity vector
-	this.updateValues(body);
-	
 	// Bail out if we don't have everything we need
 	if (!this.shouldCollide(body, tile)) {
 		return false;
 	}
 	
+	var polygons = tile.slope.polygons;
+	var collided = false;
+	var p;
+	
+	// Update the tile polygon positions
+	for (p = 0; p < polygons.length; p++) {
+		polygons[p].pos.x = tile.worldX + tilemapLayer.getCollisionOffsetX();
+		polygons[p].pos.y = tile.worldY + tilemapLayer.getCollisionOffsetY();
+	}
+	
+	for (p = 0; p < polygons.length; p++) {
+		if (this.collidePolygon(i, body, tile, polygons[p], overlapOnly)) {
+			collided = true;
+			
+			// One overlap is enough if that's all we're testing for
+			if (overlapOnly) {
+				break;
+			}
+		}
+	}
+	
+	return collided;
+};
+
+/**
+ * Determine whether to resolve the collisions of a physics body iteratively.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#shouldResolve
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldResolve = function (body) {
+	return !!(body.slopes && body.polygon && this.options.iterative);
+};
+
+/**
+ * Resolve the overlaps of a physics body with a set of tiles iteratively.
+ *
+ * Each pass finds every overlapping tile polygon and separates the body from
+ * them deepest first, testing each again before it does. Passes continue until
+ * the body is free, nothing more can be separated, or the number of
+ * iterations runs out.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#resolve
+ * @param  {Phaser.Physics.Arcade.Body} body         - The physics body.
+ * @param  {Phaser.Tile[]}              tiles        - The tiles.
+ * @param  {Phaser.TilemapLayer}        tilemapLayer - The tilemap layer.
+ * @return {Phaser.Tile[]}                           - The tiles the body was separated from.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.resolve = function (body, tiles, tilemapLayer) {
+	var response = this.resolveResponse;
+	var separated = [];
+	var overlaps = [];
+	var o, p, t;
+	
+	this.callbackResults = {
+		tiles: [],
+		values: []
+	};
+	
+	for (var pass = 0; pass < this.options.iterations; pass++) {
+		overlaps.length = 0;
+		
+		this.updateValues(body);
+		
+		// Cater for SAT.js requiring center-origin circles
+		if (body.isCircle) {
+			body.polygon.pos.x += body.halfWidth;
+			body.polygon.pos.y += body.halfHeight;
+		}
+		
+		// Find every overlap
+		for (t = 0; t < tiles.length; t++) {
+			var tile = tiles[t];
+			
+			if (!this.shouldCollide(body, tile)) {
+				continue;
+			}
+			
+			for (p = 0; p < tile.slope.polygons.length; p++) {
+				var polygon = tile.slope.polygons[p];
+				
+				polygon.pos.x = tile.worldX + tilemapLayer.getCollisionOffsetX();
+				polygon.pos.y = tile.worldY + tilemapLayer.getCollisionOffsetY();
+				
+				Phaser.Plugin.ArcadeSlopes.SatSolver.resetResponse(response);
+				
+				if (this.test(body, polygon, response) && response.overlap > 0) {
+					overlaps.push({
+						index: t,
+						tile: tile,
+						polygon: polygon,
+						depth: response.overlap
+					});
+				}
+			}
+		}
+		
+		// The body is free
+		if (!overlaps.length) {
+			break;
+		}
+		
+		overlaps.sort(function (a, b) {
+			return b.depth - a.depth;
+		});
+		
+		var moved = false;
+		
+		// Separate the body from the deepest overlaps first
+		for (o = 0; o < overlaps.length; o++) {
+			if (this.collidePolygon(overlaps[o].index, body, overlaps[o].tile, overlaps[o].polygon, false)) {
+				moved = true;
+				
+				if (separated.indexOf(overlaps[o].tile) === -1) {
+					separated.push(overlaps[o].tile);
+				}
+			}
+		}
+		
+		// Nothing more can be separated
+		if (!moved) {
+			break;
+		}
+	}
+	
+	this.callbackResults = null;
+	
+	return separated;
+};
+
+/**
+ * Separate the given body and one of the given tile's polygons from each other
+ * and apply any relevant changes to the body's velocity.
+ *
+ * Expects the tile polygon to be positioned already.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#collidePolygon
+ * @param  {integer}                    i           - The tile index.
+ * @param  {Phaser.Physics.Arcade.Body} body        - The physics body.
+ * @param  {Phaser.Tile}                tile        - The tile.
+ * @param  {SAT.Polygon}                polygon     - The tile polygon.
+ * @param  {boolean}                    overlapOnly - Whether to only check for an overlap.
+ * @return {boolean}                                - Whether the body was separated.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.collidePolygon = function (i, body, tile, polygon, overlapOnly) {
+	// Update the body's polygon position and velocity vector
+	this.updateValues(body);
+	
 	// Cater for SAT.js requiring center-origin circles
 	if (body.isCircle) {
 		body.polygon.pos.x += body.halfWidth;
 		body.polygon.pos.y += body.halfHeight;
 	}
 	
-	// Update the tile polygon position
-	tile.slope.polygon.pos.x = tile.worldX + tilemapLayer.getCollisionOffsetX();
-	tile.slope.polygon.pos.y = tile.worldY + tilemapLayer.getCollisionOffsetY();
-	
 	// Reuse the body's response or create one for it
 	var response = body.slopes.sat.response || new SAT.Response();
 	
@@ -509,7 +2490,7 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.collide = function (i, body, tile
 	Phaser.Plugin.ArcadeSlopes.SatSolver.resetResponse(response);
 	
 	// Test for an overlap and bail if there isn't one
-	if ((body.isCircle && !SAT.testCirclePolygon(body.polygon, tile.slope.polygon, response)) || (!body.isCircle && !SAT.testPolygonPolygon(body.polygon, tile.slope.polygon, response))) {
+	if (!this.test(body, polygon, response)) {
 		return false;
 	}
 	
@@ -521,8 +2502,18 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.collide = function (i, body, tile
 	// Invert our overlap vectors so that we have them facing outwards
 	Phaser.Plugin.ArcadeSlopes.SatSolver.prepareResponse(response);
 	
+	// Record the contact, whether the body separates from it or not
+	var contact = this.addContact(body, tile, polygon, response);
+	var x = body.position.x;
+	var y = body.position.y;
+	var separated = this.separate(body, tile, response);
+	
+	// Restraints can separate the body on an axis of their own instead
+	contact.separated = contact.separated || separated || body.position.x !== x || body.position.y !== y;
+	contact.restraint = response.restraint || contact.restraint;
+	
 	// Bail out if no separation occurred, resetting the response
-	if (!this.separate(body, tile, response)) {
+	if (!separated) {
 		return false;
 	}
 	
@@ -540,6 +2531,9 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.collide = function (i, body, tile
 	// Update the touching and blocked flags of the physics body
 	this.updateFlags(body, response);
 	
+	// Update the ground state of the physics body
+	this.updateGround(body, tile, response);
+	
 	return true;
 };
 
@@ -551,9 +2545,10 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.collide = function (i, body, tile
  * @param  {Phaser.Tile}                tile     - The tile.
  * @param  {SAT.Vector}                 axis     - The axis unit vector.
  * @param  {SAT.Response}               response - The SAT response to use.
+ * @param  {SAT.Polygon}                polygon  - The tile polygon to use. Defaults to the tile's first polygon.
  * @return {boolean}                             - Whether the body was separated.
  */
-Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.collideOnAxis = function (body, tile, axis, response) {
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.collideOnAxis = function (body, tile, axis, response, polygon) {
 	// Update the body's polygon position and velocity vector
 	this.updateValues(body);
 	
@@ -563,8 +2558,9 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.collideOnAxis = function (body, t
 	}
 	
 	response = response || new SAT.Response();
+	polygon = polygon || tile.slope.polygon;
 	
-	var separatingAxis = Phaser.Plugin.ArcadeSlopes.SatSolver.isSeparatingAxis(body.polygon, tile.slope.polygon, axis, response);
+	var separatingAxis = Phaser.Plugin.ArcadeSlopes.SatSolver.isSeparatingAxis(body.polygon, polygon, axis, response);
 	
 	if (separatingAxis) {
 		return false;
@@ -585,6 +2581,7 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.collideOnAxis = function (body, t
 	
 	this.applyVelocity(body, tile, response);
 	this.updateFlags(body, response);
+	this.updateGround(body, tile, response);
 	
 	return true;
 };
@@ -639,31 +2636,118 @@ Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.shouldSeparate = function (i, bod
 		return false;
 	}
 	
-	// Run any separation restrainers if appropriate
-	if ((this.options.restrain || body.slopes.heuristics) && body.slopes.heuristics !== false && !body.isCircle) {
+	// Only separate from one-way tiles on their surface, and only if the body
+	// was outside of it
+	if (tile.slope.oneWay) {
+		if (!this.collidesOneWay(body, tile)) {
+			return false;
+		}
+		
+		var axis = this.getOneWayAxis(tile);
+		
+		if (!body.isCircle && response.overlapN.dot(axis) < 0.999) {
+			this.collideOnAxis(body, tile, axis, null, response.b);
+			
+			return false;
+		}
+		
+		return true;
+	}
+	
+	// Run any separation restrainers if appropriate; they assume an upright
+	// body, so rotated bodies rely on internal edges alone
+	if ((this.options.restrain || body.slopes.heuristics) && body.slopes.heuristics !== false && !body.isCircle && !body.polygon.angle) {
 		if (this.restrain(body, tile, response)) {
 			return false;
 		}
 	}
 	
 	// Ignore any non-colliding or internal edges
-	if ((!tile.collideUp || tile.slope.edges.top === Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY) && response.overlapN.y < 0 && response.overlapN.x === 0) {
+	if (!this.collidesOnNormal(tile, response.overlapN)) {
+		return false;
+	}
+	
+	// Otherwise we should separate normally
+	return true;
+};
+
+/**
+ * Get the separation axis of a one-way tile.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#getOneWayAxis
+ * @param  {Phaser.Tile} tile - The tile.
+ * @return {SAT.Vector}       - The outward facing axis unit vector.
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.getOneWayAxis = function (tile) {
+	return tile.slope.axis || this.oneWayAxis;
+};
+
+/**
+ * Determine whether a body should collide with a one-way tile.
+ *
+ * Bodies only collide if they aren't dropping through one-way tiles and their
+ * previous position was outside of the tile's surface.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#collidesOneWay
+ * @param  {Phaser.Physics.Arcade.Body} body - The physics body.
+ * @param  {Phaser.Tile}                tile - The one-way tile.
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.collidesOneWay = function (body, tile) {
+	if (body.slopes.dropThrough) {
+		return false;
+	}
+	
+	var axis = this.getOneWayAxis(tile);
+	var range = [0, 0];
+	var tileMax = -Number.MAX_VALUE;
+	var bodyMin;
+	
+	// Find the surface of the tile along the axis
+	for (var p = 0; p < tile.slope.polygons.length; p++) {
+		tileMax = Math.max(tileMax, Phaser.Plugin.ArcadeSlopes.SatSolver.projectPolygon(tile.slope.polygons[p], axis, range)[1]);
+	}
+	
+	if (body.isCircle) {
+		bodyMin = body.polygon.pos.dot(axis) - body.polygon.r;
+	} else {
+		bodyMin = Phaser.Plugin.ArcadeSlopes.SatSolver.projectPolygon(body.polygon, axis, range)[0];
+	}
+	
+	// Project the body back to its previous position
+	bodyMin += (body.prev.x - body.position.x) * axis.x + (body.prev.y - body.position.y) * axis.y;
+	
+	return bodyMin >= tileMax - this.options.oneWayTolerance;
+};
+
+/**
+ * Determine whether a tile collides on the edge that faces the given normal.
+ *
+ * Checks against the tile's collision flags and slope edge flags for
+ * axis-aligned normals.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.SatSolver#collidesOnNormal
+ * @param  {Phaser.Tile} tile   - The tile.
+ * @param  {SAT.Vector}  normal - The outward facing normal.
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.SatSolver.prototype.collidesOnNormal = function (tile, normal) {
+	if ((!tile.collideUp || tile.slope.edges.top === Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY) && normal.y < 0 && normal.x === 0) {
 		return false;
 	}
 	
-	if ((!tile.collideDown || tile.slope.edges.bottom === Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY) && response.overlapN.y > 0 && response.overlapN.x === 0) {
+	if ((!tile.collideDown || tile.slope.edges.bottom === Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY) && normal.y > 0 && normal.x === 0) {
 		return false;
 	}
 	
-	if ((!tile.collideLeft || tile.slope.edges.left === Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY) && response.overlapN.x < 0 && response.overlapN.y === 0) {
+	if ((!tile.collideLeft || tile.slope.edges.left === Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY) && normal.x < 0 && normal.y === 0) {
 		return false;
 	}
 	
-	if ((!tile.collideRight || tile.slope.edges.right === Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY) && response.overlapN.x > 0 && response.overlapN.y === 0) {
+	if ((!tile.collideRight || tile.slope.edges.right === Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY) && normal.x > 0 && normal.y === 0) {
 		return false;
 	}
 	
-	// Otherwise we should separate normally
 	return true;
 };
 
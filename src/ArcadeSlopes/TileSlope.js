@@ -38,6 +38,15 @@ Phaser.Plugin.ArcadeSlopes.TileSlope = function (type, tile, polygon, line, edge
 	 */
 	this.polygon = polygon;
 	
+	/**
+	 * The convex polygons that make up the shape of the tile.
+	 *
+	 * Usually just the polygon above, but concave shapes are made of several.
+	 *
+	 * @property {SAT.Polygon[]} polygons
+	 */
+	this.polygons = polygon ? [polygon] : [];
+	
 	/**
 	 * The line representing the slope of the tile.
 	 *
@@ -71,12 +80,60 @@ Phaser.Plugin.ArcadeSlopes.TileSlope = function (type, tile, polygon, line, edge
 	 */
 	this.solver = null;
 	
+	/**
+	 * Whether this slope only collides with bodies from the outside of its
+	 * surface, letting them pass through from any other direction.
+	 *
+	 * @property {boolean} oneWay
+	 */
+	this.oneWay = false;
+	
+	/**
+	 * Whether this slope is a sensor that detects overlapping bodies without
+	 * ever separating them.
+	 *
+	 * @property {boolean} sensor
+	 */
+	this.sensor = false;
+	
+	/**
+	 * Dispatched when a body starts overlapping this sensor slope.
+	 *
+	 * @property {Phaser.Signal} onEnter
+	 */
+	this.onEnter = new Phaser.Signal();
+	
+	/**
+	 * Dispatched for each collision check in which a body keeps overlapping
+	 * this sensor slope.
+	 *
+	 * @property {Phaser.Signal} onStay
+	 */
+	this.onStay = new Phaser.Signal();
+	
+	/**
+	 * Dispatched when a body stops overlapping this sensor slope.
+	 *
+	 * @property {Phaser.Signal} onExit
+	 */
+	this.onExit = new Phaser.Signal();
+	
 	/**
 	 * The friction of this slope.
 	 *
 	 * @property {Phaser.Point} friction
 	 */
 	this.friction = new Phaser.Point();
+	
+	/**
+	 * The material of this slope, if it has one.
+	 *
+	 * Materials add their friction, restitution and surface velocity to bodies
+	 * that collide with the slope. See TileSlopeFactory#defineMaterial.
+	 *
+	 * @property {object} material
+	 */
+	this.material = null;
 };
 
 /**
@@ -187,6 +244,47 @@ Phaser.Plugin.ArcadeSlopes.TileSlope.typeNames = {
 	18: 'QUARTER_TOP_LEFT_HIGH',
 	19: 'QUARTER_TOP_RIGHT_LOW',
 	20: 'QUARTER_TOP_RIGHT_HIGH',
+	25: 'CUSTOM',
+	26: 'THIRD_BOTTOM_LEFT_LOW',
+	27: 'THIRD_BOTTOM_LEFT_MID',
+	28: 'THIRD_BOTTOM_LEFT_HIGH',
+	29: 'THIRD_BOTTOM_RIGHT_LOW',
+	30: 'THIRD_BOTTOM_RIGHT_MID',
+	31: 'THIRD_BOTTOM_RIGHT_HIGH',
+	32: 'THIRD_TOP_LEFT_LOW',
+	33: 'THIRD_TOP_LEFT_MID',
+	34: 'THIRD_TOP_LEFT_HIGH',
+	35: 'THIRD_TOP_RIGHT_LOW',
+	36: 'THIRD_TOP_RIGHT_MID',
+	37: 'THIRD_TOP_RIGHT_HIGH',
+	38: 'FOURTH_BOTTOM_LEFT_LOW',
+	39: 'FOURTH_BOTTOM_LEFT_LOW_MID',
+	40: 'FOURTH_BOTTOM_LEFT_HIGH_MID',
+	41: 'FOURTH_BOTTOM_LEFT_HIGH',
+	42: 'FOURTH_BOTTOM_RIGHT_LOW',
+	43: 'FOURTH_BOTTOM_RIGHT_LOW_MID',
+	44: 'FOURTH_BOTTOM_RIGHT_HIGH_MID',
+	45: 'FOURTH_BOTTOM_RIGHT_HIGH',
+	46: 'FOURTH_TOP_LEFT_LOW',
+	47: 'FOURTH_TOP_LEFT_LOW_MID',
+	48: 'FOURTH_TOP_LEFT_HIGH_MID',
+	49: 'FOURTH_TOP_LEFT_HIGH',
+	50: 'FOURTH_TOP_RIGHT_LOW',
+	51: 'FOURTH_TOP_RIGHT_LOW_MID',
+	52: 'FOURTH_TOP_RIGHT_HIGH_MID',
+	53: 'FOURTH_TOP_RIGHT_HIGH',
+	54: 'CONVEX_BOTTOM_LEFT',
+	55: 'CONVEX_BOTTOM_RIGHT',
+	56: 'CONVEX_TOP_LEFT',
+	57: 'CONVEX_TOP_RIGHT',
+	58: 'CONCAVE_BOTTOM_LEFT',
+	59: 'CONCAVE_BOTTOM_RIGHT',
+	60: 'CONCAVE_TOP_LEFT',
+	61: 'CONCAVE_TOP_RIGHT',
+	62: 'ROUND_HALF_BOTTOM',
+	63: 'ROUND_HALF_TOP',
+	64: 'ROUND_HALF_LEFT',
+	65: 'ROUND_HALF_RIGHT'
 };
 
 // TODO: Misleading constants here - they aren't tile slope types, they're edges
@@ -510,3 +608,465 @@ Phaser.Plugin.ArcadeSlopes.TileSlope.QUARTER_TOP_RIGHT_LOW = 19;
  * @type {integer}
  */
 Phaser.Plugin.ArcadeSlopes.TileSlope.QUARTER_TOP_RIGHT_HIGH = 20;
+
+/**
+ * A tile with a custom shape, made of one or more convex polygons.
+ *
+ * Created from the collision shapes drawn on tiles in Tiled.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.CUSTOM = 25;
+
+/**
+ * |\
+ * | | |\
+ * | | | | |\
+ * |_| |_| |_\
+ *          ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_BOTTOM_LEFT_LOW = 26;
+
+/**
+ * |\
+ * | | |\
+ * | | | | |\
+ * |_| |_| |_\
+ *      ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_BOTTOM_LEFT_MID = 27;
+
+/**
+ * |\
+ * | | |\
+ * | | | | |\
+ * |_| |_| |_\
+ *  ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_BOTTOM_LEFT_HIGH = 28;
+
+/**
+ *          /|
+ *      /| | |
+ *  /| | | | |
+ * /_| |_| |_|
+ *  ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_BOTTOM_RIGHT_LOW = 29;
+
+/**
+ *          /|
+ *      /| | |
+ *  /| | | | |
+ * /_| |_| |_|
+ *      ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_BOTTOM_RIGHT_MID = 30;
+
+/**
+ *          /|
+ *      /| | |
+ *  /| | | | |
+ * /_| |_| |_|
+ *          ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_BOTTOM_RIGHT_HIGH = 31;
+
+/**
+ *  _   _   _
+ * | | | | |/
+ * | | |/
+ * |/
+ *          ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_TOP_LEFT_LOW = 32;
+
+/**
+ *  _   _   _
+ * | | | | |/
+ * | | |/
+ * |/
+ *      ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_TOP_LEFT_MID = 33;
+
+/**
+ *  _   _   _
+ * | | | | |/
+ * | | |/
+ * |/
+ *  ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_TOP_LEFT_HIGH = 34;
+
+/**
+ * _   _   _
+ * \| | | | |
+ *     \| | |
+ *         \|
+ * ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_TOP_RIGHT_LOW = 35;
+
+/**
+ * _   _   _
+ * \| | | | |
+ *     \| | |
+ *         \|
+ *     ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_TOP_RIGHT_MID = 36;
+
+/**
+ * _   _   _
+ * \| | | | |
+ *     \| | |
+ *         \|
+ *         ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_TOP_RIGHT_HIGH = 37;
+
+/**
+ * |\
+ * | | |\
+ * | | | | |\
+ * | | | | | | |\
+ * |_| |_| |_| |_\
+ *              ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_LEFT_LOW = 38;
+
+/**
+ * |\
+ * | | |\
+ * | | | | |\
+ * | | | | | | |\
+ * |_| |_| |_| |_\
+ *          ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_LEFT_LOW_MID = 39;
+
+/**
+ * |\
+ * | | |\
+ * | | | | |\
+ * | | | | | | |\
+ * |_| |_| |_| |_\
+ *      ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_LEFT_HIGH_MID = 40;
+
+/**
+ * |\
+ * | | |\
+ * | | | | |\
+ * | | | | | | |\
+ * |_| |_| |_| |_\
+ *  ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_LEFT_HIGH = 41;
+
+/**
+ *              /|
+ *          /| | |
+ *      /| | | | |
+ *  /| | | | | | |
+ * /_| |_| |_| |_|
+ *  ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_RIGHT_LOW = 42;
+
+/**
+ *              /|
+ *          /| | |
+ *      /| | | | |
+ *  /| | | | | | |
+ * /_| |_| |_| |_|
+ *      ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_RIGHT_LOW_MID = 43;
+
+/**
+ *              /|
+ *          /| | |
+ *      /| | | | |
+ *  /| | | | | | |
+ * /_| |_| |_| |_|
+ *          ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_RIGHT_HIGH_MID = 44;
+
+/**
+ *              /|
+ *          /| | |
+ *      /| | | | |
+ *  /| | | | | | |
+ * /_| |_| |_| |_|
+ *              ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_RIGHT_HIGH = 45;
+
+/**
+ *  _   _   _   _
+ * | | | | | | |/
+ * | | | | |/
+ * | | |/
+ * |/
+ *              ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_LEFT_LOW = 46;
+
+/**
+ *  _   _   _   _
+ * | | | | | | |/
+ * | | | | |/
+ * | | |/
+ * |/
+ *          ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_LEFT_LOW_MID = 47;
+
+/**
+ *  _   _   _   _
+ * | | | | | | |/
+ * | | | | |/
+ * | | |/
+ * |/
+ *      ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_LEFT_HIGH_MID = 48;
+
+/**
+ *  _   _   _   _
+ * | | | | | | |/
+ * | | | | |/
+ * | | |/
+ * |/
+ *  ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_LEFT_HIGH = 49;
+
+/**
+ * _   _   _   _
+ * \| | | | | | |
+ *     \| | | | |
+ *         \| | |
+ *             \|
+ * ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_RIGHT_LOW = 50;
+
+/**
+ * _   _   _   _
+ * \| | | | | | |
+ *     \| | | | |
+ *         \| | |
+ *             \|
+ *     ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_RIGHT_LOW_MID = 51;
+
+/**
+ * _   _   _   _
+ * \| | | | | | |
+ *     \| | | | |
+ *         \| | |
+ *             \|
+ *         ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_RIGHT_HIGH_MID = 52;
+
+/**
+ * _   _   _   _
+ * \| | | | | | |
+ *     \| | | | |
+ *         \| | |
+ *             \|
+ *             ^
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_RIGHT_HIGH = 53;
+
+/**
+ * A quarter-circle that bulges out towards the top right of the tile.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.CONVEX_BOTTOM_LEFT = 54;
+
+/**
+ * A quarter-circle that bulges out towards the top left of the tile.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.CONVEX_BOTTOM_RIGHT = 55;
+
+/**
+ * A quarter-circle that bulges out towards the bottom right of the tile.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.CONVEX_TOP_LEFT = 56;
+
+/**
+ * A quarter-circle that bulges out towards the bottom left of the tile.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.CONVEX_TOP_RIGHT = 57;
+
+/**
+ * A quarter-pipe that curves down from the top left to the bottom right
+ * of the tile.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.CONCAVE_BOTTOM_LEFT = 58;
+
+/**
+ * A quarter-pipe that curves down from the top right to the bottom left
+ * of the tile.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.CONCAVE_BOTTOM_RIGHT = 59;
+
+/**
+ * An upside down quarter-pipe that curves up from the bottom left to the
+ * top right of the tile.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.CONCAVE_TOP_LEFT = 60;
+
+/**
+ * An upside down quarter-pipe that curves up from the bottom right to the
+ * top left of the tile.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.CONCAVE_TOP_RIGHT = 61;
+
+/**
+ * A half bottom tile with a rounded top.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.ROUND_HALF_BOTTOM = 62;
+
+/**
+ * A half top tile with a rounded bottom.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.ROUND_HALF_TOP = 63;
+
+/**
+ * A half left tile with a rounded right side.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.ROUND_HALF_LEFT = 64;
+
+/**
+ * A half right tile with a rounded left side.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlope.ROUND_HALF_RIGHT = 65;
@@ -47,6 +47,48 @@ Phaser.Plugin.ArcadeSlopes.TileSlopeFactory = function () {
 	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.QUARTER_TOP_RIGHT_LOW]     = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createQuarterTopRightLow;
 	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.QUARTER_TOP_RIGHT_HIGH]    = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createQuarterTopRightHigh;
 	
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_BOTTOM_LEFT_LOW]        = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdBottomLeftLow;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_BOTTOM_LEFT_MID]        = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdBottomLeftMid;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_BOTTOM_LEFT_HIGH]       = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdBottomLeftHigh;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_BOTTOM_RIGHT_LOW]       = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdBottomRightLow;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_BOTTOM_RIGHT_MID]       = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdBottomRightMid;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_BOTTOM_RIGHT_HIGH]      = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdBottomRightHigh;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_TOP_LEFT_LOW]           = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdTopLeftLow;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_TOP_LEFT_MID]           = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdTopLeftMid;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_TOP_LEFT_HIGH]          = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdTopLeftHigh;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_TOP_RIGHT_LOW]          = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdTopRightLow;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_TOP_RIGHT_MID]          = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdTopRightMid;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.THIRD_TOP_RIGHT_HIGH]         = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdTopRightHigh;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_LEFT_LOW]       = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomLeftLow;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_LEFT_LOW_MID]   = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomLeftLowMid;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_LEFT_HIGH_MID]  = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomLeftHighMid;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_LEFT_HIGH]      = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomLeftHigh;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_RIGHT_LOW]      = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomRightLow;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_RIGHT_LOW_MID]  = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomRightLowMid;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_RIGHT_HIGH_MID] = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomRightHighMid;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_BOTTOM_RIGHT_HIGH]     = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomRightHigh;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_LEFT_LOW]          = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopLeftLow;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_LEFT_LOW_MID]      = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopLeftLowMid;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_LEFT_HIGH_MID]     = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopLeftHighMid;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_LEFT_HIGH]         = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopLeftHigh;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_RIGHT_LOW]         = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopRightLow;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_RIGHT_LOW_MID]     = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopRightLowMid;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_RIGHT_HIGH_MID]    = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopRightHighMid;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.FOURTH_TOP_RIGHT_HIGH]        = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopRightHigh;
+	
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.CONVEX_BOTTOM_LEFT]   = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConvexBottomLeft;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.CONVEX_BOTTOM_RIGHT]  = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConvexBottomRight;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.CONVEX_TOP_LEFT]      = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConvexTopLeft;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.CONVEX_TOP_RIGHT]     = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConvexTopRight;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.CONCAVE_BOTTOM_LEFT]  = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConcaveBottomLeft;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.CONCAVE_BOTTOM_RIGHT] = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConcaveBottomRight;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.CONCAVE_TOP_LEFT]     = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConcaveTopLeft;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.CONCAVE_TOP_RIGHT]    = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConcaveTopRight;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.ROUND_HALF_BOTTOM]    = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createRoundHalfBottom;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.ROUND_HALF_TOP]       = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createRoundHalfTop;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.ROUND_HALF_LEFT]      = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createRoundHalfLeft;
+	this.definitions[Phaser.Plugin.ArcadeSlopes.TileSlope.ROUND_HALF_RIGHT]     = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createRoundHalfRight;
+	
 	/**
 	 * A set of common slope mapping functions that can be used instead of an
 	 * explicit map.
@@ -59,6 +101,22 @@ Phaser.Plugin.ArcadeSlopes.TileSlopeFactory = function () {
 	
 	this.mappings[Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.ARCADESLOPES] = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.mapArcadeSlopes;
 	this.mappings[Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.NINJA]        = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.mapNinjaPhysics;
+	
+	/**
+	 * The named materials that can be given to tile slopes.
+	 *
+	 * Maps material names to material objects.
+	 *
+	 * @property {object} materials
+	 */
+	this.materials = {};
+	
+	// Friction applies on every contact, so ice needs very little to slow
+	// bodies down gradually
+	this.defineMaterial('ice', { friction: 0.002 });
+	this.defineMaterial('mud', { friction: 0.3 });
+	this.defineMaterial('rubber', { friction: 0.1, restitution: 0.8 });
+	this.defineMaterial('conveyor', { friction: 0.2, surfaceVelocity: 100 });
 };
 
 Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.constructor = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory;
@@ -78,6 +136,71 @@ Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.define = function (type, d
 	this.definitions[type] = definition;
 };
 
+/**
+ * Define a named material for tile slopes.
+ *
+ * Materials have a friction that's added to that of the bodies and tiles that
+ * collide, a restitution that bodies bounce with if it's greater than their
+ * own bounce, and a surface velocity that bodies are carried along at.
+ * Negative friction makes a surface more slippery than the bodies on it.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#defineMaterial
+ * @param  {string} name     - The name of the material.
+ * @param  {object} material - The friction, restitution and surfaceVelocity of the material.
+ * @return {object}          - The defined material.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.defineMaterial = function (name, material) {
+	material = material || {};
+	
+	this.materials[name] = {
+		name: name,
+		friction: Number(material.friction) || 0,
+		restitution: Number(material.restitution) || 0,
+		surfaceVelocity: Number(material.surfaceVelocity) || 0
+	};
+	
+	return this.materials[name];
+};
+
+/**
+ * Resolve a material by name.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#resolveMaterial
+ * @param  {string}      name - The name of the material.
+ * @return {object|null}      - The material, or null if it isn't defined.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.resolveMaterial = function (name) {
+	if (!this.materials.hasOwnProperty(name)) {
+		console.warn('Material \'' + name + '\' not defined');
+		
+		return null;
+	}
+	
+	return this.materials[name];
+};
+
+/**
+ * Give the tile slopes of a converted tilemap layer materials by tile index.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#mapMaterials
+ * @param  {Phaser.TilemapLayer} layer       - The converted tilemap layer.
+ * @param  {object}              materialMap - A map of tilemap indexes to material names.
+ * @return {Phaser.TilemapLayer}             - The tilemap layer.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.mapMaterials = function (layer, materialMap) {
+	var that = this;
+	
+	layer.layer.data.forEach(function (row) {
+		row.forEach(function (tile) {
+			if (tile.slope && materialMap.hasOwnProperty(tile.index)) {
+				tile.slope.material = that.resolveMaterial(materialMap[tile.index]);
+			}
+		});
+	});
+	
+	return layer;
+};
+
 /**
  * Create a TileSlope of the given type for the given tile.
  *
@@ -152,6 +275,9 @@ Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.convertTilemapLayer = func
 		slopeMap = this.mappings[mappingType](index);
 	}
 	
+	// Read any collision shapes drawn on the tiles of the layer's tilesets
+	var shapes = this.getCollisionShapes(layer);
+	
 	// Create the TileSlope objects for each relevant tile in the layer
 	layer.layer.data.forEach(function (row) {
 		row.forEach(function (tile) {
@@ -162,6 +288,15 @@ Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.convertTilemapLayer = func
 				slope = that.create(tile.properties.type, tile);
 			}
 			
+			// Otherwise build one from the tile's collision shapes
+			if (!slope && shapes.hasOwnProperty(tile.index)) {
+				slope = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createCustom(
+					Phaser.Plugin.ArcadeSlopes.TileSlope.CUSTOM,
+					tile,
+					shapes[tile.index]
+				);
+			}
+			
 			// Otherwise resolve a type from its index
 			if (!slope && slopeMap.hasOwnProperty(tile.index)) {
 				slope = that.create(slopeMap[tile.index], tile);
@@ -169,6 +304,26 @@ Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.convertTilemapLayer = func
 			
 			if (slope) {
 				tile.slope = slope;
+				
+				// Flag one-way slopes from the tile's properties
+				if (tile.properties.oneWay === true || tile.properties.oneWay === 'true') {
+					slope.oneWay = true;
+				}
+				
+				// Flag sensor slopes from the tile's properties
+				if (tile.properties.sensor === true || tile.properties.sensor === 'true') {
+					slope.sensor = true;
+				}
+				
+				// Use the tile's preferred solver
+				if (tile.properties.solver) {
+					slope.solver = tile.properties.solver;
+				}
+				
+				// Use the tile's material
+				if (tile.properties.material) {
+					slope.material = that.resolveMaterial(tile.properties.material);
+				}
 			}
 			
 			var x = tile.x;
@@ -197,6 +352,154 @@ Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.convertTilemapLayer = func
 	return layer;
 };
 
+/**
+ * Convert a Tiled object layer of the given tilemap into static colliders.
+ *
+ * Rectangles, polygons and polylines become colliders. Concave polygons are
+ * split into convex parts and polylines into line segments. Ellipses, points
+ * and tile objects are ignored.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#convertObjectLayer
+ * @param  {Phaser.Tilemap}                         map       - The map containing the object layer.
+ * @param  {string}                                 layerName - The name of the object layer.
+ * @param  {integer}                                cellSize  - An optional size for the cells of the spatial index.
+ * @return {Phaser.Plugin.ArcadeSlopes.ObjectLayer}           - The layer of static colliders.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.convertObjectLayer = function (map, layerName, cellSize) {
+	var that = this;
+	var TileSlopeFactory = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory;
+	var objectLayer = new Phaser.Plugin.ArcadeSlopes.ObjectLayer(map, layerName, cellSize);
+	
+	if (!map.objects || !map.objects[layerName]) {
+		console.warn('Object layer \'' + layerName + '\' could not be converted; it doesn\'t exist');
+		
+		return objectLayer;
+	}
+	
+	map.objects[layerName].forEach(function (object) {
+		var properties = object.properties || {};
+		var colliders = [];
+		var points, i, j;
+		
+		if (object.gid || object.visible === false) {
+			return;
+		}
+		
+		// Split polylines into their line segments
+		if (object.polyline) {
+			points = TileSlopeFactory.parseObjectPoints(object, object.polyline);
+			
+			for (i = 0; i < points.length - 1; i++) {
+				if (points[i].x !== points[i + 1].x || points[i].y !== points[i + 1].y) {
+					colliders.push(objectLayer.add([points[i], points[i + 1]], properties));
+				}
+			}
+		} else {
+			points = TileSlopeFactory.parseCollisionObject(object);
+			
+			if (!points) {
+				return;
+			}
+			
+			TileSlopeFactory.decompose(points).forEach(function (part) {
+				colliders.push(objectLayer.add(part, properties));
+			});
+			
+			// Flag the edges that the convex parts of the shape share
+			for (i = 0; i < colliders.length; i++) {
+				for (j = i + 1; j < colliders.length; j++) {
+					TileSlopeFactory.flagInternalEdges(
+						colliders[i].slope.polygon,
+						colliders[i].slope.polygon.pos,
+						colliders[j].slope.polygon,
+						colliders[j].slope.polygon.pos
+					);
+				}
+			}
+		}
+		
+		colliders.forEach(function (collider) {
+			var slope = collider.slope;
+			
+			// Flag one-way slopes from the object's properties
+			if (properties.oneWay === true || properties.oneWay === 'true') {
+				slope.oneWay = true;
+			}
+			
+			// Flag sensor slopes from the object's properties
+			if (properties.sensor === true || properties.sensor === 'true') {
+				slope.sensor = true;
+			}
+			
+			// Use the object's preferred solver
+			if (properties.solver) {
+				slope.solver = properties.solver;
+			}
+			
+			// Use the object's material
+			if (properties.material) {
+				slope.material = that.resolveMaterial(properties.material);
+			}
+		});
+	});
+	
+	return objectLayer;
+};
+
+/**
+ * Read the collision shapes drawn on tiles with Tiled's tile collision editor
+ * from the tilesets of the given tilemap layer's map.
+ *
+ * Only works for maps loaded from Tiled JSON with embedded tilesets. Returns
+ * a map of tile indexes (GIDs) to arrays of shapes, which are arrays of points
+ * relative to the top left of the tile.
+ *
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#getCollisionShapes
+ * @param  {Phaser.TilemapLayer} layer - The tilemap layer.
+ * @return {object}                    - The collision shapes of each tile index.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.getCollisionShapes = function (layer) {
+	var shapes = {};
+	
+	if (!layer.game || !layer.map.key) {
+		return shapes;
+	}
+	
+	var mapData = layer.game.cache.getTilemapData(layer.map.key);
+	
+	if (!mapData || !mapData.data || !mapData.data.tilesets) {
+		return shapes;
+	}
+	
+	mapData.data.tilesets.forEach(function (tileset) {
+		// Tiled exports tile data as either an array or an object keyed by ID
+		for (var key in tileset.tiles) {
+			var tileData = tileset.tiles[key];
+			
+			if (!tileData || !tileData.objectgroup || !tileData.objectgroup.objects) {
+				continue;
+			}
+			
+			var id = tileData.hasOwnProperty('id') ? tileData.id : parseInt(key);
+			var tileShapes = [];
+			
+			tileData.objectgroup.objects.forEach(function (object) {
+				var points = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.parseCollisionObject(object);
+				
+				if (points) {
+					tileShapes.push(points);
+				}
+			});
+			
+			if (tileShapes.length) {
+				shapes[tileset.firstgid + id] = tileShapes;
+			}
+		}
+	});
+	
+	return shapes;
+};
+
 /**
  * Calculate the edge flags for each tile in the given tilemap layer.
  *
@@ -219,25 +522,25 @@ Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.calculateEdges = function
 				left  = layer.map.getTileLeft(layer.index, x, y);
 				right = layer.map.getTileRight(layer.index, x, y);
 				
-				if (above && above.hasOwnProperty('slope')) {
+				if (this.shouldCompareEdges(tile, above)) {
 					tile.slope.edges.top = this.compareEdges(tile.slope.edges.top, above.slope.edges.bottom);
 					tile.collideUp = tile.slope.edges.top !== Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY;
 					this.flagInternalVertices(tile, above);
 				}
 				
-				if (below && below.hasOwnProperty('slope')) {
+				if (this.shouldCompareEdges(tile, below)) {
 					tile.slope.edges.bottom = this.compareEdges(tile.slope.edges.bottom, below.slope.edges.top);
 					tile.collideDown = tile.slope.edges.bottom !== Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY;
 					this.flagInternalVertices(tile, below);
 				}
 				
-				if (left && left.hasOwnProperty('slope')) {
+				if (this.shouldCompareEdges(tile, left)) {
 					tile.slope.edges.left = this.compareEdges(tile.slope.edges.left, left.slope.edges.right);
 					tile.collideLeft = tile.slope.edges.left !== Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY;
 					this.flagInternalVertices(tile, left);
 				}
 				
-				if (right && right.hasOwnProperty('slope')) {
+				if (this.shouldCompareEdges(tile, right)) {
 					tile.slope.edges.right = this.compareEdges(tile.slope.edges.right, right.slope.edges.left);
 					tile.collideRight = tile.slope.edges.right !== Phaser.Plugin.ArcadeSlopes.TileSlope.EMPTY;
 					this.flagInternalVertices(tile, right);
@@ -247,6 +550,24 @@ Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.calculateEdges = function
 	}
 };
 
+/**
+ * Determine whether the edges of the given tile should be compared with those
+ * of the given neighbour.
+ * 
+ * Sensors never collide and one-way tiles only collide from one side, so they
+ * only share edges with tiles of their own kind.
+ * 
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#shouldCompareEdges
+ * @param  {Phaser.Tile} tile      - The tile.
+ * @param  {Phaser.Tile} neighbour - The neighbouring tile.
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.shouldCompareEdges = function (tile, neighbour) {
+	return !!neighbour && neighbour.hasOwnProperty('slope') &&
+		tile.slope.sensor === neighbour.slope.sensor &&
+		tile.slope.oneWay === neighbour.slope.oneWay;
+};
+
 /**
  * Resolve the given flags of two shared tile edges.
  * 
@@ -292,11 +613,32 @@ Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prototype.flagInternalVertices = fun
 		return;
 	}
 	
-	var firstPolygon = firstTile.slope.polygon;
-	var secondPolygon = secondTile.slope.polygon;
 	var firstPosition = new SAT.Vector(firstTile.worldX, firstTile.worldY);
 	var secondPosition = new SAT.Vector(secondTile.worldX, secondTile.worldY);
 	
+	for (var i = 0; i < firstTile.slope.polygons.length; i++) {
+		for (var j = 0; j < secondTile.slope.polygons.length; j++) {
+			Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.flagInternalEdges(
+				firstTile.slope.polygons[i],
+				firstPosition,
+				secondTile.slope.polygons[j],
+				secondPosition
+			);
+		}
+	}
+};
+
+/**
+ * Compares the edges of two polygons and flags those that match.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#flagInternalEdges
+ * @param  {SAT.Polygon} firstPolygon   - The first polygon to compare.
+ * @param  {SAT.Vector}  firstPosition  - The position of the first polygon.
+ * @param  {SAT.Polygon} secondPolygon  - The second polygon to compare.
+ * @param  {SAT.Vector}  secondPosition - The position of the second polygon.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.flagInternalEdges = function (firstPolygon, firstPosition, secondPolygon, secondPosition) {
 	for (var i = 0; i < firstPolygon.points.length; i++) {
 		var firstTileVertexOne = firstPolygon.points[i].clone().add(firstPosition);
 		var firstTileVertexTwo = firstPolygon.points[(i + 1) % firstPolygon.points.length].clone().add(firstPosition);
@@ -1084,117 +1426,1625 @@ Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createQuarterTopRightHigh = function
 };
 
 /**
- * Prepare a slope mapping offset from the given tile index.
- * 
- * An offset is just the first tile index - 1. Returns 0 if an integer can't be
- * parsed.
- * 
+ * Define the lowest piece of a three tile bottom left slope.
+ *
  * @static
- * @param  {integer} index - A tile index.
- * @return {integer}
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createThirdBottomLeftLow
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
  */
-Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prepareOffset = function (index) {
-	var offset = parseInt(index);
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdBottomLeftLow = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, tile.height * 2 / 3),  // Lower third left
+		new SAT.Vector(tile.width, tile.height), // Bottom right
+		new SAT.Vector(0, tile.height)           // Bottom left
+	]);
 	
-	offset = !isNaN(offset) && typeof offset === 'number' ? offset - 1 : 0;
+	var line = new Phaser.Line(tile.left, tile.top + tile.height * 2 / 3, tile.right, tile.bottom);
 	
-	return offset;
+	var edges = {
+		top:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(0.31622776601683794, -0.9486832980505138);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
 };
 
 /**
- * Create a tile slope mapping for the Arcade Slopes tileset.
+ * Define the middle piece of a three tile bottom left slope.
  *
  * @static
- * @param  {integer} index - An optional first tile index (firstgid).
- * @return {object}
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createThirdBottomLeftMid
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
  */
-Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.mapArcadeSlopes = function (index) {
-	offset = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prepareOffset(index);
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdBottomLeftMid = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, tile.height / 3),              // Upper third left
+		new SAT.Vector(tile.width, tile.height * 2 / 3), // Lower third right
+		new SAT.Vector(tile.width, tile.height),         // Bottom right
+		new SAT.Vector(0, tile.height)                   // Bottom left
+	]);
 	
-	var mapping = {};
+	var line = new Phaser.Line(tile.left, tile.top + tile.height / 3, tile.right, tile.top + tile.height * 2 / 3);
 	
-	mapping[offset + 1]  = 'FULL';
-	mapping[offset + 2]  = 'HALF_TOP';
-	mapping[offset + 3]  = 'HALF_BOTTOM';
-	mapping[offset + 4]  = 'HALF_LEFT';
-	mapping[offset + 5]  = 'HALF_RIGHT';
-	mapping[offset + 6]  = 'HALF_BOTTOM_LEFT';
-	mapping[offset + 7]  = 'HALF_BOTTOM_RIGHT';
-	mapping[offset + 8]  = 'HALF_TOP_LEFT';
-	mapping[offset + 9]  = 'HALF_TOP_RIGHT';
-	mapping[offset + 10] = 'QUARTER_TOP_LEFT_HIGH';
-	mapping[offset + 11] = 'QUARTER_TOP_LEFT_LOW';
-	mapping[offset + 12] = 'QUARTER_TOP_RIGHT_LOW';
-	mapping[offset + 13] = 'QUARTER_TOP_RIGHT_HIGH';
-	mapping[offset + 14] = 'QUARTER_BOTTOM_LEFT_HIGH';
-	mapping[offset + 15] = 'QUARTER_BOTTOM_LEFT_LOW';
-	mapping[offset + 16] = 'QUARTER_BOTTOM_RIGHT_LOW';
-	mapping[offset + 17] = 'QUARTER_BOTTOM_RIGHT_HIGH';
-	mapping[offset + 18] = 'QUARTER_LEFT_BOTTOM_HIGH';
-	mapping[offset + 19] = 'QUARTER_RIGHT_BOTTOM_HIGH';
-	mapping[offset + 20] = 'QUARTER_LEFT_TOP_HIGH';
-	mapping[offset + 21] = 'QUARTER_RIGHT_TOP_HIGH';
-	mapping[offset + 35] = 'QUARTER_LEFT_BOTTOM_LOW';
-	mapping[offset + 36] = 'QUARTER_RIGHT_BOTTOM_LOW';
-	mapping[offset + 37] = 'QUARTER_LEFT_TOP_LOW';
-	mapping[offset + 38] = 'QUARTER_RIGHT_TOP_LOW';
+	var edges = {
+		top:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
 	
-	return mapping;
+	var axis = new SAT.Vector(0.31622776601683794, -0.9486832980505138);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
 };
 
 /**
- * Create a tile slope mapping for the Ninja Physics tileset.
+ * Define the highest piece of a three tile bottom left slope.
  *
  * @static
- * @param  {integer} index - An optional first tile index (firstgid).
- * @return {object}
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createThirdBottomLeftHigh
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
  */
-Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.mapNinjaPhysics = function (index) {
-	offset = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prepareOffset(index);
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdBottomLeftHigh = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),                        // Top left
+		new SAT.Vector(tile.width, tile.height / 3), // Upper third right
+		new SAT.Vector(tile.width, tile.height),     // Bottom right
+		new SAT.Vector(0, tile.height)               // Bottom left
+	]);
 	
-	var mapping = {};
+	var line = new Phaser.Line(tile.left, tile.top, tile.right, tile.top + tile.height / 3);
 	
-	mapping[offset + 2] =  'FULL';
-	mapping[offset + 3] =  'HALF_BOTTOM_LEFT';
-	mapping[offset + 4] =  'HALF_BOTTOM_RIGHT';
-	mapping[offset + 6] =  'HALF_TOP_LEFT';
-	mapping[offset + 5] =  'HALF_TOP_RIGHT';
-	mapping[offset + 15] = 'QUARTER_BOTTOM_LEFT_LOW';
-	mapping[offset + 16] = 'QUARTER_BOTTOM_RIGHT_LOW';
-	mapping[offset + 17] = 'QUARTER_TOP_RIGHT_LOW';
-	mapping[offset + 18] = 'QUARTER_TOP_LEFT_LOW';
-	mapping[offset + 19] = 'QUARTER_BOTTOM_LEFT_HIGH';
-	mapping[offset + 20] = 'QUARTER_BOTTOM_RIGHT_HIGH';
-	mapping[offset + 21] = 'QUARTER_TOP_RIGHT_HIGH';
-	mapping[offset + 22] = 'QUARTER_TOP_LEFT_HIGH';
-	mapping[offset + 23] = 'QUARTER_LEFT_BOTTOM_HIGH';
-	mapping[offset + 24] = 'QUARTER_RIGHT_BOTTOM_HIGH';
-	mapping[offset + 25] = 'QUARTER_RIGHT_TOP_LOW';
-	mapping[offset + 26] = 'QUARTER_LEFT_TOP_LOW';
-	mapping[offset + 27] = 'QUARTER_LEFT_BOTTOM_LOW';
-	mapping[offset + 28] = 'QUARTER_RIGHT_BOTTOM_LOW';
-	mapping[offset + 29] = 'QUARTER_RIGHT_TOP_HIGH';
-	mapping[offset + 30] = 'QUARTER_LEFT_TOP_HIGH';
-	mapping[offset + 31] = 'HALF_BOTTOM';
-	mapping[offset + 32] = 'HALF_RIGHT';
-	mapping[offset + 33] = 'HALF_TOP';
-	mapping[offset + 34] = 'HALF_LEFT';
-
-	return mapping;
+	var edges = {
+		top:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(0.31622776601683794, -0.9486832980505138);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
 };
 
 /**
- * The Ninja Physics tileset mapping.
- *
- * @constant
- * @type {integer}
- */
-Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.ARCADESLOPES = 1;
-
-/**
- * The Ninja Physics tileset mapping.
+ * Define the lowest piece of a three tile bottom right slope.
  *
- * @constant
- * @type {integer}
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createThirdBottomRightLow
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
  */
-Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.NINJA = 2;
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdBottomRightLow = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, tile.height),                  // Bottom left
+		new SAT.Vector(tile.width, tile.height * 2 / 3), // Lower third right
+		new SAT.Vector(tile.width, tile.height)          // Bottom right
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.bottom, tile.right, tile.top + tile.height * 2 / 3);
+	
+	var edges = {
+		top:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(-0.31622776601683794, -0.9486832980505138);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the middle piece of a three tile bottom right slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createThirdBottomRightMid
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdBottomRightMid = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, tile.height * 2 / 3),      // Lower third left
+		new SAT.Vector(tile.width, tile.height / 3), // Upper third right
+		new SAT.Vector(tile.width, tile.height),     // Bottom right
+		new SAT.Vector(0, tile.height)               // Bottom left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height * 2 / 3, tile.right, tile.top + tile.height / 3);
+	
+	var edges = {
+		top:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(-0.31622776601683794, -0.9486832980505138);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the highest piece of a three tile bottom right slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createThirdBottomRightHigh
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdBottomRightHigh = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, tile.height / 3),      // Upper third left
+		new SAT.Vector(tile.width, 0),           // Top right
+		new SAT.Vector(tile.width, tile.height), // Bottom right
+		new SAT.Vector(0, tile.height)           // Bottom left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height / 3, tile.right, tile.top);
+	
+	var edges = {
+		top:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(-0.31622776601683794, -0.9486832980505138);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the lowest piece of a three tile top left slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createThirdTopLeftLow
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdTopLeftLow = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),               // Top left
+		new SAT.Vector(tile.width, 0),      // Top right
+		new SAT.Vector(0, tile.height / 3)  // Upper third left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height / 3, tile.right, tile.top);
+	
+	var edges = {
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(0.31622776601683794, 0.9486832980505138);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the middle piece of a three tile top left slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createThirdTopLeftMid
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdTopLeftMid = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),                        // Top left
+		new SAT.Vector(tile.width, 0),               // Top right
+		new SAT.Vector(tile.width, tile.height / 3), // Upper third right
+		new SAT.Vector(0, tile.height * 2 / 3)       // Lower third left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height * 2 / 3, tile.right, tile.top + tile.height / 3);
+	
+	var edges = {
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(0.31622776601683794, 0.9486832980505138);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the highest piece of a three tile top left slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createThirdTopLeftHigh
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdTopLeftHigh = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),                            // Top left
+		new SAT.Vector(tile.width, 0),                   // Top right
+		new SAT.Vector(tile.width, tile.height * 2 / 3), // Lower third right
+		new SAT.Vector(0, tile.height)                   // Bottom left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.bottom, tile.right, tile.top + tile.height * 2 / 3);
+	
+	var edges = {
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(0.31622776601683794, 0.9486832980505138);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the lowest piece of a three tile top right slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createThirdTopRightLow
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdTopRightLow = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),                        // Top left
+		new SAT.Vector(tile.width, 0),               // Top right
+		new SAT.Vector(tile.width, tile.height / 3)  // Upper third right
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top, tile.right, tile.top + tile.height / 3);
+	
+	var edges = {
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(-0.31622776601683794, 0.9486832980505138);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the middle piece of a three tile top right slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createThirdTopRightMid
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdTopRightMid = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),                            // Top left
+		new SAT.Vector(tile.width, 0),                   // Top right
+		new SAT.Vector(tile.width, tile.height * 2 / 3), // Lower third right
+		new SAT.Vector(0, tile.height / 3)               // Upper third left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height / 3, tile.right, tile.top + tile.height * 2 / 3);
+	
+	var edges = {
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(-0.31622776601683794, 0.9486832980505138);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the highest piece of a three tile top right slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createThirdTopRightHigh
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createThirdTopRightHigh = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),                    // Top left
+		new SAT.Vector(tile.width, 0),           // Top right
+		new SAT.Vector(tile.width, tile.height), // Bottom right
+		new SAT.Vector(0, tile.height * 2 / 3)   // Lower third left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height * 2 / 3, tile.right, tile.bottom);
+	
+	var edges = {
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(-0.31622776601683794, 0.9486832980505138);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the lowest piece of a four tile bottom left slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthBottomLeftLow
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomLeftLow = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, tile.height * 3 / 4),  // Lower quarter left
+		new SAT.Vector(tile.width, tile.height), // Bottom right
+		new SAT.Vector(0, tile.height)           // Bottom left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height * 3 / 4, tile.right, tile.bottom);
+	
+	var edges = {
+		top:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(0.24253562503633297, -0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the lower middle piece of a four tile bottom left slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthBottomLeftLowMid
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomLeftLowMid = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, tile.height / 2),              // Center left
+		new SAT.Vector(tile.width, tile.height * 3 / 4), // Lower quarter right
+		new SAT.Vector(tile.width, tile.height),         // Bottom right
+		new SAT.Vector(0, tile.height)                   // Bottom left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height / 2, tile.right, tile.top + tile.height * 3 / 4);
+	
+	var edges = {
+		top:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(0.24253562503633297, -0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the upper middle piece of a four tile bottom left slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthBottomLeftHighMid
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomLeftHighMid = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, tile.height / 4),          // Upper quarter left
+		new SAT.Vector(tile.width, tile.height / 2), // Center right
+		new SAT.Vector(tile.width, tile.height),     // Bottom right
+		new SAT.Vector(0, tile.height)               // Bottom left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height / 4, tile.right, tile.top + tile.height / 2);
+	
+	var edges = {
+		top:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(0.24253562503633297, -0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the highest piece of a four tile bottom left slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthBottomLeftHigh
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomLeftHigh = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),                        // Top left
+		new SAT.Vector(tile.width, tile.height / 4), // Upper quarter right
+		new SAT.Vector(tile.width, tile.height),     // Bottom right
+		new SAT.Vector(0, tile.height)               // Bottom left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top, tile.right, tile.top + tile.height / 4);
+	
+	var edges = {
+		top:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(0.24253562503633297, -0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the lowest piece of a four tile bottom right slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthBottomRightLow
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomRightLow = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, tile.height),                  // Bottom left
+		new SAT.Vector(tile.width, tile.height * 3 / 4), // Lower quarter right
+		new SAT.Vector(tile.width, tile.height)          // Bottom right
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.bottom, tile.right, tile.top + tile.height * 3 / 4);
+	
+	var edges = {
+		top:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(-0.24253562503633297, -0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the lower middle piece of a four tile bottom right slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthBottomRightLowMid
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomRightLowMid = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, tile.height * 3 / 4),      // Lower quarter left
+		new SAT.Vector(tile.width, tile.height / 2), // Center right
+		new SAT.Vector(tile.width, tile.height),     // Bottom right
+		new SAT.Vector(0, tile.height)               // Bottom left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height * 3 / 4, tile.right, tile.top + tile.height / 2);
+	
+	var edges = {
+		top:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(-0.24253562503633297, -0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the upper middle piece of a four tile bottom right slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthBottomRightHighMid
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomRightHighMid = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, tile.height / 2),          // Center left
+		new SAT.Vector(tile.width, tile.height / 4), // Upper quarter right
+		new SAT.Vector(tile.width, tile.height),     // Bottom right
+		new SAT.Vector(0, tile.height)               // Bottom left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height / 2, tile.right, tile.top + tile.height / 4);
+	
+	var edges = {
+		top:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(-0.24253562503633297, -0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the highest piece of a four tile bottom right slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthBottomRightHigh
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthBottomRightHigh = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, tile.height / 4),      // Upper quarter left
+		new SAT.Vector(tile.width, 0),           // Top right
+		new SAT.Vector(tile.width, tile.height), // Bottom right
+		new SAT.Vector(0, tile.height)           // Bottom left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height / 4, tile.right, tile.top);
+	
+	var edges = {
+		top:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(-0.24253562503633297, -0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the lowest piece of a four tile top left slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthTopLeftLow
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopLeftLow = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),               // Top left
+		new SAT.Vector(tile.width, 0),      // Top right
+		new SAT.Vector(0, tile.height / 4)  // Upper quarter left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height / 4, tile.right, tile.top);
+	
+	var edges = {
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(0.24253562503633297, 0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the lower middle piece of a four tile top left slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthTopLeftLowMid
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopLeftLowMid = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),                        // Top left
+		new SAT.Vector(tile.width, 0),               // Top right
+		new SAT.Vector(tile.width, tile.height / 4), // Upper quarter right
+		new SAT.Vector(0, tile.height / 2)           // Center left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height / 2, tile.right, tile.top + tile.height / 4);
+	
+	var edges = {
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(0.24253562503633297, 0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the upper middle piece of a four tile top left slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthTopLeftHighMid
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopLeftHighMid = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),                        // Top left
+		new SAT.Vector(tile.width, 0),               // Top right
+		new SAT.Vector(tile.width, tile.height / 2), // Center right
+		new SAT.Vector(0, tile.height * 3 / 4)       // Lower quarter left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height * 3 / 4, tile.right, tile.top + tile.height / 2);
+	
+	var edges = {
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(0.24253562503633297, 0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the highest piece of a four tile top left slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthTopLeftHigh
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopLeftHigh = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),                            // Top left
+		new SAT.Vector(tile.width, 0),                   // Top right
+		new SAT.Vector(tile.width, tile.height * 3 / 4), // Lower quarter right
+		new SAT.Vector(0, tile.height)                   // Bottom left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.bottom, tile.right, tile.top + tile.height * 3 / 4);
+	
+	var edges = {
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(0.24253562503633297, 0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the lowest piece of a four tile top right slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthTopRightLow
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopRightLow = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),                        // Top left
+		new SAT.Vector(tile.width, 0),               // Top right
+		new SAT.Vector(tile.width, tile.height / 4)  // Upper quarter right
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top, tile.right, tile.top + tile.height / 4);
+	
+	var edges = {
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(-0.24253562503633297, 0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the lower middle piece of a four tile top right slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthTopRightLowMid
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopRightLowMid = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),                        // Top left
+		new SAT.Vector(tile.width, 0),               // Top right
+		new SAT.Vector(tile.width, tile.height / 2), // Center right
+		new SAT.Vector(0, tile.height / 4)           // Upper quarter left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height / 4, tile.right, tile.top + tile.height / 2);
+	
+	var edges = {
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(-0.24253562503633297, 0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the upper middle piece of a four tile top right slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthTopRightHighMid
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopRightHighMid = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),                            // Top left
+		new SAT.Vector(tile.width, 0),                   // Top right
+		new SAT.Vector(tile.width, tile.height * 3 / 4), // Lower quarter right
+		new SAT.Vector(0, tile.height / 2)               // Center left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height / 2, tile.right, tile.top + tile.height * 3 / 4);
+	
+	var edges = {
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		right:  Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(-0.24253562503633297, 0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define the highest piece of a four tile top right slope.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createFourthTopRightHigh
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createFourthTopRightHigh = function (type, tile) {
+	var polygon = new SAT.Polygon(new SAT.Vector(tile.worldX, tile.worldY), [
+		new SAT.Vector(0, 0),                    // Top left
+		new SAT.Vector(tile.width, 0),           // Top right
+		new SAT.Vector(tile.width, tile.height), // Bottom right
+		new SAT.Vector(0, tile.height * 3 / 4)   // Lower quarter left
+	]);
+	
+	var line = new Phaser.Line(tile.left, tile.top + tile.height * 3 / 4, tile.right, tile.bottom);
+	
+	var edges = {
+		bottom: Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING,
+		left:   Phaser.Plugin.ArcadeSlopes.TileSlope.INTERESTING
+	};
+	
+	var axis = new SAT.Vector(-0.24253562503633297, 0.9701425001453319);
+	
+	return new Phaser.Plugin.ArcadeSlopes.TileSlope(type, tile, polygon, line, edges, axis);
+};
+
+/**
+ * Define a quarter-circle bottom left corner that bulges outwards.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createConvexBottomLeft
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConvexBottomLeft = function (type, tile) {
+	var points = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createArc(
+		0, tile.height, tile.width, tile.height,
+		-Math.PI / 2, 0,
+		Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.resolveSegments(tile)
+	);
+	
+	points.push(new SAT.Vector(0, tile.height)); // Bottom left
+	
+	return Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createCustom(type, tile, [points]);
+};
+
+/**
+ * Define a quarter-circle bottom right corner that bulges outwards.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createConvexBottomRight
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConvexBottomRight = function (type, tile) {
+	var points = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createArc(
+		tile.width, tile.height, tile.width, tile.height,
+		Math.PI, Math.PI * 3 / 2,
+		Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.resolveSegments(tile)
+	);
+	
+	points.push(new SAT.Vector(tile.width, tile.height)); // Bottom right
+	
+	return Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createCustom(type, tile, [points]);
+};
+
+/**
+ * Define a quarter-circle top left corner that bulges outwards.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createConvexTopLeft
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConvexTopLeft = function (type, tile) {
+	var points = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createArc(
+		0, 0, tile.width, tile.height,
+		0, Math.PI / 2,
+		Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.resolveSegments(tile)
+	);
+	
+	points.unshift(new SAT.Vector(0, 0)); // Top left
+	
+	return Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createCustom(type, tile, [points]);
+};
+
+/**
+ * Define a quarter-circle top right corner that bulges outwards.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createConvexTopRight
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConvexTopRight = function (type, tile) {
+	var points = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createArc(
+		tile.width, 0, tile.width, tile.height,
+		Math.PI / 2, Math.PI,
+		Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.resolveSegments(tile)
+	);
+	
+	points.unshift(new SAT.Vector(tile.width, 0)); // Top right
+	
+	return Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createCustom(type, tile, [points]);
+};
+
+/**
+ * Define a quarter-pipe that curves inwards from the top left to the bottom
+ * right of the tile.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createConcaveBottomLeft
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConcaveBottomLeft = function (type, tile) {
+	var points = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createArc(
+		tile.width, 0, tile.width, tile.height,
+		Math.PI, Math.PI / 2,
+		Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.resolveSegments(tile)
+	);
+	
+	points.push(new SAT.Vector(0, tile.height)); // Bottom left
+	
+	return Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createCustom(type, tile, [points]);
+};
+
+/**
+ * Define a quarter-pipe that curves inwards from the bottom left to the top
+ * right of the tile.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createConcaveBottomRight
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConcaveBottomRight = function (type, tile) {
+	var points = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createArc(
+		0, 0, tile.width, tile.height,
+		Math.PI / 2, 0,
+		Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.resolveSegments(tile)
+	);
+	
+	points.push(new SAT.Vector(tile.width, tile.height)); // Bottom right
+	
+	return Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createCustom(type, tile, [points]);
+};
+
+/**
+ * Define an upside down quarter-pipe that curves inwards from the top right to
+ * the bottom left of the tile.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createConcaveTopLeft
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConcaveTopLeft = function (type, tile) {
+	var points = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createArc(
+		tile.width, tile.height, tile.width, tile.height,
+		Math.PI * 3 / 2, Math.PI,
+		Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.resolveSegments(tile)
+	);
+	
+	points.unshift(new SAT.Vector(0, 0)); // Top left
+	
+	return Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createCustom(type, tile, [points]);
+};
+
+/**
+ * Define an upside down quarter-pipe that curves inwards from the bottom right
+ * to the top left of the tile.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createConcaveTopRight
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createConcaveTopRight = function (type, tile) {
+	var points = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createArc(
+		0, tile.height, tile.width, tile.height,
+		0, -Math.PI / 2,
+		Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.resolveSegments(tile)
+	);
+	
+	points.unshift(new SAT.Vector(tile.width, 0)); // Top right
+	
+	return Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createCustom(type, tile, [points]);
+};
+
+/**
+ * Define a bottom half tile with a rounded top.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createRoundHalfBottom
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createRoundHalfBottom = function (type, tile) {
+	var points = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createArc(
+		tile.width / 2, tile.height, tile.width / 2, tile.height / 2,
+		Math.PI, Math.PI * 2,
+		Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.resolveSegments(tile) * 2
+	);
+	
+	return Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createCustom(type, tile, [points]);
+};
+
+/**
+ * Define a top half tile with a rounded bottom.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createRoundHalfTop
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createRoundHalfTop = function (type, tile) {
+	var points = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createArc(
+		tile.width / 2, 0, tile.width / 2, tile.height / 2,
+		0, Math.PI,
+		Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.resolveSegments(tile) * 2
+	);
+	
+	return Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createCustom(type, tile, [points]);
+};
+
+/**
+ * Define a left half tile with a rounded right side.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createRoundHalfLeft
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createRoundHalfLeft = function (type, tile) {
+	var points = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createArc(
+		0, tile.height / 2, tile.width / 2, tile.height / 2,
+		-Math.PI / 2, Math.PI / 2,
+		Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.resolveSegments(tile) * 2
+	);
+	
+	return Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createCustom(type, tile, [points]);
+};
+
+/**
+ * Define a right half tile with a rounded left side.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createRoundHalfRight
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createRoundHalfRight = function (type, tile) {
+	var points = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createArc(
+		tile.width, tile.height / 2, tile.width / 2, tile.height / 2,
+		Math.PI / 2, Math.PI * 3 / 2,
+		Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.resolveSegments(tile) * 2
+	);
+	
+	return Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createCustom(type, tile, [points]);
+};
+
+/**
+ * Approximate an elliptical arc with a number of straight segments.
+ *
+ * Angles are in radians, clockwise from the positive X axis. Points are
+ * rounded to a millionth so that those at the ends of an arc line up exactly
+ * with the bounds of a tile.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createArc
+ * @param  {number}       centerX    - The X coordinate of the center of the arc.
+ * @param  {number}       centerY    - The Y coordinate of the center of the arc.
+ * @param  {number}       radiusX    - The horizontal radius of the arc.
+ * @param  {number}       radiusY    - The vertical radius of the arc.
+ * @param  {number}       startAngle - The angle at which the arc starts.
+ * @param  {number}       endAngle   - The angle at which the arc ends.
+ * @param  {integer}      segments   - The number of segments to use.
+ * @return {SAT.Vector[]}            - The points along the arc, including both ends.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createArc = function (centerX, centerY, radiusX, radiusY, startAngle, endAngle, segments) {
+	var points = [];
+	
+	for (var i = 0; i <= segments; i++) {
+		var angle = startAngle + (endAngle - startAngle) * i / segments;
+		
+		points.push(new SAT.Vector(
+			Math.round((centerX + Math.cos(angle) * radiusX) * 1e6) / 1e6,
+			Math.round((centerY + Math.sin(angle) * radiusY) * 1e6) / 1e6
+		));
+	}
+	
+	return points;
+};
+
+/**
+ * Resolve the number of segments to approximate the curve of a tile with.
+ *
+ * Uses the tile's 'segments' property if it has one, otherwise the factory
+ * default.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#resolveSegments
+ * @param  {Phaser.Tile} tile - The tile.
+ * @return {integer}          - The number of segments.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.resolveSegments = function (tile) {
+	var segments = parseInt(tile.properties && tile.properties.segments);
+	
+	if (isNaN(segments) || segments < 1) {
+		segments = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.curveSegments;
+	}
+	
+	return segments;
+};
+
+/**
+ * Define a tile from arbitrary collision shapes.
+ *
+ * Concave shapes are decomposed into convex polygons, the edges between which
+ * are flagged as internal.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#createCustom
+ * @param  {integer}     type                     - The slope type.
+ * @param  {Phaser.Tile} tile                     - The tile object.
+ * @param  {object[][]}  shapes                   - The shapes of the tile, as arrays of points relative to its top left.
+ * @return {Phaser.Plugin.ArcadeSlopes.TileSlope} - The defined tile slope.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.createCustom = function (type, tile, shapes) {
+	var TileSlopeFactory = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory;
+	var TileSlope = Phaser.Plugin.ArcadeSlopes.TileSlope;
+	var position = new SAT.Vector(tile.worldX, tile.worldY);
+	var polygons = [];
+	var i, j;
+	
+	// Snap points that are within a hair of the tile's bounds onto them, so
+	// that neighbouring tiles can line up exactly
+	var snap = function (value, size) {
+		if (Math.abs(value) < 0.01) {
+			return 0;
+		}
+		
+		if (Math.abs(value - size) < 0.01) {
+			return size;
+		}
+		
+		return value;
+	};
+	
+	shapes.forEach(function (shape) {
+		var points = shape.map(function (point) {
+			return new SAT.Vector(snap(point.x, tile.width), snap(point.y, tile.height));
+		});
+		
+		TileSlopeFactory.decompose(points).forEach(function (part) {
+			polygons.push(new SAT.Polygon(position.clone(), part.map(function (point) {
+				return point.clone();
+			})));
+		});
+	});
+	
+	if (!polygons.length) {
+		return null;
+	}
+	
+	// Flag the edges that the convex parts of the tile share
+	for (i = 0; i < polygons.length; i++) {
+		for (j = i + 1; j < polygons.length; j++) {
+			TileSlopeFactory.flagInternalEdges(polygons[i], position, polygons[j], position);
+		}
+	}
+	
+	// Measure how much of each side of the tile the polygons cover
+	var covered = { top: 0, bottom: 0, left: 0, right: 0 };
+	
+	polygons.forEach(function (polygon) {
+		for (var k = 0; k < polygon.points.length; k++) {
+			var a = polygon.points[k];
+			var b = polygon.points[(k + 1) % polygon.points.length];
+			
+			if (a.y === 0 && b.y === 0) {
+				covered.top += Math.abs(b.x - a.x);
+			} else if (a.y === tile.height && b.y === tile.height) {
+				covered.bottom += Math.abs(b.x - a.x);
+			} else if (a.x === 0 && b.x === 0) {
+				covered.left += Math.abs(b.y - a.y);
+			} else if (a.x === tile.width && b.x === tile.width) {
+				covered.right += Math.abs(b.y - a.y);
+			}
+		}
+	});
+	
+	// Only fully covered sides are solid
+	var edges = {
+		top:    covered.top >= tile.width ? TileSlope.SOLID : TileSlope.INTERESTING,
+		bottom: covered.bottom >= tile.width ? TileSlope.SOLID : TileSlope.INTERESTING,
+		left:   covered.left >= tile.height ? TileSlope.SOLID : TileSlope.INTERESTING,
+		right:  covered.right >= tile.height ? TileSlope.SOLID : TileSlope.INTERESTING
+	};
+	
+	var slope = new TileSlope(type, tile, polygons[0], null, edges);
+	
+	slope.polygons = polygons;
+	
+	return slope;
+};
+
+/**
+ * Parse an object from Tiled's tile collision editor into an array of points
+ * relative to the top left of its tile.
+ *
+ * Supports rectangles and polygons. Returns null for any other kind of object.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#parseCollisionObject
+ * @param  {object}       object - The Tiled object.
+ * @return {SAT.Vector[]}        - The points of the object's shape.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.parseCollisionObject = function (object) {
+	// Ellipses, points and polylines can't be represented as convex polygons
+	if (object.ellipse || object.point || object.polyline) {
+		return null;
+	}
+	
+	if (object.polygon) {
+		return Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.parseObjectPoints(object, object.polygon);
+	}
+	
+	if (object.width && object.height) {
+		return Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.parseObjectPoints(object, [
+			{ x: 0, y: 0 },
+			{ x: object.width, y: 0 },
+			{ x: object.width, y: object.height },
+			{ x: 0, y: object.height }
+		]);
+	}
+	
+	return null;
+};
+
+/**
+ * Transform the points of a Tiled object by the object's position and
+ * rotation.
+ *
+ * Accepts points as objects or as [x, y] arrays, the way Phaser's tilemap
+ * parser stores polygons and polylines.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#parseObjectPoints
+ * @param  {object}       object - The Tiled object.
+ * @param  {Array}        points - The points of the object, relative to its origin.
+ * @return {SAT.Vector[]}        - The transformed points.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.parseObjectPoints = function (object, points) {
+	// Tiled rotates objects clockwise, in degrees, around their origin
+	var rotation = Phaser.Math.degToRad(object.rotation || 0);
+	var cos = Math.cos(rotation);
+	var sin = Math.sin(rotation);
+	
+	return points.map(function (point) {
+		var x = Array.isArray(point) ? point[0] : point.x;
+		var y = Array.isArray(point) ? point[1] : point.y;
+		
+		return new SAT.Vector(
+			(object.x || 0) + x * cos - y * sin,
+			(object.y || 0) + x * sin + y * cos
+		);
+	});
+};
+
+/**
+ * Calculate the cross product of the two edges that meet at point b.
+ *
+ * Positive for a convex corner of a polygon wound like the tile polygons.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#cross
+ * @param  {SAT.Vector} a - The previous point.
+ * @param  {SAT.Vector} b - The corner point.
+ * @param  {SAT.Vector} c - The next point.
+ * @return {number}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.cross = function (a, b, c) {
+	return (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+};
+
+/**
+ * Remove duplicate and collinear points from a shape and wind it the same way
+ * as the tile polygons.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#cleanPoints
+ * @param  {SAT.Vector[]} points - The points of the shape.
+ * @return {SAT.Vector[]}        - The cleaned points.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.cleanPoints = function (points) {
+	var cross = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.cross;
+	var area = 0;
+	var removed = true;
+	var i;
+	
+	points = points.slice();
+	
+	while (removed && points.length > 2) {
+		removed = false;
+		
+		for (i = 0; i < points.length; i++) {
+			var previous = points[(i + points.length - 1) % points.length];
+			var next = points[(i + 1) % points.length];
+			
+			if (Math.abs(cross(previous, points[i], next)) < 1e-9) {
+				points.splice(i, 1);
+				removed = true;
+				break;
+			}
+		}
+	}
+	
+	if (points.length < 3) {
+		return [];
+	}
+	
+	for (i = 0; i < points.length; i++) {
+		var j = (i + 1) % points.length;
+		
+		area += points[i].x * points[j].y - points[j].x * points[i].y;
+	}
+	
+	if (area < 0) {
+		points.reverse();
+	}
+	
+	return points;
+};
+
+/**
+ * Determine whether a cleaned shape is convex.
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#isConvex
+ * @param  {SAT.Vector[]} points - The points of the shape.
+ * @return {boolean}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.isConvex = function (points) {
+	var cross = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.cross;
+	
+	for (var i = 0; i < points.length; i++) {
+		var previous = points[(i + points.length - 1) % points.length];
+		var next = points[(i + 1) % points.length];
+		
+		if (cross(previous, points[i], next) < 0) {
+			return false;
+		}
+	}
+	
+	return points.length > 2;
+};
+
+/**
+ * Decompose a shape into convex parts.
+ *
+ * Convex shapes are returned as they are. Concave shapes are triangulated by
+ * ear clipping, after which neighbouring parts are merged wherever the result
+ * stays convex (Hertel-Mehlhorn).
+ *
+ * @static
+ * @method Phaser.Plugin.ArcadeSlopes.TileSlopeFactory#decompose
+ * @param  {SAT.Vector[]}   points - The points of the shape.
+ * @return {SAT.Vector[][]}        - The points of each convex part.
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.decompose = function (points) {
+	var TileSlopeFactory = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory;
+	var cross = TileSlopeFactory.cross;
+	var parts = [];
+	var i, j, k;
+	
+	points = TileSlopeFactory.cleanPoints(points);
+	
+	if (points.length < 3) {
+		return parts;
+	}
+	
+	if (TileSlopeFactory.isConvex(points)) {
+		return [points];
+	}
+	
+	// Determine whether point p lies within the triangle abc
+	var contains = function (a, b, c, p) {
+		return cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+	};
+	
+	// Clip ears until only a triangle remains
+	var remaining = points.slice();
+	
+	while (remaining.length > 3) {
+		var clipped = false;
+		
+		for (i = 0; i < remaining.length; i++) {
+			var a = remaining[(i + remaining.length - 1) % remaining.length];
+			var b = remaining[i];
+			var c = remaining[(i + 1) % remaining.length];
+			
+			if (cross(a, b, c) <= 0) {
+				continue;
+			}
+			
+			var ear = true;
+			
+			for (j = 0; j < remaining.length; j++) {
+				var p = remaining[j];
+				
+				if (p !== a && p !== b && p !== c && contains(a, b, c, p)) {
+					ear = false;
+					break;
+				}
+			}
+			
+			if (ear) {
+				parts.push([a, b, c]);
+				remaining.splice(i, 1);
+				clipped = true;
+				break;
+			}
+		}
+		
+		// Bail on self-intersecting shapes that have no ears left
+		if (!clipped) {
+			console.warn('Unable to decompose a self-intersecting collision shape');
+			
+			return parts;
+		}
+	}
+	
+	parts.push(remaining);
+	
+	// Merge parts across their shared edges while they stay convex
+	var merged = true;
+	
+	while (merged) {
+		merged = false;
+		
+		for (i = 0; i < parts.length && !merged; i++) {
+			for (j = 0; j < parts.length && !merged; j++) {
+				if (i === j) {
+					continue;
+				}
+				
+				var first = parts[i];
+				var second = parts[j];
+				
+				for (k = 0; k < first.length && !merged; k++) {
+					var start = first[k];
+					var end = first[(k + 1) % first.length];
+					var l = second.indexOf(end);
+					
+					if (l < 0 || second[(l + 1) % second.length] !== start) {
+						continue;
+					}
+					
+					// Walk the first part from the end of the shared edge back
+					// around to its start, then the rest of the second part
+					var candidate = [];
+					var m;
+					
+					for (m = 1; m <= first.length; m++) {
+						candidate.push(first[(k + m) % first.length]);
+					}
+					
+					for (m = 2; m < second.length; m++) {
+						candidate.push(second[(l + m) % second.length]);
+					}
+					
+					candidate = TileSlopeFactory.cleanPoints(candidate);
+					
+					if (TileSlopeFactory.isConvex(candidate)) {
+						parts[i] = candidate;
+						parts.splice(j, 1);
+						merged = true;
+					}
+				}
+			}
+		}
+	}
+	
+	return parts;
+};
+
+/**
+ * Prepare a slope mapping offset from the given tile index.
+ * 
+ * An offset is just the first tile index - 1. Returns 0 if an integer can't be
+ * parsed.
+ * 
+ * @static
+ * @param  {integer} index - A tile index.
+ * @return {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prepareOffset = function (index) {
+	var offset = parseInt(index);
+	
+	offset = !isNaN(offset) && typeof offset === 'number' ? offset - 1 : 0;
+	
+	return offset;
+};
+
+/**
+ * Create a tile slope mapping for the Arcade Slopes tileset.
+ *
+ * @static
+ * @param  {integer} index - An optional first tile index (firstgid).
+ * @return {object}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.mapArcadeSlopes = function (index) {
+	offset = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prepareOffset(index);
+	
+	var mapping = {};
+	
+	mapping[offset + 1]  = 'FULL';
+	mapping[offset + 2]  = 'HALF_TOP';
+	mapping[offset + 3]  = 'HALF_BOTTOM';
+	mapping[offset + 4]  = 'HALF_LEFT';
+	mapping[offset + 5]  = 'HALF_RIGHT';
+	mapping[offset + 6]  = 'HALF_BOTTOM_LEFT';
+	mapping[offset + 7]  = 'HALF_BOTTOM_RIGHT';
+	mapping[offset + 8]  = 'HALF_TOP_LEFT';
+	mapping[offset + 9]  = 'HALF_TOP_RIGHT';
+	mapping[offset + 10] = 'QUARTER_TOP_LEFT_HIGH';
+	mapping[offset + 11] = 'QUARTER_TOP_LEFT_LOW';
+	mapping[offset + 12] = 'QUARTER_TOP_RIGHT_LOW';
+	mapping[offset + 13] = 'QUARTER_TOP_RIGHT_HIGH';
+	mapping[offset + 14] = 'QUARTER_BOTTOM_LEFT_HIGH';
+	mapping[offset + 15] = 'QUARTER_BOTTOM_LEFT_LOW';
+	mapping[offset + 16] = 'QUARTER_BOTTOM_RIGHT_LOW';
+	mapping[offset + 17] = 'QUARTER_BOTTOM_RIGHT_HIGH';
+	mapping[offset + 18] = 'QUARTER_LEFT_BOTTOM_HIGH';
+	mapping[offset + 19] = 'QUARTER_RIGHT_BOTTOM_HIGH';
+	mapping[offset + 20] = 'QUARTER_LEFT_TOP_HIGH';
+	mapping[offset + 21] = 'QUARTER_RIGHT_TOP_HIGH';
+	mapping[offset + 35] = 'QUARTER_LEFT_BOTTOM_LOW';
+	mapping[offset + 36] = 'QUARTER_RIGHT_BOTTOM_LOW';
+	mapping[offset + 37] = 'QUARTER_LEFT_TOP_LOW';
+	mapping[offset + 38] = 'QUARTER_RIGHT_TOP_LOW';
+	
+	return mapping;
+};
+
+/**
+ * Create a tile slope mapping for the Ninja Physics tileset.
+ *
+ * @static
+ * @param  {integer} index - An optional first tile index (firstgid).
+ * @return {object}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.mapNinjaPhysics = function (index) {
+	offset = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.prepareOffset(index);
+	
+	var mapping = {};
+	
+	mapping[offset + 2] =  'FULL';
+	mapping[offset + 3] =  'HALF_BOTTOM_LEFT';
+	mapping[offset + 4] =  'HALF_BOTTOM_RIGHT';
+	mapping[offset + 6] =  'HALF_TOP_LEFT';
+	mapping[offset + 5] =  'HALF_TOP_RIGHT';
+	mapping[offset + 15] = 'QUARTER_BOTTOM_LEFT_LOW';
+	mapping[offset + 16] = 'QUARTER_BOTTOM_RIGHT_LOW';
+	mapping[offset + 17] = 'QUARTER_TOP_RIGHT_LOW';
+	mapping[offset + 18] = 'QUARTER_TOP_LEFT_LOW';
+	mapping[offset + 19] = 'QUARTER_BOTTOM_LEFT_HIGH';
+	mapping[offset + 20] = 'QUARTER_BOTTOM_RIGHT_HIGH';
+	mapping[offset + 21] = 'QUARTER_TOP_RIGHT_HIGH';
+	mapping[offset + 22] = 'QUARTER_TOP_LEFT_HIGH';
+	mapping[offset + 23] = 'QUARTER_LEFT_BOTTOM_HIGH';
+	mapping[offset + 24] = 'QUARTER_RIGHT_BOTTOM_HIGH';
+	mapping[offset + 25] = 'QUARTER_RIGHT_TOP_LOW';
+	mapping[offset + 26] = 'QUARTER_LEFT_TOP_LOW';
+	mapping[offset + 27] = 'QUARTER_LEFT_BOTTOM_LOW';
+	mapping[offset + 28] = 'QUARTER_RIGHT_BOTTOM_LOW';
+	mapping[offset + 29] = 'QUARTER_RIGHT_TOP_HIGH';
+	mapping[offset + 30] = 'QUARTER_LEFT_TOP_HIGH';
+	mapping[offset + 31] = 'HALF_BOTTOM';
+	mapping[offset + 32] = 'HALF_RIGHT';
+	mapping[offset + 33] = 'HALF_TOP';
+	mapping[offset + 34] = 'HALF_LEFT';
+
+	return mapping;
+};
+
+/**
+ * The Ninja Physics tileset mapping.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.ARCADESLOPES = 1;
+
+/**
+ * The Ninja Physics tileset mapping.
+ *
+ * @constant
+ * @type {integer}
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.NINJA = 2;
+
+/**
+ * The default number of segments to approximate the curves of curved tiles
+ * with.
+ *
+ * @static
+ * @property {integer} curveSegments
+ * @default
+ */
+Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.curveSegments = 8;
@@ -0,0 +1,258 @@
+/**
+ * @author Chris Andrew <chris@hexus.io>
+ * @copyright 2016-2017 Chris Andrew
+ * @license MIT
+ */
+
+var helpers = require('./helpers');
+var assert  = helpers.assert;
+var test    = helpers.test;
+
+// Ground with a gap in it, and a ceiling
+function level() {
+	var world = helpers.world([
+		['FULL', 'FULL', 'FULL', 'FULL', 'FULL', 'FULL', 'FULL', 'FULL'],
+		['',     '',     '',     '',     '',     '',     '',     ''    ],
+		['',     '',     '',     '',     '',     '',     '',     ''    ],
+		['',     '',     '',     '',     '',     '',     '',     ''    ],
+		['FULL', 'FULL', 'FULL', '',     '',     '',     'FULL', 'FULL'],
+		['FULL', 'FULL', 'FULL', 'FULL', 'FULL', 'FULL', 'FULL', 'FULL']
+	]);
+	
+	world.body = helpers.body(world, 20, 112, 16, 16);
+	world.controller = new Phaser.Plugin.ArcadeSlopes.CharacterController(world.body);
+	
+	return world;
+}
+
+// Step the world and update the controller, a number of times
+function frames(world, count) {
+	for (var i = 0; i < (count || 1); i++) {
+		helpers.step(world, world.body);
+		world.controller.update(1 / 60);
+	}
+}
+
+test('runs up to speed', function () {
+	var world = level();
+	
+	world.body.gravity.y = 900;
+	world.controller.move(1);
+	frames(world, 4);
+	
+	assert.strictEqual(world.body.velocity.x, 100);
+	
+	frames(world, 8);
+	
+	assert.strictEqual(world.body.velocity.x, 200);
+	assert.strictEqual(world.controller.grounded, true);
+});
+
+test('jumps from the ground', function () {
+	var world = level();
+	
+	world.body.gravity.y = 900;
+	frames(world, 2);
+	world.controller.jump();
+	frames(world);
+	
+	assert.strictEqual(world.body.velocity.y, -400);
+	assert.strictEqual(world.controller.jumping, true);
+});
+
+test('cuts jumps that are released early', function () {
+	var world = level();
+	
+	world.body.gravity.y = 900;
+	frames(world, 2);
+	world.controller.jump();
+	frames(world);
+	world.controller.releaseJump();
+	
+	assert.strictEqual(world.body.velocity.y, -200);
+});
+
+test('jumps shortly after leaving the ground', function () {
+	function jumpAfter(count) {
+		var world = level();
+		
+		world.body.gravity.y = 900;
+		world.body.x = 80;
+		frames(world, 2);
+		
+		// Walk off the ledge
+		world.controller.move(1);
+		
+		while (world.body.slopes.onGround) {
+			frames(world);
+		}
+		
+		frames(world, count);
+		world.controller.jump();
+		frames(world);
+		
+		return world.body.velocity.y < 0;
+	}
+	
+	assert.strictEqual(jumpAfter(3), true);
+	assert.strictEqual(jumpAfter(10), false);
+});
+
+test('jumps on landing shortly after a jump is requested', function () {
+	function jumpBefore(count) {
+		var world = level();
+		var jumped = false;
+		
+		world.body.gravity.y = 900;
+		world.body.y = 40;
+		
+		// Fall until the given number of frames before landing
+		var landing = 0;
+		
+		while (!world.body.slopes.onGround) {
+			frames(world);
+			landing++;
+		}
+		
+		world = level();
+		world.body.gravity.y = 900;
+		world.body.y = 40;
+		frames(world, landing - count);
+		world.controller.jump();
+		
+		for (var i = 0; i < count + 1; i++) {
+			frames(world);
+			jumped = jumped || world.body.velocity.y < 0;
+		}
+		
+		return jumped;
+	}
+	
+	assert.strictEqual(jumpBefore(3), true);
+	assert.strictEqual(jumpBefore(10), false);
+});
+
+test('jumps and runs against flipped gravity', function () {
+	var world = level();
+	
+	world.body.gravity.y = -900;
+	world.body.y = 34;
+	frames(world, 10);
+	
+	assert.strictEqual(world.body.slopes.onGround, true);
+	
+	world.controller.move(1);
+	frames(world, 4);
+	
+	assert.strictEqual(world.body.velocity.x, -100);
+	
+	world.controller.jump();
+	frames(world);
+	
+	assert.strictEqual(world.body.velocity.y, 400);
+	
+	world.controller.releaseJump();
+	
+	assert.strictEqual(world.body.velocity.y, 200);
+});
+
+test('jumps and runs against sideways gravity', function () {
+	var world = level();
+	
+	// Stand on the side of the ledge
+	world.body.gravity.x = -900;
+	world.body.x = 98;
+	world.body.y = 136;
+	frames(world, 10);
+	
+	assert.strictEqual(world.body.slopes.onGround, true);
+	
+	world.controller.move(1);
+	frames(world, 4);
+	
+	assert.strictEqual(world.body.velocity.y, 100);
+	
+	world.controller.jump();
+	frames(world);
+	
+	assert.strictEqual(world.body.velocity.x, 400);
+});
+
+test('takes gravity from the solver of the tile the body is on', function () {
+	var world = helpers.world([['FULL', 'FULL']], { '1,0': { solver: 'sideways' } });
+	var body = helpers.body(world, 0, -16, 16, 16);
+	var controller = new Phaser.Plugin.ArcadeSlopes.CharacterController(body);
+	
+	world.game.slopes.registerSolver('sideways', {
+		collide: function () {
+			return false;
+		},
+		getGravityAxis: function () {
+			return new SAT.Vector(1, 0);
+		}
+	});
+	
+	assert.strictEqual(controller.getGravityAxis().y, 1);
+	
+	body.slopes.groundTile = world.layer.layer.data[0][1];
+	
+	assert.strictEqual(controller.getGravityAxis().x, 1);
+	
+	// The last tile the body collided with counts once it leaves the ground
+	body.slopes.groundTile = null;
+	body.slopes.tile = world.layer.layer.data[0][1];
+	
+	assert.strictEqual(controller.getGravityAxis().x, 1);
+});
+
+test('controllers without a body with slopes enabled warn and do nothing', function () {
+	var warn = console.warn;
+	var warnings = [];
+	var controller;
+	
+	console.warn = function (message) {
+		warnings.push(message);
+	};
+	
+	try {
+		controller = new Phaser.Plugin.ArcadeSlopes.CharacterController({ velocity: new Phaser.Point() });
+	} finally {
+		console.warn = warn;
+	}
+	
+	assert.strictEqual(warnings.length, 1);
+	
+	controller.move(1);
+	controller.jump();
+	controller.update(1 / 60);
+	controller.releaseJump();
+	
+	assert.strictEqual(controller.body.velocity.x, 0);
+	assert.strictEqual(controller.body.velocity.y, 0);
+});
+
+test('runs up slopes at full speed with constant speed', function () {
+	var world = helpers.world([
+		['',     '',     '',                  '',     ''    ],
+		['',     '',     'HALF_BOTTOM_RIGHT', 'FULL', 'FULL'],
+		['FULL', 'FULL', 'FULL',              'FULL', 'FULL']
+	]);
+	var body = helpers.body(world, 8, 56, 8, 8);
+	var controller = new Phaser.Plugin.ArcadeSlopes.CharacterController(body);
+	
+	body.gravity.y = 600;
+	body.slopes.constantSpeed = true;
+	body.slopes.stickDistance = 12;
+	controller.move(1);
+	
+	for (var i = 0; i < 28; i++) {
+		helpers.step(world, body);
+		controller.update(1 / 60);
+	}
+	
+	// Halfway up the slope
+	assert.strictEqual(body.slopes.groundAngle, -45);
+	assert.strictEqual(body.slopes.groundSpeed, 200);
+	assert.ok(Math.abs(body.velocity.x - 200 * Math.SQRT1_2) < 1e-9);
+	assert.ok(Math.abs(body.velocity.y + 200 * Math.SQRT1_2) < 1e-9);
+});
@@ -0,0 +1,230 @@
+/**
+ * @author Chris Andrew <chris@hexus.io>
+ * @copyright 2016-2017 Chris Andrew
+ * @license MIT
+ */
+
+var helpers = require('./helpers');
+var assert  = helpers.assert;
+var test    = helpers.test;
+
+/**
+ * Create a solver that records the tiles it's given and never separates.
+ *
+ * @return {object} - The solver.
+ */
+function recorder() {
+	return {
+		collided: [],
+		swept: [],
+		collide: function (i, body, tile) {
+			this.collided.push(tile);
+			
+			return false;
+		},
+		shouldSweep: function () {
+			return true;
+		},
+		sweep: function (body, tiles) {
+			this.swept = this.swept.concat(tiles);
+		}
+	};
+}
+
+test('general options configure the default solver', function () {
+	var slopes = helpers.world([['FULL']]).game.slopes;
+	var solver = slopes.registerSolver('custom', recorder());
+	
+	slopes.preferY = true;
+	
+	assert.strictEqual(slopes.solvers.sat.options.preferY, true);
+	
+	slopes.defaultSolver = 'custom';
+	slopes.preferY = false;
+	slopes.gravity = { x: 0, y: -1 };
+	
+	assert.strictEqual(solver.options.preferY, false);
+	assert.strictEqual(solver.options.gravity.y, -1);
+	assert.strictEqual(slopes.solvers.sat.options.preferY, true);
+	assert.strictEqual(slopes.solvers.sat.options.gravity, null);
+});
+
+test('options only the SAT solver supports configure it whichever solver is the default', function () {
+	var slopes = helpers.world([['FULL']]).game.slopes;
+	var solver = slopes.registerSolver('custom', recorder());
+	
+	slopes.defaultSolver = 'custom';
+	slopes.sweep = true;
+	slopes.ignoreInternalEdges = true;
+	slopes.iterative = true;
+	slopes.iterations = 6;
+	
+	assert.strictEqual(slopes.solvers.sat.options.sweep, true);
+	assert.strictEqual(slopes.solvers.sat.options.ignoreInternalEdges, true);
+	assert.strictEqual(slopes.solvers.sat.options.iterative, true);
+	assert.strictEqual(slopes.solvers.sat.options.iterations, 6);
+	assert.strictEqual(slopes.iterative, true);
+	assert.strictEqual(solver.options, undefined);
+});
+
+test('tiles are grouped by the solver they use', function () {
+	var world = helpers.world([['FULL', 'FULL', 'FULL']], { '1,0': { solver: 'custom' } });
+	var slopes = world.game.slopes;
+	var solver = slopes.registerSolver('custom', recorder());
+	var row = world.layer.layer.data[0];
+	var groups = slopes.groupTiles(row);
+	
+	assert.strictEqual(groups.length, 2);
+	assert.strictEqual(groups[0].solver, slopes.solvers.sat);
+	assert.deepStrictEqual(groups[0].tiles, [row[0], row[2]]);
+	assert.strictEqual(groups[1].solver, solver);
+	assert.deepStrictEqual(groups[1].tiles, [row[1]]);
+});
+
+test('each solver sweeps and collides with the tiles that use it', function () {
+	var world = helpers.world([
+		['',     ''    ],
+		['FULL', 'FULL'],
+		['',     ''    ],
+		['',     ''    ]
+	], { '1,1': { solver: 'custom' } });
+	var solver = world.game.slopes.registerSolver('custom', recorder());
+	var tile = world.layer.layer.data[1][1];
+	var body = helpers.body(world, 40, 16, 8, 8);
+	
+	world.game.slopes.sweep = true;
+	body.velocity.y = 3000;
+	helpers.step(world, body);
+	
+	// The SAT solver would have swept the body back onto the tile
+	assert.strictEqual(body.y, 66);
+	assert.deepStrictEqual(solver.swept, [tile]);
+	assert.deepStrictEqual(solver.collided, [tile]);
+});
+
+test('polygon bodies fit their bounds to the polygon', function () {
+	var world = helpers.world([['FULL']]);
+	var body = helpers.body(world, 40, 0, 16, 16);
+	
+	assert.strictEqual(world.game.slopes.setPolygon(body, [
+		{ x: 4, y: 2 }, { x: 20, y: 18 }, { x: 4, y: 18 }
+	]), true);
+	
+	assert.strictEqual(body.offset.x, 4);
+	assert.strictEqual(body.offset.y, 2);
+	assert.strictEqual(body.x, 44);
+	assert.strictEqual(body.y, 2);
+	assert.strictEqual(body.polygon.points.length, 3);
+	assert.deepStrictEqual(body.slopes.shape.map(function (point) {
+		return [point.x, point.y];
+	}), [[0, 0], [16, 16], [0, 16]]);
+});
+
+test('polygon bodies rest flush against slopes', function () {
+	var world = helpers.world([
+		['',     '',                 ''    ],
+		['FULL', 'HALF_BOTTOM_LEFT', ''    ],
+		['FULL', 'FULL',             'FULL']
+	]);
+	var body = helpers.body(world, 40, 0, 16, 16);
+	
+	// A triangle with its long side facing down the slope
+	world.game.slopes.setPolygon(body, [{ x: 0, y: 0 }, { x: 16, y: 0 }, { x: 16, y: 16 }]);
+	
+	body.gravity.y = 600;
+	
+	for (var i = 0; i < 60 && !body.slopes.onGround; i++) {
+		helpers.step(world, body);
+	}
+	
+	// Its top left corner lies on the slope, below where a box would rest
+	assert.strictEqual(body.slopes.onGround, true);
+	assert.strictEqual(body.slopes.groundAngle, 45);
+	assert.ok(Math.abs(body.x - body.y) < 1e-9, body.x + ', ' + body.y);
+});
+
+test('invalid body polygons warn and leave the body alone', function () {
+	var world = helpers.world([['FULL']]);
+	var body = helpers.body(world, 40, 0, 16, 16);
+	var warn = console.warn;
+	var warnings = [];
+	var results;
+	
+	console.warn = function (message) {
+		warnings.push(message);
+	};
+	
+	try {
+		results = [
+			// Concave
+			world.game.slopes.setPolygon(body, [
+				{ x: 0, y: 0 }, { x: 16, y: 0 }, { x: 8, y: 8 }, { x: 16, y: 16 }, { x: 0, y: 16 }
+			]),
+			// In a line
+			world.game.slopes.setPolygon(body, [{ x: 0, y: 0 }, { x: 8, y: 8 }, { x: 16, y: 16 }])
+		];
+	} finally {
+		console.warn = warn;
+	}
+	
+	assert.deepStrictEqual(results, [false, false]);
+	assert.strictEqual(warnings.length, 2);
+	assert.strictEqual(body.slopes.shape, null);
+	assert.strictEqual(body.polygon.points.length, 4);
+});
+
+function points(polygon) {
+	return polygon.points.map(function (point) {
+		return [point.x, point.y];
+	});
+}
+
+test('body shapes follow changes to the size and circle of their body', function () {
+	var world = helpers.world([
+		['',     '',     ''    ],
+		['',     '',     ''    ],
+		['FULL', 'FULL', 'FULL']
+	]);
+	var body = helpers.body(world, 40, 32, 16, 32);
+	var i;
+	
+	body.gravity.y = 600;
+	
+	// Crouch
+	body.setSize(16, 16);
+	
+	for (i = 0; i < 30; i++) {
+		helpers.step(world, body);
+	}
+	
+	assert.strictEqual(body.y, 48);
+	assert.strictEqual(body.slopes.onGround, true);
+	assert.deepStrictEqual(points(body.polygon), [[0, 0], [16, 0], [16, 16], [0, 16]]);
+	
+	body.isCircle = true;
+	body.radius = 8;
+	
+	helpers.step(world, body);
+	
+	assert.ok(body.polygon instanceof SAT.Circle);
+	assert.strictEqual(body.polygon.r, 8);
+});
+
+test('body shapes follow the scale of their sprite without being flipped or scaled again', function () {
+	var world = helpers.world([['FULL']]);
+	var box = helpers.body(world, 40, 0, 16, 16);
+	var triangle = helpers.body(world, 80, 0, 16, 16);
+	
+	world.game.slopes.setPolygon(triangle, [{ x: 0, y: 0 }, { x: 16, y: 16 }, { x: 0, y: 16 }]);
+	
+	// Phaser scales the body along with its sprite
+	box.sprite.scale.x = -1;
+	triangle.sprite.scale.x = -2;
+	triangle.setSize(32, 16);
+	
+	helpers.step(world, box);
+	helpers.step(world, triangle);
+	
+	assert.deepStrictEqual(points(box.polygon), [[0, 0], [16, 0], [16, 16], [0, 16]]);
+	assert.deepStrictEqual(points(triangle.polygon), [[32, 16], [0, 16], [32, 0]]);
+});
@@ -0,0 +1,72 @@
+/**
+ * @author Chris Andrew <chris@hexus.io>
+ * @copyright 2016-2017 Chris Andrew
+ * @license MIT
+ */
+
+var helpers = require('./helpers');
+var assert  = helpers.assert;
+var test    = helpers.test;
+
+test('rays hit the surface of sloped tiles', function () {
+	var world = helpers.world([['HALF_BOTTOM_LEFT']]);
+	var hit = world.game.slopes.raycast(world.layer, new Phaser.Point(16, -16), new Phaser.Point(16, 64));
+	
+	assert.ok(hit);
+	assert.strictEqual(hit.point.x, 16);
+	assert.strictEqual(hit.point.y, 16);
+	assert.strictEqual(hit.distance, 32);
+	assert.ok(Math.abs(hit.normal.x - Math.SQRT1_2) < 1e-9);
+	assert.ok(Math.abs(hit.normal.y + Math.SQRT1_2) < 1e-9);
+	assert.strictEqual(hit.tile, world.layer.layer.data[0][0]);
+});
+
+test('rays hit tiles offset by their layer\'s position', function () {
+	var world = helpers.world([['FULL']]);
+	
+	world.layer.position.set(100, 50);
+	
+	var hit = world.game.slopes.raycast(world.layer, new Phaser.Point(116, 0), new Phaser.Point(116, 200));
+	
+	assert.ok(hit);
+	assert.strictEqual(hit.point.x, 116);
+	assert.strictEqual(hit.point.y, 50);
+	assert.strictEqual(hit.distance, 50);
+});
+
+test('rays pass through the internal edges between full tiles', function () {
+	var world = helpers.world([['FULL', 'FULL', '', 'FULL']]);
+	var hit = world.game.slopes.raycast(world.layer, new Phaser.Point(16, 16), new Phaser.Point(128, 16));
+	
+	assert.ok(hit);
+	assert.strictEqual(hit.point.x, 96);
+	assert.strictEqual(hit.normal.x, -1);
+	assert.strictEqual(hit.tile, world.layer.layer.data[0][3]);
+});
+
+test('rays hit the colliders of object layers', function () {
+	var world = helpers.world([['']]);
+	var layer = new Phaser.Plugin.ArcadeSlopes.ObjectLayer({}, 'objects');
+	
+	layer.add([
+		new SAT.Vector(64, 32),
+		new SAT.Vector(96, 32),
+		new SAT.Vector(96, 64),
+		new SAT.Vector(64, 64)
+	]);
+	
+	var hit = world.game.slopes.raycast(layer, new Phaser.Point(0, 48), new Phaser.Point(128, 48));
+	
+	assert.ok(hit);
+	assert.strictEqual(hit.point.x, 64);
+	assert.strictEqual(hit.normal.x, -1);
+});
+
+test('rays miss maps without a tile size', function () {
+	var world = helpers.world([['FULL']]);
+	
+	world.layer.map.tileWidth = 0;
+	world.layer.map.tileHeight = 0;
+	
+	assert.strictEqual(world.game.slopes.raycast(world.layer, new Phaser.Point(0, 0), new Phaser.Point(64, 64)), null);
+});
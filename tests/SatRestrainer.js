@@ -0,0 +1,103 @@
+/**
+ * @author Chris Andrew <chris@hexus.io>
+ * @copyright 2016-2017 Chris Andrew
+ * @license MIT
+ */
+
+var helpers = require('./helpers');
+var assert  = helpers.assert;
+var test    = helpers.test;
+
+function full(columns) {
+	var row = [];
+	
+	for (var i = 0; i < columns; i++) {
+		row.push('FULL');
+	}
+	
+	return row;
+}
+
+test('bodies walk along the underside of full tiles under flipped gravity', function () {
+	var world = helpers.world([
+		full(6),
+		['', '', '', '', '', ''],
+		['', '', '', '', '', '']
+	]);
+	var body = helpers.body(world, 8, 32, 4, 4);
+	var x;
+	
+	body.gravity.y = -600;
+	
+	for (var i = 0; i < 100; i++) {
+		x = body.x;
+		body.velocity.x = 100;
+		helpers.step(world, body);
+		
+		assert.ok(body.x > x, 'stopped at ' + x);
+		assert.strictEqual(body.y, 32);
+		assert.strictEqual(body.slopes.onGround, true);
+	}
+});
+
+test('bodies walk along the side of full tiles under sideways gravity', function () {
+	var world = helpers.world([
+		['', '', 'FULL'],
+		['', '', 'FULL'],
+		['', '', 'FULL'],
+		['', '', 'FULL'],
+		['', '', 'FULL'],
+		['', '', 'FULL']
+	]);
+	var body = helpers.body(world, 60, 8, 4, 4);
+	var y;
+	
+	body.gravity.x = 600;
+	
+	for (var i = 0; i < 100; i++) {
+		y = body.y;
+		body.velocity.y = 100;
+		helpers.step(world, body);
+		
+		assert.ok(body.y > y, 'stopped at ' + y);
+		assert.strictEqual(body.x, 60);
+		assert.strictEqual(body.slopes.onGround, true);
+	}
+});
+
+// Walk a body up a gentle slope onto the full tile at its top
+function climb(types, angle) {
+	var world = helpers.world([
+		['', '', '', '', '', ''],
+		['FULL'].concat(types, ''),
+		full(types.length + 2)
+	]);
+	var body = helpers.body(world, 32 * types.length + 34, 40, 8, 8);
+	
+	body.gravity.y = 600;
+	
+	for (var i = 0; i < 200; i++) {
+		body.velocity.x = -60;
+		helpers.step(world, body);
+		
+		if (body.x > 32 && body.x < 32 * (types.length + 1) && body.slopes.onGround) {
+			assert.ok(Math.abs(body.slopes.groundAngle - angle) < 1e-9, 'angle ' + body.slopes.groundAngle + ' at ' + body.x);
+		}
+		
+		if (body.x < 24) {
+			break;
+		}
+	}
+	
+	assert.ok(body.x < 24, 'stopped at ' + body.x);
+	assert.strictEqual(body.y, 24);
+	assert.strictEqual(body.slopes.onGround, true);
+}
+
+test('bodies climb 1:3 slopes across all three of their tiles', function () {
+	climb(['THIRD_BOTTOM_LEFT_HIGH', 'THIRD_BOTTOM_LEFT_MID', 'THIRD_BOTTOM_LEFT_LOW'], Math.atan(1 / 3) * 180 / Math.PI);
+});
+
+test('bodies climb 1:4 slopes across all four of their tiles', function () {
+	climb(['FOURTH_BOTTOM_LEFT_HIGH', 'FOURTH_BOTTOM_LEFT_HIGH_MID', 'FOURTH_BOTTOM_LEFT_LOW_MID', 'FOURTH_BOTTOM_LEFT_LOW'], Math.atan(1 / 4) * 180 / Math.PI);
+});
@@ -0,0 +1,568 @@
+/**
+ * @author Chris Andrew <chris@hexus.io>
+ * @copyright 2016-2017 Chris Andrew
+ * @license MIT
+ */
+
+var helpers = require('./helpers');
+var assert  = helpers.assert;
+var test    = helpers.test;
+
+test('swept bodies walk onto slopes whose foot they graze', function () {
+	var world = helpers.world([
+		['',     '',     '',     '',     'HALF_BOTTOM_RIGHT'],
+		['FULL', 'FULL', 'FULL', 'FULL', 'FULL'             ]
+	]);
+	var body = helpers.body(world, 20, 26, 6, 6);
+	
+	world.game.slopes.sweep = true;
+	world.game.slopes.heuristics = false;
+	body.gravity.y = 2000;
+	
+	for (var i = 0; i < 30; i++) {
+		body.velocity.x = 300;
+		helpers.step(world, body);
+	}
+	
+	assert.ok(body.x > 140, 'stopped at ' + body.x);
+});
+
+test('swept bodies land on tiles they would otherwise fall through', function () {
+	var world = helpers.world([
+		[''    ],
+		[''    ],
+		[''    ],
+		['FULL']
+	]);
+	var body = helpers.body(world, 10, 0, 6, 6);
+	
+	world.game.slopes.sweep = true;
+	body.velocity.y = 6000;
+	
+	for (var i = 0; i < 3; i++) {
+		helpers.step(world, body);
+	}
+	
+	assert.strictEqual(body.y, 90);
+});
+
+test('iterative resolution records each tile once per frame', function () {
+	var world = helpers.world([
+		['',     '',     ''    ],
+		['FULL', '',     'FULL'],
+		['FULL', 'FULL', 'FULL']
+	]);
+	var body = helpers.body(world, 28, 30, 40, 20);
+	
+	world.game.slopes.iterative = true;
+	helpers.step(world, body);
+	
+	var tiles = body.slopes.contacts.map(function (contact) {
+		return contact.tile.x + ',' + contact.tile.y;
+	});
+	
+	assert.ok(tiles.length);
+	assert.deepEqual(tiles.filter(function (tile, index) {
+		return tiles.indexOf(tile) === index;
+	}), tiles);
+});
+
+test('bodies keep their speed along walls that are ground to their gravity', function () {
+	var world = helpers.world([
+		['FULL', ''],
+		['FULL', ''],
+		['FULL', ''],
+		['FULL', '']
+	]);
+	var body = helpers.body(world, 34, 8, 16, 16);
+	
+	body.slopes.maxGroundAngle = 45;
+	body.gravity.x = -900;
+	body.velocity.y = 120;
+	
+	for (var i = 0; i < 30; i++) {
+		helpers.step(world, body);
+	}
+	
+	assert.strictEqual(body.x, 32);
+	assert.strictEqual(body.velocity.y, 120);
+	assert.strictEqual(body.slopes.onGround, true);
+});
+
+test('swept circles stop at one-tile walls they would otherwise pass through', function () {
+	var world = helpers.world([
+		['', '', '', '', 'FULL', '', '', '', '', '', '', '']
+	]);
+	var body = helpers.body(world, 8, 8, 16, 16);
+	
+	world.game.slopes.sweep = true;
+	body.isCircle = true;
+	body.radius = 8;
+	body.velocity.x = 6000;
+	
+	for (var i = 0; i < 4; i++) {
+		helpers.step(world, body);
+	}
+	
+	assert.strictEqual(body.x, 112);
+	assert.strictEqual(body.velocity.x, 0);
+});
+
+// Walk a body right along the ground for a number of frames
+function walk(world, body, frames) {
+	body.gravity.y = 600;
+	
+	for (var i = 0; i < frames; i++) {
+		body.velocity.x = 100;
+		helpers.step(world, body);
+	}
+}
+
+test('grounded bodies step up from half tiles onto full tiles', function () {
+	var world = helpers.world([
+		['',            '',            '',     ''    ],
+		['',            '',            '',     ''    ],
+		['HALF_BOTTOM', 'HALF_BOTTOM', 'FULL', 'FULL']
+	]);
+	var body = helpers.body(world, 8, 64, 16, 16);
+	
+	body.slopes.stepHeight = 16;
+	walk(world, body, 60);
+	
+	assert.ok(body.x > 64);
+	assert.strictEqual(body.y, 48);
+	assert.strictEqual(body.slopes.onGround, true);
+});
+
+test('grounded bodies climb stairs of half tiles', function () {
+	var world = helpers.world([
+		['',     '',            '',     '',            '',     '',     ''    ],
+		['',     '',            '',     'HALF_BOTTOM', 'FULL', 'FULL', 'FULL'],
+		['',     'HALF_BOTTOM', 'FULL', 'FULL',        'FULL', 'FULL', 'FULL'],
+		['FULL', 'FULL',        'FULL', 'FULL',        'FULL', 'FULL', 'FULL']
+	]);
+	var body = helpers.body(world, 0, 80, 16, 16);
+	
+	body.slopes.stepHeight = 16;
+	walk(world, body, 120);
+	
+	assert.ok(body.x > 128);
+	assert.strictEqual(body.y, 16);
+});
+
+test('grounded bodies don\'t step up onto ledges too steep to stand on', function () {
+	var world = helpers.world([
+		['',     '',     'QUARTER_BOTTOM_RIGHT_HIGH'],
+		['FULL', 'FULL', 'FULL'                     ]
+	]);
+	var body = helpers.body(world, 8, 16, 16, 16);
+	
+	body.slopes.stepHeight = 20;
+	body.slopes.maxGroundAngle = 20;
+	walk(world, body, 60);
+	
+	assert.strictEqual(body.x, 48);
+	assert.strictEqual(body.y, 16);
+});
+
+test('sprites ease towards the ground angle once a frame, however many layers they collide with', function () {
+	var world = helpers.world([
+		['',     '',                 ''    ],
+		['',     'HALF_BOTTOM_LEFT', ''    ],
+		['FULL', 'FULL',             'FULL']
+	]);
+	var body = helpers.body(world, 44, 30, 8, 8);
+	
+	body.gravity.y = 600;
+	body.slopes.rotate = true;
+	body.slopes.rotateSmoothing = 0.5;
+	
+	for (var i = 0; i < 60 && !body.slopes.onGround; i++) {
+		helpers.step(world, body, 2);
+	}
+	
+	assert.ok(Math.abs(body.sprite.rotation - Math.PI / 8) < 1e-9, 'rotated to ' + body.sprite.rotation);
+});
+
+test('sprites rotate to the ground angle measured from their body\'s gravity', function () {
+	var world = helpers.world([
+		['FULL', 'HALF_TOP_LEFT', 'FULL'],
+		['',     '',              ''    ],
+		['',     '',              ''    ]
+	]);
+	var body = helpers.body(world, 44, 34, 8, 8);
+	
+	body.gravity.y = -600;
+	body.slopes.rotate = true;
+	
+	for (var i = 0; i < 30; i++) {
+		helpers.step(world, body);
+	}
+	
+	assert.strictEqual(body.slopes.onGround, true);
+	assert.ok(Math.abs(body.sprite.rotation + Math.PI / 4) < 1e-9, 'rotated to ' + body.sprite.rotation);
+});
+
+test('surface gravity turns once the frame\'s collisions are done', function () {
+	var world = helpers.world([
+		['',     '',                 ''    ],
+		['',     'HALF_BOTTOM_LEFT', ''    ],
+		['FULL', 'FULL',             'FULL']
+	]);
+	var body = helpers.body(world, 44, 30, 8, 8);
+	
+	body.gravity.y = 600;
+	
+	for (var i = 0; i < 60 && !body.slopes.onGround; i++) {
+		helpers.step(world, body);
+	}
+	
+	body.slopes.surfaceGravity = true;
+	body.slopes.detachSpeed = 10;
+	
+	// Look at the body after its collisions, before the frame finishes
+	var postUpdate = world.plugin.postUpdate;
+	var attached, gravity;
+	
+	world.plugin.postUpdate = function () {
+		attached = body.slopes.attached;
+		gravity = body.gravity.y;
+		postUpdate.call(this);
+	};
+	
+	helpers.step(world, body, 2);
+	
+	assert.strictEqual(attached, false);
+	assert.strictEqual(gravity, 600);
+	assert.strictEqual(body.slopes.attached, true);
+	assert.ok(Math.abs(body.gravity.x + 600 * Math.SQRT1_2) < 1e-9);
+	assert.ok(Math.abs(body.gravity.y - 600 * Math.SQRT1_2) < 1e-9);
+});
+
+/**
+ * Create a world with a floor of the given material and a body resting on it.
+ *
+ * @param  {string} material - The material of the floor.
+ * @return {object}          - The world and the body.
+ */
+function floor(material) {
+	var world = helpers.world([
+		['',     '',     '',     '',     '',     '',     '',     ''    ],
+		['FULL', 'FULL', 'FULL', 'FULL', 'FULL', 'FULL', 'FULL', 'FULL']
+	]);
+	
+	world.game.slopes.mapMaterials(world.layer, { 1: material });
+	
+	var body = helpers.body(world, 8, 16, 16, 16);
+	
+	body.gravity.y = 600;
+	
+	return { world: world, body: body };
+}
+
+test('bodies slide further on ice than on mud', function () {
+	var ice = floor('ice');
+	var mud = floor('mud');
+	
+	ice.body.velocity.x = 200;
+	mud.body.velocity.x = 200;
+	
+	for (var i = 0; i < 30; i++) {
+		helpers.step(ice.world, ice.body);
+		helpers.step(mud.world, mud.body);
+	}
+	
+	assert.ok(ice.body.x > 90, 'slid to ' + ice.body.x);
+	assert.ok(mud.body.x < 20, 'slid to ' + mud.body.x);
+	assert.ok(mud.body.velocity.x < 0.01);
+});
+
+test('bodies bounce off rubber with its restitution', function () {
+	var world = helpers.world([
+		['',     '',     ''    ],
+		['',     '',     ''    ],
+		['FULL', 'FULL', 'FULL']
+	]);
+	var body = helpers.body(world, 40, 0, 16, 16);
+	var speed = 0;
+	
+	world.game.slopes.mapMaterials(world.layer, { 1: 'rubber' });
+	body.gravity.y = 600;
+	
+	for (var i = 0; i < 60 && body.velocity.y >= 0; i++) {
+		speed = body.velocity.y + 10;
+		helpers.step(world, body);
+	}
+	
+	assert.ok(speed > 0);
+	assert.ok(Math.abs(body.velocity.y + speed * 0.8) < 1e-9, 'bounced at ' + body.velocity.y);
+});
+
+test('conveyors carry bodies resting on them along', function () {
+	var conveyor = floor('conveyor');
+	
+	for (var i = 0; i < 60; i++) {
+		helpers.step(conveyor.world, conveyor.body);
+	}
+	
+	assert.ok(conveyor.body.x > 90, 'carried to ' + conveyor.body.x);
+	assert.ok(Math.abs(conveyor.body.velocity.x - 100) < 0.01);
+	assert.strictEqual(conveyor.body.y, 16);
+});
+
+test('bodies landing on the seam between full tiles aren\'t pushed through its internal edge', function () {
+	var world = helpers.world([
+		['',     '',     '',     ''    ],
+		['FULL', 'FULL', 'FULL', 'FULL']
+	]);
+	var body = helpers.body(world, 29, 12, 4, 4);
+	
+	world.game.slopes.heuristics = false;
+	world.game.slopes.ignoreInternalEdges = true;
+	body.velocity.x = 60;
+	body.velocity.y = 900;
+	
+	for (var i = 0; i < 3; i++) {
+		helpers.step(world, body);
+	}
+	
+	assert.strictEqual(body.x, 32);
+	assert.strictEqual(body.y, 28);
+	assert.strictEqual(body.velocity.y, 0);
+});
+
+test('bodies know the angle, normal and tile of the ground they\'re on, but not ceilings', function () {
+	var world = helpers.world([
+		['FULL', 'FULL',             'FULL'],
+		['',     '',                 ''    ],
+		['',     'HALF_BOTTOM_LEFT', ''    ],
+		['FULL', 'FULL',             'FULL']
+	]);
+	var body = helpers.body(world, 44, 66, 8, 8);
+	var i;
+	
+	body.gravity.y = 600;
+	
+	for (i = 0; i < 20; i++) {
+		helpers.step(world, body);
+	}
+	
+	assert.strictEqual(body.slopes.onGround, true);
+	assert.strictEqual(body.slopes.groundAngle, 45);
+	assert.ok(Math.abs(body.slopes.groundNormal.x - Math.SQRT1_2) < 1e-9);
+	assert.ok(Math.abs(body.slopes.groundNormal.y + Math.SQRT1_2) < 1e-9);
+	assert.strictEqual(body.slopes.groundTile, world.layer.layer.data[2][1]);
+	
+	// Jump into the ceiling
+	body.velocity.x = 0;
+	body.velocity.y = -600;
+	
+	for (i = 0; i < 6; i++) {
+		helpers.step(world, body);
+	}
+	
+	assert.strictEqual(body.y, 32);
+	assert.strictEqual(body.touching.up, true);
+	assert.strictEqual(body.slopes.onGround, false);
+	assert.strictEqual(body.slopes.groundTile, null);
+});
+
+test('bodies following their sprite\'s rotation rest on their corners', function () {
+	var rest = function (followRotation) {
+		var world = helpers.world([
+			['',     '',     ''    ],
+			['',     '',     ''    ],
+			['FULL', 'FULL', 'FULL']
+		]);
+		var body = helpers.body(world, 40, 0, 16, 16);
+		
+		body.slopes.followRotation = followRotation;
+		body.sprite.rotation = Math.PI / 4;
+		body.gravity.y = 600;
+		
+		for (var i = 0; i < 60; i++) {
+			helpers.step(world, body);
+		}
+		
+		assert.strictEqual(body.slopes.onGround, true);
+		
+		return body.y;
+	};
+	
+	assert.strictEqual(rest(false), 48);
+	assert.ok(Math.abs(rest(true) - (56 - 8 * Math.SQRT2)) < 1e-9);
+});
+
+test('rotated bodies collide with tiles beyond their upright bounds', function () {
+	var world = helpers.world([
+		['', '', '', ''    ],
+		['', '', '', 'FULL'],
+		['', '', '', 'FULL']
+	]);
+	var body = helpers.body(world, 70, 20, 8, 64);
+	
+	// Lying on its side, it reaches 10 pixels into the wall
+	body.slopes.followRotation = true;
+	body.sprite.rotation = Math.PI / 2;
+	
+	helpers.step(world, body);
+	
+	assert.strictEqual(body.x, 60);
+	assert.strictEqual(body.y, 20);
+	assert.strictEqual(body.touching.right, true);
+});
+
+test('bodies collect each tile polygon they touch once a frame', function () {
+	var world = helpers.world([
+		['',     '',     ''    ],
+		['',     '',     'FULL'],
+		['FULL', 'FULL', 'FULL']
+	]);
+	var body = helpers.body(world, 40, 40, 16, 16);
+	var wall = world.layer.layer.data[1][2];
+	var ground = world.layer.layer.data[2][1];
+	
+	body.gravity.y = 600;
+	
+	// Push into the corner, colliding twice a frame
+	for (var i = 0; i < 30; i++) {
+		body.velocity.x = 100;
+		helpers.step(world, body, 2);
+	}
+	
+	var contacts = body.slopes.contacts.filter(function (contact) {
+		return contact.separated;
+	});
+	
+	assert.strictEqual(contacts.length, 2);
+	assert.strictEqual(contacts[0].tile, wall);
+	assert.deepStrictEqual([contacts[0].normal.x, contacts[0].normal.y], [-1, 0]);
+	assert.strictEqual(contacts[1].tile, ground);
+	assert.deepStrictEqual([contacts[1].normal.x, contacts[1].normal.y], [0, -1]);
+	
+	contacts.forEach(function (contact) {
+		assert.ok(contact.depth > 0);
+		assert.strictEqual(contact.polygon, contact.tile.slope.polygon);
+	});
+	
+	// Contacts reset with each frame
+	body.position.set(8, 0);
+	helpers.step(world, body);
+	
+	assert.strictEqual(body.slopes.contacts.length, 0);
+});
+
+// Run a body right along a plateau and down a slope, or off a cliff
+function run(rows, stickDistance, frames, jumpAt) {
+	var world = helpers.world(rows);
+	var body = helpers.body(world, 8, 24, 8, 8);
+	var grounded = [];
+	
+	body.gravity.y = 600;
+	body.slopes.stickDistance = stickDistance;
+	
+	for (var i = 0; i < frames; i++) {
+		body.velocity.x = 200;
+		
+		if (i === jumpAt) {
+			body.velocity.y = -200;
+		}
+		
+		helpers.step(world, body);
+		grounded.push(body.slopes.onGround);
+	}
+	
+	return grounded;
+}
+
+var downhill = [
+	['',     '',     '',                 '',                 ''    ],
+	['FULL', 'FULL', 'HALF_BOTTOM_LEFT', '',                 ''    ],
+	['FULL', 'FULL', 'FULL',             'HALF_BOTTOM_LEFT', ''    ],
+	['FULL', 'FULL', 'FULL',             'FULL',             'FULL']
+];
+
+test('bodies with a stick distance stay on the ground running down slopes', function () {
+	assert.ok(run(downhill, 0, 36).indexOf(false) >= 0);
+	assert.strictEqual(run(downhill, 12, 36).indexOf(false), -1);
+});
+
+test('bodies that jump don\'t stick to the ground', function () {
+	var grounded = run(downhill, 12, 36, 20);
+	
+	assert.strictEqual(grounded.indexOf(false), 20);
+	assert.strictEqual(grounded.indexOf(true, 20), -1);
+});
+
+test('bodies don\'t stick to ground further away than their stick distance', function () {
+	var cliff = [
+		['',     '',     '',     ''    ],
+		['FULL', 'FULL', '',     ''    ],
+		['FULL', 'FULL', '',     ''    ],
+		['FULL', 'FULL', 'FULL', 'FULL']
+	];
+	
+	assert.strictEqual(run(cliff, 12, 20).indexOf(false), 16);
+});
+
+// A slope up onto a plateau
+var uphill = [
+	['',     '',     '',                  '',     ''    ],
+	['',     '',     'HALF_BOTTOM_RIGHT', 'FULL', 'FULL'],
+	['FULL', 'FULL', 'FULL',              'FULL', 'FULL']
+];
+
+test('constant speed bodies walk up slopes at their ground speed and onto the top', function () {
+	var world = helpers.world(uphill);
+	var body = helpers.body(world, 8, 56, 8, 8);
+	var y;
+	
+	body.gravity.y = 600;
+	body.slopes.constantSpeed = true;
+	body.slopes.stickDistance = 12;
+	body.velocity.x = 100;
+	
+	for (var i = 0; i < 60; i++) {
+		y = body.y;
+		helpers.step(world, body);
+		
+		assert.strictEqual(body.slopes.onGround, true);
+		assert.ok(Math.abs(Math.sqrt(body.velocity.x * body.velocity.x + body.velocity.y * body.velocity.y) - 100) < 1e-9);
+		assert.ok(body.y <= y, 'dipped to ' + body.y + ' from ' + y);
+	}
+	
+	assert.strictEqual(body.y, 24);
+	assert.strictEqual(body.slopes.groundSpeed, 100);
+});
+
+test('bodies without constant speed slow down walking up slopes', function () {
+	var world = helpers.world(uphill);
+	var body = helpers.body(world, 50, 56, 8, 8);
+	var slowest = 100;
+	
+	body.gravity.y = 600;
+	body.velocity.x = 100;
+	
+	for (var i = 0; i < 20; i++) {
+		helpers.step(world, body);
+		slowest = Math.min(slowest, body.velocity.x);
+	}
+	
+	assert.ok(slowest < 0);
+});
+
+test('changing the horizontal velocity of constant speed bodies changes their ground speed', function () {
+	var world = helpers.world(uphill);
+	var body = helpers.body(world, 8, 56, 8, 8);
+	
+	body.gravity.y = 600;
+	body.slopes.constantSpeed = true;
+	body.velocity.x = 100;
+	
+	helpers.step(world, body);
+	body.velocity.x = -50;
+	helpers.step(world, body);
+	
+	assert.strictEqual(body.slopes.groundSpeed, -50);
+	assert.strictEqual(body.velocity.x, -50);
+});
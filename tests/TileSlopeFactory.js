@@ -0,0 +1,304 @@
+/**
+ * @author Chris Andrew <chris@hexus.io>
+ * @copyright 2016-2017 Chris Andrew
+ * @license MIT
+ */
+
+var helpers = require('./helpers');
+var assert  = helpers.assert;
+var test    = helpers.test;
+
+// Water on top of the ground
+function water() {
+	return helpers.world([
+		['',     '',     ''    ],
+		['',     '',     ''    ],
+		['',     '',     ''    ],
+		['FULL', 'FULL', 'FULL'],
+		['FULL', 'FULL', 'FULL']
+	], {
+		'1,3': { sensor: true }
+	});
+}
+
+test('sensor tiles keep the faces of the tiles they touch', function () {
+	var ground = water().layer.layer.data[4][1];
+	
+	assert.strictEqual(ground.collideUp, true);
+	assert.strictEqual(ground.slope.edges.top, Phaser.Plugin.ArcadeSlopes.TileSlope.SOLID);
+});
+
+test('bodies fall through sensor tiles onto the ground below them', function () {
+	var world = water();
+	var body = helpers.body(world, 40, 20, 16, 16);
+	
+	body.gravity.y = 600;
+	
+	for (var i = 0; i < 60; i++) {
+		helpers.step(world, body);
+	}
+	
+	assert.strictEqual(body.y, 112);
+	assert.strictEqual(body.slopes.onGround, true);
+});
+
+// A one-way platform on top of the ground
+function platform() {
+	return helpers.world([
+		['',     '',     ''    ],
+		['',     '',     ''    ],
+		['',     '',     ''    ],
+		['FULL', 'FULL', 'FULL'],
+		['FULL', 'FULL', 'FULL']
+	], {
+		'1,3': { oneWay: true }
+	});
+}
+
+test('one-way tiles keep the faces of the solid tiles they touch', function () {
+	var ground = platform().layer.layer.data[4][1];
+	
+	assert.strictEqual(ground.collideUp, true);
+	assert.strictEqual(ground.slope.edges.top, Phaser.Plugin.ArcadeSlopes.TileSlope.SOLID);
+});
+
+test('bodies dropping through one-way tiles land on the ground below them', function () {
+	var world = platform();
+	var body = helpers.body(world, 40, 20, 16, 16);
+	var i;
+	
+	body.gravity.y = 600;
+	
+	for (i = 0; i < 60; i++) {
+		helpers.step(world, body);
+	}
+	
+	assert.strictEqual(body.y, 80);
+	
+	body.slopes.dropThrough = true;
+	
+	for (i = 0; i < 60; i++) {
+		helpers.step(world, body);
+	}
+	
+	assert.strictEqual(body.y, 112);
+	assert.strictEqual(body.slopes.onGround, true);
+});
+
+// An L shaped collision polygon from a Tiled tileset
+var lShape = {
+	x: 0,
+	y: 0,
+	polygon: [
+		{ x: 0,  y: 0  },
+		{ x: 16, y: 0  },
+		{ x: 16, y: 16 },
+		{ x: 32, y: 16 },
+		{ x: 32, y: 32 },
+		{ x: 0,  y: 32 }
+	]
+};
+
+// Ground converted from Tiled collision shapes instead of tile types
+function shaped() {
+	var world = helpers.world([
+		['',     '',     ''    ],
+		['FULL', 'FULL', 'FULL']
+	]);
+	
+	world.layer.layer.data[1].forEach(function (tile) {
+		delete tile.properties.type;
+	});
+	
+	world.layer.map.key = 'map';
+	world.layer.game = {
+		cache: {
+			getTilemapData: function () {
+				return {
+					data: {
+						tilesets: [{
+							firstgid: 1,
+							tiles: {
+								0: { objectgroup: { objects: [lShape] } }
+							}
+						}]
+					}
+				};
+			}
+		}
+	};
+	
+	world.game.slopes.convertTilemapLayer(world.layer, {});
+	
+	return world;
+}
+
+test('rectangle collision objects become polygons and unsupported objects are ignored', function () {
+	var parse = Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.parseCollisionObject;
+	var points = parse({ x: 0, y: 16, width: 32, height: 16 }).map(function (point) {
+		return [point.x, point.y];
+	});
+	
+	assert.deepStrictEqual(points, [[0, 16], [32, 16], [32, 32], [0, 32]]);
+	assert.strictEqual(parse({ x: 0, y: 0, width: 32, height: 32, ellipse: true }), null);
+});
+
+test('concave collision shapes are decomposed with their internal edges flagged', function () {
+	var TileSlope = Phaser.Plugin.ArcadeSlopes.TileSlope;
+	var slope = shaped().layer.layer.data[1][1].slope;
+	var internal = 0;
+	
+	slope.polygons.forEach(function (polygon) {
+		polygon.points.forEach(function (point) {
+			if (point.internal) {
+				internal++;
+			}
+		});
+	});
+	
+	assert.strictEqual(slope.type, TileSlope.CUSTOM);
+	assert.strictEqual(slope.polygons.length, 2);
+	assert.ok(internal > 0);
+	assert.strictEqual(slope.edges.top, TileSlope.INTERESTING);
+	assert.strictEqual(slope.edges.bottom, TileSlope.SOLID);
+	assert.strictEqual(slope.edges.left, TileSlope.SOLID);
+	assert.strictEqual(slope.edges.right, TileSlope.INTERESTING);
+});
+
+test('bodies land on each part of a custom collision shape', function () {
+	var world = shaped();
+	var high = helpers.body(world, 36, 0, 8, 8);
+	var low = helpers.body(world, 52, 0, 8, 8);
+	
+	high.gravity.y = 600;
+	low.gravity.y = 600;
+	
+	for (var i = 0; i < 60; i++) {
+		helpers.step(world, high);
+		helpers.step(world, low);
+	}
+	
+	assert.strictEqual(high.y, 24);
+	assert.strictEqual(low.y, 40);
+	assert.strictEqual(low.slopes.onGround, true);
+});
+
+// The pieces of each gentle slope family, from left to right
+function family(size, pieces, side) {
+	return pieces.map(function (piece) {
+		return size + '_' + side + '_' + piece;
+	});
+}
+
+test('gentle slope pieces meet at their seams and span the height of a tile', function () {
+	var thirds = ['HIGH', 'MID', 'LOW'];
+	var fourths = ['HIGH', 'HIGH_MID', 'LOW_MID', 'LOW'];
+	var families = [];
+	
+	['BOTTOM_LEFT', 'TOP_LEFT'].forEach(function (side) {
+		families.push(family('THIRD', thirds, side));
+		families.push(family('FOURTH', fourths, side));
+	});
+	
+	['BOTTOM_RIGHT', 'TOP_RIGHT'].forEach(function (side) {
+		families.push(family('THIRD', thirds.slice().reverse(), side));
+		families.push(family('FOURTH', fourths.slice().reverse(), side));
+	});
+	
+	families.forEach(function (types) {
+		var lines = helpers.world([types]).layer.layer.data[0].map(function (tile) {
+			return tile.slope.line;
+		});
+		
+		for (var i = 1; i < lines.length; i++) {
+			assert.strictEqual(lines[i].start.x, lines[i - 1].end.x, types[i]);
+			assert.strictEqual(lines[i].start.y, lines[i - 1].end.y, types[i]);
+		}
+		
+		assert.strictEqual(Math.abs(lines[lines.length - 1].end.y - lines[0].start.y), 32, types[0]);
+	});
+});
+
+test('curved tiles use the default number of segments unless the tile chooses its own', function () {
+	var world = helpers.world([
+		['CONVEX_BOTTOM_LEFT', 'CONVEX_BOTTOM_LEFT', 'ROUND_HALF_BOTTOM']
+	], {
+		'1,0': { segments: 4 }
+	});
+	var tiles = world.layer.layer.data[0];
+	
+	assert.strictEqual(Phaser.Plugin.ArcadeSlopes.TileSlopeFactory.curveSegments, 8);
+	
+	// An arc has one more point than it has segments, plus the corner
+	assert.strictEqual(tiles[0].slope.polygon.points.length, 10);
+	assert.strictEqual(tiles[1].slope.polygon.points.length, 6);
+	
+	// Rounded halves are half circles, so they use twice as many
+	assert.strictEqual(tiles[2].slope.polygon.points.length, 17);
+});
+
+test('concave tiles are split into convex parts with their internal edges flagged', function () {
+	var TileSlope = Phaser.Plugin.ArcadeSlopes.TileSlope;
+	var slope = helpers.world([['CONCAVE_BOTTOM_LEFT']]).layer.layer.data[0][0].slope;
+	
+	assert.strictEqual(slope.polygons.length, 8);
+	
+	slope.polygons.forEach(function (polygon) {
+		assert.ok(polygon.points.some(function (point) {
+			return point.internal;
+		}));
+	});
+	
+	assert.strictEqual(slope.edges.top, TileSlope.INTERESTING);
+	assert.strictEqual(slope.edges.bottom, TileSlope.SOLID);
+	assert.strictEqual(slope.edges.left, TileSlope.SOLID);
+	assert.strictEqual(slope.edges.right, TileSlope.INTERESTING);
+});
+
+test('bodies rest on the top of rounded half tiles', function () {
+	var world = helpers.world([
+		['',     '',                  ''    ],
+		['',     'ROUND_HALF_BOTTOM', ''    ],
+		['FULL', 'FULL',              'FULL']
+	]);
+	var body = helpers.body(world, 44, 0, 8, 8);
+	
+	body.gravity.y = 600;
+	
+	for (var i = 0; i < 60; i++) {
+		helpers.step(world, body);
+	}
+	
+	assert.strictEqual(body.y, 40);
+	assert.strictEqual(body.slopes.onGround, true);
+	assert.strictEqual(body.slopes.groundAngle, 0);
+});
+
+test('bodies roll over convex tiles onto steeper segments as they go', function () {
+	var world = helpers.world([
+		['',     '',                   '',     ''    ],
+		['FULL', 'CONVEX_BOTTOM_LEFT', '',     ''    ],
+		['FULL', 'FULL',               'FULL', 'FULL']
+	]);
+	var body = helpers.body(world, 34, 20, 8, 8);
+	var angles = [];
+	
+	body.gravity.y = 600;
+	
+	for (var i = 0; i < 60; i++) {
+		helpers.step(world, body);
+		
+		if (body.slopes.onGround && body.slopes.groundAngle && angles.indexOf(body.slopes.groundAngle) < 0) {
+			angles.push(body.slopes.groundAngle);
+		}
+	}
+	
+	assert.ok(angles.length >= 3, 'angles ' + angles);
+	
+	for (i = 1; i < angles.length; i++) {
+		assert.ok(angles[i] > angles[i - 1], 'angles ' + angles);
+	}
+	
+	assert.strictEqual(body.y, 56);
+	assert.ok(body.velocity.x > 0);
+});
@@ -0,0 +1,332 @@
+/**
+ * @author Chris Andrew <chris@hexus.io>
+ * @copyright 2016-2017 Chris Andrew
+ * @license MIT
+ */
+
+/**
+ * Loads the plugin into Node with just enough of Phaser stubbed out to collide
+ * physics bodies with tilemap layers, and provides a tiny test runner.
+ *
+ * SAT.js comes from Bower, so run `bower install` before the tests.
+ */
+var assert = require('assert');
+var fs     = require('fs');
+var path   = require('path');
+var vm     = require('vm');
+
+var root = path.join(__dirname, '..');
+
+function Point(x, y) {
+	this.x = x || 0;
+	this.y = y || 0;
+}
+
+Point.prototype.set = function (x, y) {
+	this.x = x;
+	this.y = y === undefined ? x : y;
+	
+	return this;
+};
+
+Point.prototype.setTo = Point.prototype.set;
+
+Point.prototype.copyFrom = function (source) {
+	return this.set(source.x, source.y);
+};
+
+function Line(x1, y1, x2, y2) {
+	this.start = new Point(x1, y1);
+	this.end = new Point(x2, y2);
+}
+
+function Signal() {
+	this.listeners = [];
+}
+
+Signal.prototype.add = function (listener, context) {
+	this.listeners.push([listener, context]);
+};
+
+Signal.prototype.dispatch = function () {
+	var args = arguments;
+	
+	this.listeners.forEach(function (listener) {
+		listener[0].apply(listener[1], args);
+	});
+};
+
+Signal.prototype.dispose = function () {
+	this.listeners = [];
+};
+
+global.Phaser = {
+	TILEMAPLAYER: 9,
+	Point: Point,
+	Line: Line,
+	Signal: Signal,
+	Plugin: function (game, parent) {
+		this.game = game;
+		this.parent = parent;
+	},
+	Utils: {
+		mixin: function (from, to) {
+			for (var key in from) {
+				to[key] = from[key];
+			}
+			
+			return to;
+		}
+	},
+	Math: {
+		clamp: function (value, min, max) {
+			return Math.min(Math.max(value, min), max);
+		},
+		radToDeg: function (radians) {
+			return radians * 180 / Math.PI;
+		},
+		degToRad: function (degrees) {
+			return degrees * Math.PI / 180;
+		},
+		wrapAngle: function (angle, radians) {
+			var half = radians ? Math.PI : 180;
+			
+			return ((angle + half) % (half * 2) + half * 2) % (half * 2) - half;
+		}
+	},
+	Physics: {
+		Arcade: function () {}
+	},
+	Group: function () {},
+	Tilemap: function () {},
+	TilemapLayer: function () {}
+};
+
+Phaser.Plugin.prototype.destroy = function () {};
+
+// Load SAT.js and the plugin in the same order as the build
+vm.runInThisContext(fs.readFileSync(path.join(root, 'vendor/sat-js/SAT.js'), 'utf8'));
+
+['src/ArcadeSlopes.js'].concat(
+	fs.readdirSync(path.join(root, 'src/ArcadeSlopes')).sort().map(function (file) {
+		return 'src/ArcadeSlopes/' + file;
+	})
+).forEach(function (file) {
+	vm.runInThisContext(fs.readFileSync(path.join(root, file), 'utf8'), { filename: file });
+});
+
+/**
+ * Create a world with a converted tilemap layer built from rows of tile types,
+ * where an empty string is an empty tile.
+ *
+ * @param  {string[][]} rows       - The tile types of each row.
+ * @param  {object}     properties - Extra tile properties, keyed by 'x,y'.
+ * @return {object}                - The game, plugin, arcade physics and layer.
+ */
+function world(rows, properties) {
+	var size = 32;
+	var game = {};
+	var plugin = new Phaser.Plugin.ArcadeSlopes(game, null);
+	var layer = { index: 0, name: 'test', properties: {}, callbacks: [], data: [] };
+	
+	layer.width = rows[0].length;
+	layer.height = rows.length;
+	
+	rows.forEach(function (row, y) {
+		layer.data.push(row.map(function (type, x) {
+			var collides = !!type;
+			var tileProperties = Phaser.Utils.mixin((properties || {})[x + ',' + y] || {}, { type: type });
+			
+			return {
+				x: x, y: y, index: collides ? 1 : -1, layer: layer,
+				worldX: x * size, worldY: y * size, width: size, height: size,
+				left: x * size, right: (x + 1) * size, top: y * size, bottom: (y + 1) * size,
+				centerX: size / 2, centerY: size / 2,
+				collides: collides, faceTop: collides, faceBottom: collides, faceLeft: collides, faceRight: collides,
+				collideUp: collides, collideDown: collides, collideLeft: collides, collideRight: collides,
+				properties: collides ? tileProperties : {}
+			};
+		}));
+	});
+	
+	function tileAt(x, y) {
+		return y >= 0 && y < layer.height && x >= 0 && x < layer.width ? layer.data[y][x] : null;
+	}
+	
+	var map = {
+		layers: [layer],
+		tileWidth: size,
+		tileHeight: size,
+		getTileAbove: function (index, x, y) { return tileAt(x, y - 1); },
+		getTileBelow: function (index, x, y) { return tileAt(x, y + 1); },
+		getTileLeft: function (index, x, y) { return tileAt(x - 1, y); },
+		getTileRight: function (index, x, y) { return tileAt(x + 1, y); }
+	};
+	
+	var tilemapLayer = new Phaser.TilemapLayer();
+	
+	tilemapLayer.index = 0;
+	tilemapLayer.layer = layer;
+	tilemapLayer.map = map;
+	tilemapLayer.debugSettings = {};
+	tilemapLayer.getTiles = function (x, y, width, height) {
+		var tiles = [];
+		
+		for (var ty = Math.floor(y / size); ty <= Math.floor((y + height) / size); ty++) {
+			for (var tx = Math.floor(x / size); tx <= Math.floor((x + width) / size); tx++) {
+				if (tileAt(tx, ty) && tileAt(tx, ty).collides) {
+					tiles.push(tileAt(tx, ty));
+				}
+			}
+		}
+		
+		return tiles;
+	};
+	
+	plugin.init();
+	
+	map.getTileTopLeft = Phaser.Tilemap.prototype.getTileTopLeft;
+	map.getTileTopRight = Phaser.Tilemap.prototype.getTileTopRight;
+	map.getTileBottomLeft = Phaser.Tilemap.prototype.getTileBottomLeft;
+	map.getTileBottomRight = Phaser.Tilemap.prototype.getTileBottomRight;
+	tilemapLayer.fixedToCamera = false;
+	tilemapLayer.position = new Point();
+	
+	game.slopes.convertTilemapLayer(tilemapLayer, {});
+	
+	var arcade = new Phaser.Physics.Arcade();
+	
+	arcade.game = game;
+	arcade._total = 0;
+	arcade.separateTile = function () {
+		return false;
+	};
+	
+	game.physics = { arcade: { gravity: new Point() } };
+	game.time = { physicsElapsed: 1 / 60 };
+	
+	return { game: game, plugin: plugin, arcade: arcade, layer: tilemapLayer };
+}
+
+/**
+ * Create a physics body with slopes enabled.
+ *
+ * @param  {object} world  - The world from world().
+ * @param  {number} x      - The X position of the body.
+ * @param  {number} y      - The Y position of the body.
+ * @param  {number} width  - The width of the body.
+ * @param  {number} height - The height of the body.
+ * @return {object}        - The physics body.
+ */
+function body(world, x, y, width, height) {
+	var body = {
+		game: world.game,
+		enable: true,
+		isCircle: false,
+		allowGravity: true,
+		position: new Point(x, y),
+		prev: new Point(x, y),
+		velocity: new Point(),
+		gravity: new Point(),
+		bounce: new Point(),
+		offset: new Point(),
+		tilePadding: new Point(),
+		width: width,
+		height: height,
+		halfWidth: width / 2,
+		halfHeight: height / 2,
+		touching: {},
+		blocked: {},
+		wasTouching: {},
+		sprite: { scale: { x: 1, y: 1 }, anchor: { x: 0, y: 0 }, rotation: 0 }
+	};
+	
+	['x', 'y'].forEach(function (axis) {
+		Object.defineProperty(body, axis, {
+			get: function () { return this.position[axis]; },
+			set: function (value) { this.position[axis] = value; }
+		});
+	});
+	
+	Object.defineProperty(body, 'left', { get: function () { return this.position.x; } });
+	Object.defineProperty(body, 'right', { get: function () { return this.position.x + this.width; } });
+	Object.defineProperty(body, 'top', { get: function () { return this.position.y; } });
+	Object.defineProperty(body, 'bottom', { get: function () { return this.position.y + this.height; } });
+	
+	// Like Phaser's, offsets move the body along with them
+	body.setSize = function (width, height, offsetX, offsetY) {
+		this.position.x += (offsetX || 0) - this.offset.x;
+		this.position.y += (offsetY || 0) - this.offset.y;
+		this.offset.set(offsetX || 0, offsetY || 0);
+		this.width = width;
+		this.height = height;
+		this.halfWidth = width / 2;
+		this.halfHeight = height / 2;
+	};
+	
+	body.sprite.body = body;
+	world.game.slopes.enable(body.sprite);
+	
+	return body;
+}
+
+/**
+ * Step a body through a frame of arcade physics and collide it with the
+ * world's layer.
+ *
+ * Colliding more than once a frame stands in for colliding with more layers.
+ *
+ * @param {object}  world        - The world from world().
+ * @param {object}  body         - The physics body.
+ * @param {integer} [collisions] - The number of times to collide, once by default.
+ */
+function step(world, body, collisions) {
+	var elapsed = world.game.time.physicsElapsed;
+	var gravity = world.game.physics.arcade.gravity;
+	
+	world.plugin.preUpdate();
+	
+	body.prev.set(body.position.x, body.position.y);
+	body.velocity.x += (body.gravity.x + gravity.x) * elapsed;
+	body.velocity.y += (body.gravity.y + gravity.y) * elapsed;
+	body.position.x += body.velocity.x * elapsed;
+	body.position.y += body.velocity.y * elapsed;
+	body.touching = { none: true };
+	body.blocked = {};
+	
+	for (var i = 0; i < (collisions || 1); i++) {
+		world.arcade.collideSpriteVsTilemapLayer(body.sprite, world.layer);
+	}
+	
+	world.plugin.postUpdate();
+}
+
+var failures = 0;
+
+/**
+ * Run a test, reporting whether it passed.
+ *
+ * @param {string}   name - The name of the test.
+ * @param {function} test - The test.
+ */
+function test(name, test) {
+	try {
+		test();
+		console.log('  ok   ' + name);
+	} catch (error) {
+		failures++;
+		console.log('  FAIL ' + name);
+		console.log('       ' + error.message);
+	}
+}
+
+module.exports = {
+	assert: assert,
+	world: world,
+	body: body,
+	step: step,
+	test: test,
+	failures: function () {
+		return failures;
+	}
+};
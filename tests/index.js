@@ -0,0 +1,25 @@
+/**
+ * @author Chris Andrew <chris@hexus.io>
+ * @copyright 2016-2017 Chris Andrew
+ * @license MIT
+ */
+
+/**
+ * Runs every test in this directory.
+ */
+var fs      = require('fs');
+var helpers = require('./helpers');
+
+fs.readdirSync(__dirname).sort().forEach(function (file) {
+	if (file === 'index.js' || file === 'helpers.js' || !/\.js$/.test(file)) {
+		return;
+	}
+	
+	console.log(file);
+	require('./' + file);
+});
+
+if (helpers.failures()) {
+	console.log(helpers.failures() + ' failed');
+	process.exit(1);
+}
@@ -16,30 +16,112 @@ declare module Phaser {
 			solvers:Object;
 			facade:Phaser.Plugin.ArcadeSlopes.Facade;
 
+			preUpdate():void;
+			postUpdate():void;
+
 			static VERSION:string;
 			static SAT:string;
 		}
 
 		module ArcadeSlopes {
 
+			class CharacterController {
+				constructor(body:Phaser.Physics.Arcade.Body, options?:Phaser.Plugin.ArcadeSlopes.CharacterControllerOptions);
+
+				body:Phaser.Physics.Arcade.Body;
+				options:Phaser.Plugin.ArcadeSlopes.CharacterControllerOptions;
+				direction:number;
+				grounded:boolean;
+				jumping:boolean;
+				coyoteTimer:number;
+				jumpTimer:number;
+				jumpHeld:boolean;
+
+				move(direction:number):void;
+				jump():void;
+				releaseJump():void;
+				getSolver():Object;
+				getGravityAxis():SAT.Vector;
+				setSpeed(axis:SAT.Vector, speed:number):void;
+				hasBody():boolean;
+				canJump():boolean;
+				update(elapsed?:number):void;
+				updateRun(elapsed:number, gravity?:SAT.Vector):void;
+			}
+
+			interface CharacterControllerOptions {
+				speed?:number;
+				acceleration?:number;
+				deceleration?:number;
+				airControl?:number;
+				jumpSpeed?:number;
+				jumpCutoff?:number;
+				coyoteTime?:number;
+				jumpBuffer?:number;
+			}
+
 			class Facade {
-				constructor(factory:Phaser.Plugin.ArcadeSlopes.TileSlopeFactory, solvers:Object, defaultSolver:number);
+				constructor(factory:Phaser.Plugin.ArcadeSlopes.TileSlopeFactory, solvers:Object, defaultSolver:number, raycaster:Phaser.Plugin.ArcadeSlopes.Raycaster);
 
 				factory:Phaser.Plugin.ArcadeSlopes.TileSlopeFactory;
 				solvers:Object;
 				defaultSover:string;
+				raycaster:Phaser.Plugin.ArcadeSlopes.Raycaster;
 				plugin:Phaser.Plugin.ArcadeSlopes;
 
 				enable(obj:Phaser.Sprite | Phaser.Group):void;
 				enableBody(body:Phaser.Physics.Arcade.Body):void;
+				setPolygon(body:Phaser.Physics.Arcade.Body, points:{x:number, y:number}[]):boolean;
 				convertTilemap(map:Phaser.Tilemap, layer:number | string | Phaser.TilemapLayer, slopeMap:string | Object, index:number):Phaser.Tilemap;
 				convertTilemapLayer(layer:Phaser.TilemapLayer, slopeMap:string | Object, index:number):Phaser.TilemapLayer;
+				convertObjectLayer(map:Phaser.Tilemap, layerName:string, cellSize?:number):Phaser.Plugin.ArcadeSlopes.ObjectLayer;
+				defineMaterial(name:string, material:Object):Phaser.Plugin.ArcadeSlopes.Material;
+				mapMaterials(layer:Phaser.TilemapLayer, materialMap:Object):Phaser.TilemapLayer;
+				registerSolver(name:string, solver:Object):Object;
+				resolveSolver(name:string):Object;
+				getSolverOptions(name?:string):Object;
+				getLayerSolver(tilemapLayer:Phaser.TilemapLayer):Object;
+				getTileSolver(tile:Phaser.Tile):Object;
+				groupTiles(tiles:Phaser.Tile[]):{solver:Object, tiles:Phaser.Tile[]}[];
 				collide(i:number, body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, tilemapLayer:Phaser.TilemapLayer, overlapOnly:boolean):boolean;
+				raycast(layer:Phaser.TilemapLayer | Phaser.Plugin.ArcadeSlopes.ObjectLayer, from:Phaser.Point, to:Phaser.Point):Phaser.Plugin.ArcadeSlopes.RaycastHit;
+
+				static updateBodyShape(body:Phaser.Physics.Arcade.Body):void;
+				static getBodyShapeState(body:Phaser.Physics.Arcade.Body):Object;
+				static shouldUpdateBodyShape(body:Phaser.Physics.Arcade.Body):boolean;
+				static createBodyPolygon(body:Phaser.Physics.Arcade.Body, shape:SAT.Vector[]):SAT.Polygon;
+
+				preferY:boolean;
+				preferX:boolean;
+				gravity:Phaser.Point;
+				heuristics:boolean;
+				sweep:boolean;
+				ignoreInternalEdges:boolean;
+				iterative:boolean;
+				iterations:number;
+			}
+
+			class ObjectLayer {
+				constructor(map:Phaser.Tilemap, name:string, cellSize?:number);
+				map:Phaser.Tilemap;
+				name:string;
+				layer:Object;
+				physicsType:number;
+				exists:boolean;
+				colliders:Object[];
+				cellSize:number;
+				cells:Object;
+
+				add(points:SAT.Vector[], properties?:Object):Object;
+				getTiles(x:number, y:number, width:number, height:number):Object[];
+				getCollisionOffsetX():number;
+				getCollisionOffsetY():number;
 			}
 
 			class Overrides {
 				static collideSpriteVsTile(i:number, sprite:Phaser.Sprite, tile:Phaser.Tile, tilemapLayer:Phaser.TilemapLayer, collideCallback:any, processCallback:any, callbackContext:Object, overlapOnly:boolean):boolean;
 				static collideSpriteVsTiles(sprite:Phaser.Sprite, tiles:Phaser.Tile[], tilemapLayer:Phaser.TilemapLayer, collideCallback:any, processCallback:any, callbackContext:Object, overlapOnly:boolean):boolean;
+				static resolveSpriteVsTiles(sprite:Phaser.Sprite, tiles:Phaser.Tile[], tilemapLayer:Phaser.TilemapLayer, solver:Object, collideCallback:any, processCallback:any, callbackContext:Object):boolean;
 				static collideSpriteVsTilemaplayer(sprite:Phaser.Sprite, tilemapLayer:Phaser.TilemapLayer, collideCallback:any, processCallback:any, callbackContext:Object, overlapOnly:boolean):boolean;
 				static getTileTopLeft(layer:number, x:number, y:number):Phaser.Tile;
 				static getTileTopRight(layer:number, x:number, y:number):Phaser.Tile;
@@ -50,10 +132,31 @@ declare module Phaser {
 				static renderDebug():void;
 			}
 
+			class Raycaster {
+				ray:SAT.Vector;
+				origin:SAT.Vector;
+
+				static intersectSegments(start:SAT.Vector, ray:SAT.Vector, a:SAT.Vector, b:SAT.Vector):number;
+				raycast(layer:Phaser.TilemapLayer | Phaser.Plugin.ArcadeSlopes.ObjectLayer, from:Phaser.Point, to:Phaser.Point):Phaser.Plugin.ArcadeSlopes.RaycastHit;
+				raycastTiles(tiles:Phaser.Tile[], from:Phaser.Point, to:Phaser.Point, offsetX:number, offsetY:number):Phaser.Plugin.ArcadeSlopes.RaycastHit;
+				raycastTile(tile:Phaser.Tile, offsetX:number, offsetY:number):Phaser.Plugin.ArcadeSlopes.RaycastHit;
+			}
+
+			interface RaycastHit {
+				point:Phaser.Point;
+				normal:SAT.Vector;
+				distance:number;
+				tile:Phaser.Tile;
+			}
+
 			class SatRestainer {
 				restraints:Object;
+				separationAxis:SAT.Vector;
+				faces:Object[];
+				faceOrder:number[];
 
 				restrain(solver:Phaser.Plugin.ArcadeSlopes.SatSolver, body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, response:SAT.Response):boolean;
+				fullTileSeparation(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, response:SAT.Response, solver:Phaser.Plugin.ArcadeSlopes.SatSolver):SAT.Vector|boolean;
 				resolveOverlaps(direction:string):Object;
 				prepareRestraints(restraints:Object):Object;
 				setDefaultRestraints():void;
@@ -75,32 +178,124 @@ declare module Phaser {
 
 				options:Phaser.Plugin.ArcadeSlopes.SatSolverOptions;
 				restrainers:Phaser.Plugin.ArcadeSlopes.SatRestainer;
+				sweepResponse:SAT.Response;
+				sweepDisplacement:SAT.Vector;
+				sweepSlide:SAT.Vector;
+				sweepResult:Phaser.Plugin.ArcadeSlopes.SweepResult;
+				sweepEarliest:Phaser.Plugin.ArcadeSlopes.SweepResult;
+				sweepRanges:number[][];
+				oneWayAxis:SAT.Vector;
+				groundAxis:SAT.Vector;
+				sensorResponse:SAT.Response;
+				resolveResponse:SAT.Response;
+				stickResponse:SAT.Response;
+				stepResponse:SAT.Response;
+				stepDisplacement:SAT.Vector;
+				stepResult:Phaser.Plugin.ArcadeSlopes.SweepResult;
+				raycaster:Phaser.Plugin.ArcadeSlopes.Raycaster;
+				callbackResults:Object;
+				frame:number;
+				bodies:Phaser.Physics.Arcade.Body[];
+
+				preUpdate():void;
+				postUpdate():void;
+				track(body:Phaser.Physics.Arcade.Body):void;
 
 				static prepareResponse(response:SAT.Response):SAT.Response;
 				static minimumOffsetX(vector:SAT.Vector):number;
 				static minimumOffsetY(vector:SAT.Vector):number;
 				static movingAgainstY(body:Phaser.Physics.Arcade.Body, response:SAT.Response):boolean;
-				static shouldPreferY(body:Phaser.Physics.Arcade.Body, response:SAT.Response):boolean;
+				static movingAgainstX(body:Phaser.Physics.Arcade.Body, response:SAT.Response):boolean;
+				static minimumOffset(vector:SAT.Vector, axis:SAT.Vector):number;
+				static movingAgainst(body:Phaser.Physics.Arcade.Body, response:SAT.Response, axis:SAT.Vector):boolean;
+				shouldPreferY(body:Phaser.Physics.Arcade.Body, response:SAT.Response):boolean;
+				shouldPreferX(body:Phaser.Physics.Arcade.Body, response:SAT.Response):boolean;
+				shouldPreferAxis(body:Phaser.Physics.Arcade.Body, response:SAT.Response, axis:SAT.Vector):boolean;
+				isWalkable(body:Phaser.Physics.Arcade.Body, normal:SAT.Vector):boolean;
+				isSteep(body:Phaser.Physics.Arcade.Body, normal:SAT.Vector):boolean;
 				static isSeparatingAxis(a:SAT.Polygon, b:SAT.Polygon, axis:SAT.Vector, response:SAT.Response):boolean;
+				static isInternalNormal(polygon:SAT.Polygon, normal:SAT.Vector):boolean;
+				static testPolygonPolygon(a:SAT.Polygon, b:SAT.Polygon, response:SAT.Response):boolean;
+				static projectPolygon(polygon:SAT.Polygon, axis:SAT.Vector, result:number[]):number[];
+				static sweepPolygonPolygon(a:SAT.Polygon, b:SAT.Polygon, displacement:SAT.Vector, result:Phaser.Plugin.ArcadeSlopes.SweepResult):boolean;
+				static sweepCirclePolygon(circle:SAT.Circle, polygon:SAT.Polygon, displacement:SAT.Vector, result:Phaser.Plugin.ArcadeSlopes.SweepResult, response:SAT.Response):boolean;
 				separate(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, response:SAT.Response, force:boolean):boolean;
 				applyVelocity(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, response:SAT.Response):void;
+				shouldKeepSpeed(body:Phaser.Physics.Arcade.Body, normal:SAT.Vector):boolean;
+				applyGroundSpeed(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, response:SAT.Response):void;
+				keepSpeed(body:Phaser.Physics.Arcade.Body, normal:SAT.Vector, friction?:number, surfaceVelocity?:number):void;
+				applyMaterial(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, response:SAT.Response, bounce:SAT.Vector, friction:SAT.Vector):void;
 				updateValues(body:Phaser.Physics.Arcade.Body):void;
+				updateShape(body:Phaser.Physics.Arcade.Body):void;
+				updateAngle(body:Phaser.Physics.Arcade.Body):void;
 				updateFlags(body:Phaser.Physics.Arcade.Body, response:SAT.Response):void;
+				resetGround(body:Phaser.Physics.Arcade.Body):void;
+				resetContacts(body:Phaser.Physics.Arcade.Body):void;
+				addContact(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, polygon:SAT.Polygon, response:SAT.Response):Phaser.Plugin.ArcadeSlopes.Contact;
+				updateGround(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, response:SAT.Response):void;
+				rotate(body:Phaser.Physics.Arcade.Body):boolean;
+				shouldRotate(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile):boolean;
 				snap(body:Phaser.Physics.Arcade.Body, tiles:Phaser.Tile[], tilemapLayer:Phaser.TilemapLayer):boolean;
+				getGravity(body:Phaser.Physics.Arcade.Body):SAT.Vector;
+				getGravityAxis(body:Phaser.Physics.Arcade.Body):SAT.Vector;
+				shouldAttach(body:Phaser.Physics.Arcade.Body):boolean;
+				updateGravity(body:Phaser.Physics.Arcade.Body):void;
+				attach(body:Phaser.Physics.Arcade.Body, normal:SAT.Vector):void;
+				detach(body:Phaser.Physics.Arcade.Body):void;
+				getFeet(body:Phaser.Physics.Arcade.Body, direction:SAT.Vector):SAT.Vector[];
+				shouldStick(body:Phaser.Physics.Arcade.Body):boolean;
+				stick(body:Phaser.Physics.Arcade.Body, tilemapLayer:Phaser.TilemapLayer, filter?:(tile:Phaser.Tile) => boolean):boolean;
+				shouldStepUp(body:Phaser.Physics.Arcade.Body):boolean;
+				stepUp(body:Phaser.Physics.Arcade.Body, tilemapLayer:Phaser.TilemapLayer, filter?:(tile:Phaser.Tile) => boolean):boolean;
 				pull(body:Phaser.Physics.Arcade.Body, response:SAT.Response):boolean;
 				snapCollide(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, tilemapLayer:Phaser.TilemapLayer, current:Phaser.Point):boolean;
 				shouldCollide(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile):boolean;
+				sense(body:Phaser.Physics.Arcade.Body, tiles:Phaser.Tile[], tilemapLayer:Phaser.TilemapLayer):boolean;
+				senseTile(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, tilemapLayer:Phaser.TilemapLayer):boolean;
+				shouldSweep(body:Phaser.Physics.Arcade.Body):boolean;
+				sweepTile(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, polygon:SAT.Polygon, tilemapLayer:Phaser.TilemapLayer, displacement:SAT.Vector, result:Phaser.Plugin.ArcadeSlopes.SweepResult):boolean;
+				sweep(body:Phaser.Physics.Arcade.Body, tiles:Phaser.Tile[], tilemapLayer:Phaser.TilemapLayer):boolean;
+				shouldResolve(body:Phaser.Physics.Arcade.Body):boolean;
+				resolve(body:Phaser.Physics.Arcade.Body, tiles:Phaser.Tile[], tilemapLayer:Phaser.TilemapLayer):Phaser.Tile[];
+				runTileCallbacks(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile):boolean;
+				test(body:Phaser.Physics.Arcade.Body, polygon:SAT.Polygon, response:SAT.Response):boolean;
 				collide(i:number, body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, tilemapLayer:Phaser.TilemapLayer, overlapOnly:boolean):boolean;
-				collideOnAxis(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, axis:SAT.Vector, response:SAT.Response):boolean;
+				collidePolygon(i:number, body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, polygon:SAT.Polygon, overlapOnly:boolean):boolean;
+				collideOnAxis(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, axis:SAT.Vector, response:SAT.Response, polygon?:SAT.Polygon):boolean;
 				restrain(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, response:SAT.Response):boolean;
 				shouldSeparate(i:number, body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile, response:SAT.Response):boolean;
+				getOneWayAxis(tile:Phaser.Tile):SAT.Vector;
+				collidesOneWay(body:Phaser.Physics.Arcade.Body, tile:Phaser.Tile):boolean;
+				collidesOnNormal(tile:Phaser.Tile, normal:SAT.Vector):boolean;
 				debug(position:Phaser.Point, response:SAT.Response):void;
 			}
 
 			interface SatSolverOptions {
 				debug:boolean;
 				preferY:boolean;
+				preferX:boolean;
+				gravity:Phaser.Point;
 				restrain:boolean;
+				ignoreInternalEdges:boolean;
+				oneWayTolerance:number;
+				sweep:boolean;
+				sweepSkin:number;
+				iterative:boolean;
+				iterations:number;
+			}
+
+			interface Material {
+				name:string;
+				friction:number;
+				restitution:number;
+				surfaceVelocity:number;
+			}
+
+			interface SweepResult {
+				time:number;
+				normal:SAT.Vector;
+				overlap:number;
+				internal:boolean;
 			}
 
 			class TileSlope {
@@ -108,11 +303,18 @@ declare module Phaser {
 				type:number;
 				tile:Phaser.Tile;
 				polygon:SAT.Polygon;
+				polygons:SAT.Polygon[];
 				line:Phaser.Tile;
 				edges:Object;
 				axis:SAT.Vector;
 				solver:string;
+				oneWay:boolean;
+				sensor:boolean;
+				onEnter:Phaser.Signal;
+				onStay:Phaser.Signal;
+				onExit:Phaser.Signal;
 				friction:Phaser.Point;
+				material:Phaser.Plugin.ArcadeSlopes.Material;
 				slope:number;
 				typeName:string;
 				typeNames:Object;
@@ -149,22 +351,71 @@ declare module Phaser {
 				static QUARTER_TOP_LEFT_HIGH:number;
 				static QUARTER_TOP_RIGHT_LOW:number;
 				static QUARTER_TOP_RIGHT_HIGH:number;
+				static CUSTOM:number;
+				static THIRD_BOTTOM_LEFT_LOW:number;
+				static THIRD_BOTTOM_LEFT_MID:number;
+				static THIRD_BOTTOM_LEFT_HIGH:number;
+				static THIRD_BOTTOM_RIGHT_LOW:number;
+				static THIRD_BOTTOM_RIGHT_MID:number;
+				static THIRD_BOTTOM_RIGHT_HIGH:number;
+				static THIRD_TOP_LEFT_LOW:number;
+				static THIRD_TOP_LEFT_MID:number;
+				static THIRD_TOP_LEFT_HIGH:number;
+				static THIRD_TOP_RIGHT_LOW:number;
+				static THIRD_TOP_RIGHT_MID:number;
+				static THIRD_TOP_RIGHT_HIGH:number;
+				static FOURTH_BOTTOM_LEFT_LOW:number;
+				static FOURTH_BOTTOM_LEFT_LOW_MID:number;
+				static FOURTH_BOTTOM_LEFT_HIGH_MID:number;
+				static FOURTH_BOTTOM_LEFT_HIGH:number;
+				static FOURTH_BOTTOM_RIGHT_LOW:number;
+				static FOURTH_BOTTOM_RIGHT_LOW_MID:number;
+				static FOURTH_BOTTOM_RIGHT_HIGH_MID:number;
+				static FOURTH_BOTTOM_RIGHT_HIGH:number;
+				static FOURTH_TOP_LEFT_LOW:number;
+				static FOURTH_TOP_LEFT_LOW_MID:number;
+				static FOURTH_TOP_LEFT_HIGH_MID:number;
+				static FOURTH_TOP_LEFT_HIGH:number;
+				static FOURTH_TOP_RIGHT_LOW:number;
+				static FOURTH_TOP_RIGHT_LOW_MID:number;
+				static FOURTH_TOP_RIGHT_HIGH_MID:number;
+				static FOURTH_TOP_RIGHT_HIGH:number;
+				static CONVEX_BOTTOM_LEFT:number;
+				static CONVEX_BOTTOM_RIGHT:number;
+				static CONVEX_TOP_LEFT:number;
+				static CONVEX_TOP_RIGHT:number;
+				static CONCAVE_BOTTOM_LEFT:number;
+				static CONCAVE_BOTTOM_RIGHT:number;
+				static CONCAVE_TOP_LEFT:number;
+				static CONCAVE_TOP_RIGHT:number;
+				static ROUND_HALF_BOTTOM:number;
+				static ROUND_HALF_TOP:number;
+				static ROUND_HALF_LEFT:number;
+				static ROUND_HALF_RIGHT:number;
 			}
 
 			class TileSlopeFactory {
 				definitions:object;
 				mappings:object;
+				materials:object;
 
 				define(type:number, definition:any):void;
+				defineMaterial(name:string, material:Object):Phaser.Plugin.ArcadeSlopes.Material;
+				resolveMaterial(name:string):Phaser.Plugin.ArcadeSlopes.Material;
+				mapMaterials(layer:Phaser.TilemapLayer, materialMap:Object):Phaser.TilemapLayer;
 				create(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
 				convertTilemap(tilemap:Phaser.Tilemap, layer:number | string | Phaser.TilemapLayer, slopeMap:string | Object, index:number):Phaser.Tilemap;
 				convertTilemapLayer(layer:Phaser.TilemapLayer, slopeMap:string | Object, index:number):Phaser.TilemapLayer;
+				convertObjectLayer(map:Phaser.Tilemap, layerName:string, cellSize?:number):Phaser.Plugin.ArcadeSlopes.ObjectLayer;
+				getCollisionShapes(layer:Phaser.TilemapLayer):Object;
 				calculateEdges(layer:Phaser.TilemapLayer):void;
+				shouldCompareEdges(tile:Phaser.Tile, neighbour:Phaser.Tile):boolean;
 				compareEdges(firstEdge:number, secondEdge:number):number;
 				flagInternalVerticies(firstTile:Phaser.Tile, secondTile:Phaser.Tile):void;
 				addDebugSettings(layer:Phaser.TilemapLayer):void;
 				resolveMappingType(type:string):number;
 				
+				static flagInternalEdges(firstPolygon:SAT.Polygon, firstPosition:SAT.Vector, secondPolygon:SAT.Polygon, secondPosition:SAT.Vector):void;
 				static createFull(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
 				static createHalfBottom(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
 				static createHalfTop(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
@@ -190,6 +441,55 @@ declare module Phaser {
 				static createQuarterTopLeftHigh(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
 				static createQuarterTopRightLow(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
 				static createQuarterTopRightHigh(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createThirdBottomLeftLow(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createThirdBottomLeftMid(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createThirdBottomLeftHigh(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createThirdBottomRightLow(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createThirdBottomRightMid(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createThirdBottomRightHigh(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createThirdTopLeftLow(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createThirdTopLeftMid(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createThirdTopLeftHigh(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createThirdTopRightLow(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createThirdTopRightMid(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createThirdTopRightHigh(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthBottomLeftLow(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthBottomLeftLowMid(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthBottomLeftHighMid(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthBottomLeftHigh(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthBottomRightLow(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthBottomRightLowMid(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthBottomRightHighMid(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthBottomRightHigh(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthTopLeftLow(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthTopLeftLowMid(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthTopLeftHighMid(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthTopLeftHigh(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthTopRightLow(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthTopRightLowMid(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthTopRightHighMid(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createFourthTopRightHigh(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createConvexBottomLeft(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createConvexBottomRight(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createConvexTopLeft(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createConvexTopRight(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createConcaveBottomLeft(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createConcaveBottomRight(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createConcaveTopLeft(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createConcaveTopRight(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createRoundHalfBottom(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createRoundHalfTop(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createRoundHalfLeft(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createRoundHalfRight(type:number, tile:Phaser.Tile):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static createArc(centerX:number, centerY:number, radiusX:number, radiusY:number, startAngle:number, endAngle:number, segments:number):SAT.Vector[];
+				static resolveSegments(tile:Phaser.Tile):number;
+				static createCustom(type:number, tile:Phaser.Tile, shapes:SAT.Vector[][]):Phaser.Plugin.ArcadeSlopes.TileSlope;
+				static parseCollisionObject(object:Object):SAT.Vector[];
+				static parseObjectPoints(object:Object, points:any[]):SAT.Vector[];
+				static cross(a:SAT.Vector, b:SAT.Vector, c:SAT.Vector):number;
+				static cleanPoints(points:SAT.Vector[]):SAT.Vector[];
+				static isConvex(points:SAT.Vector[]):boolean;
+				static decompose(points:SAT.Vector[]):SAT.Vector[][];
 				
 				static prepareOffset(index:number):number;
 				static mapArcadeSlopes(index:number):Object;
@@ -200,8 +500,28 @@ declare module Phaser {
 			}
 
 			interface BodySlopes {
+				attached:boolean;
+				baseGravity:Phaser.Point;
+				constantSpeed:boolean;
+				contactFrame:number;
+				contacts:Phaser.Plugin.ArcadeSlopes.Contact[];
 				debug:boolean;
+				detachSpeed:number;
+				dropThrough:boolean;
+				followRotation:boolean;
 				friction:Phaser.Point;
+				gravity:Phaser.Point;
+				groundAngle:number;
+				groundFrame:number;
+				groundNormal:SAT.Vector;
+				groundSpeed:number;
+				groundTile:Phaser.Tile;
+				groundVelocity:SAT.Vector;
+				heuristics:boolean;
+				lastGroundNormal:SAT.Vector;
+				maxGroundAngle:number;
+				onGround:boolean;
+				preferX:boolean;
 				preferY:boolean;
 				pullUp:number;
 				pullDown:number;
@@ -211,12 +531,23 @@ declare module Phaser {
 				pullTopRight:number;
 				pullBottomLeft:number;
 				pullBottomRight:number;
+				rotate:boolean;
+				rotateMax:number;
+				rotateSmoothing:number;
+				rotateTypes:(number|string)[];
 				sat:Phaser.Plugin.ArcadeSlopes.BodySlopesSat;
+				sensors:Phaser.Tile[];
+				shape:SAT.Vector[];
+				shapeState:Object;
 				skipFriction:boolean;
 				snapUp:number;
 				snapDown:number;
 				snapLeft:number;
 				snapRight:number;
+				stepHeight:number;
+				stickDistance:number;
+				surfaceGravity:boolean;
+				sweep:boolean;
 				tile:Phaser.Tile;
 				velocity:SAT.Vector;
 			}
@@ -224,6 +555,15 @@ declare module Phaser {
 			interface BodySlopesSat {
 				response:SAT.Response;
 			}
+
+			interface Contact {
+				tile:Phaser.Tile;
+				polygon:SAT.Polygon;
+				normal:SAT.Vector;
+				depth:number;
+				separated:boolean;
+				restraint:Object;
+			}
 		}
 	}
 }